@@ -0,0 +1,101 @@
+/**
+ * Chain alerts - local timeout countdown, bonus milestones and warning rules
+ */
+
+/** Chain bonus hit milestones */
+export const BONUS_MILESTONES = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000];
+
+/** Default warning settings (used until the user saves their own) */
+export const DEFAULT_ALERT_SETTINGS = {
+  notify: false, // browser Notification in addition to the on-page alert
+  timeoutThreshold: 90, // seconds left on the chain timer
+  milestoneThreshold: 10, // hits left to the next bonus
+};
+
+/**
+ * Coerce stored alert settings into valid numbers
+ * @param {Object} [settings]
+ * @returns {typeof DEFAULT_ALERT_SETTINGS}
+ */
+export function normalizeAlertSettings(settings = {}) {
+  const num = (v, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+  };
+  return {
+    notify: Boolean(settings.notify),
+    timeoutThreshold: num(settings.timeoutThreshold, DEFAULT_ALERT_SETTINGS.timeoutThreshold),
+    milestoneThreshold: num(settings.milestoneThreshold, DEFAULT_ALERT_SETTINGS.milestoneThreshold),
+  };
+}
+
+/**
+ * Next bonus milestone above the current chain count
+ * @param {number} current
+ * @returns {number|null} null past the last milestone
+ */
+export function nextBonusMilestone(current) {
+  return BONUS_MILESTONES.find((m) => m > (current ?? 0)) ?? null;
+}
+
+/**
+ * Snapshot live chain timer state at fetch time
+ * Torn returns timeout as seconds remaining; tolerate an absolute timestamp too
+ * @param {Object} liveChain - from fetchCurrentChain
+ * @param {number} [fetchedAt] - Unix seconds
+ * @returns {{ current: number, timeoutAt: number|null, cooldownAt: number|null }}
+ */
+export function liveChainState(liveChain, fetchedAt = Math.floor(Date.now() / 1000)) {
+  const toAbsolute = (v) => {
+    if (!v) return null;
+    return v > 1e9 ? v : fetchedAt + v;
+  };
+  return {
+    current: liveChain?.current ?? 0,
+    timeoutAt: toAbsolute(liveChain?.timeout),
+    cooldownAt: toAbsolute(liveChain?.cooldown),
+  };
+}
+
+/**
+ * Seconds left on the chain timer
+ * @param {{ timeoutAt: number|null }} state
+ * @param {number} [now] - Unix seconds
+ * @returns {number|null}
+ */
+export function secondsRemaining(state, now = Math.floor(Date.now() / 1000)) {
+  if (!state?.timeoutAt) return null;
+  return Math.max(0, state.timeoutAt - now);
+}
+
+/**
+ * Warnings due for the current state; each has a stable key so callers alert only once per key
+ * @param {{ current: number, timeoutAt: number|null }} state
+ * @param {Object} settings - normalized alert settings
+ * @param {number} [now] - Unix seconds
+ * @returns {{ key: string, type: 'timeout'|'milestone', message: string }[]}
+ */
+export function dueWarnings(state, settings, now = Math.floor(Date.now() / 1000)) {
+  const warnings = [];
+  if (!state || !state.current) return warnings;
+
+  const remaining = secondsRemaining(state, now);
+  if (remaining != null && settings.timeoutThreshold && remaining <= settings.timeoutThreshold) {
+    warnings.push({
+      key: `timeout-${state.current}`,
+      type: 'timeout',
+      message: `Chain timer at ${remaining}s (chain ${state.current.toLocaleString()}) — hit now to keep it alive`,
+    });
+  }
+
+  const milestone = nextBonusMilestone(state.current);
+  if (milestone && settings.milestoneThreshold && milestone - state.current <= settings.milestoneThreshold) {
+    warnings.push({
+      key: `milestone-${milestone}`,
+      type: 'milestone',
+      message: `${(milestone - state.current).toLocaleString()} hits to the ${milestone.toLocaleString()} bonus`,
+    });
+  }
+
+  return warnings;
+}
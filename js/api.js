@@ -1,13 +1,45 @@
 /**
  * Rate-limited Torn API v2 layer
- * Max 50 requests per minute (rolling 60-second window)
+ * Max 50 requests per minute per key (rolling 60-second window), shared by every open tab:
+ * the request log lives in localStorage and is updated under a Web Lock
+ * With a key pool, requests made with a pooled key go out on the pooled key with the most budget left;
+ * another officer's key that fails is benched and the request goes out again on the requester's own key
  */
 
 const RATE_LIMIT = 50;
 const WINDOW_MS = 60000;
 const RETRY_DELAY_MS = 5000;
+/** A pooled key that hit a rate limit or network error sits out this long (other errors: until re-checked) */
+const BENCH_MS = 60000;
+const LOG_STORAGE_KEY = 'chainTracker.apiRequestLog';
+const LOCK_NAME = 'chain-tracker-rate-limit';
 
-const timestamps = [];
+/** Fallback logs (key id -> request timestamps) when localStorage is unavailable (private mode, non-browser) */
+let memoryLogs = {};
+const budgetListeners = new Set();
+
+/** Keys that requests are spread across (empty: every request uses the key it was built with) */
+let keyPool = [];
+/** Usage in this tab per key id: { requests, errors, lastError, lastUsedAt } */
+const keyStats = new Map();
+/** Pooled keys out of rotation: key -> { until: ms timestamp, or null until restorePoolKey, reason } */
+const benchedKeys = new Map();
+const keyRemovedListeners = new Set();
+
+/**
+ * Short non-reversible id for a key, so raw keys never reach the shared log
+ * @param {string} key
+ * @returns {string}
+ */
+export function keyId(key) {
+  // FNV-1a, 32 bit
+  let hash = 0x811c9dc5;
+  for (const c of String(key ?? '')) {
+    hash ^= c.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
 
 /**
  * Wait until a timestamp expires (becomes older than 60s)
@@ -22,48 +54,310 @@ function waitUntilExpired(ts) {
 }
 
 /**
- * Purge timestamps older than 60 seconds
+ * Drop timestamps 60 seconds old or older, and keys with nothing left
+ * (same boundary as waitUntilExpired, so a waiter never finds its request still counted)
+ * @param {Record<string, number[]>} logs
+ * @returns {Record<string, number[]>}
  */
-function purgeOldTimestamps() {
+function purgeOldTimestamps(logs) {
   const cutoff = Date.now() - WINDOW_MS;
-  while (timestamps.length > 0 && timestamps[0] < cutoff) {
-    timestamps.shift();
+  const purged = {};
+  for (const [id, log] of Object.entries(logs)) {
+    const recent = log.filter((ts) => ts > cutoff);
+    if (recent.length > 0) purged[id] = recent;
   }
+  return purged;
 }
 
 /**
- * Wait until we can make a request (under rate limit)
- * @returns {Promise<void>}
+ * @returns {Storage|null} localStorage if usable
+ */
+function sharedStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the per-key request logs (shared across tabs when possible)
+ * @returns {Record<string, number[]>}
+ */
+function readLogs() {
+  const storage = sharedStorage();
+  if (!storage) return memoryLogs;
+  try {
+    const logs = JSON.parse(storage.getItem(LOG_STORAGE_KEY) ?? '{}');
+    // Logs from before per-key budgets were a plain array; they expire within a minute anyway
+    if (!logs || typeof logs !== 'object' || Array.isArray(logs)) return {};
+    return Object.fromEntries(Object.entries(logs).filter(([, log]) => Array.isArray(log)).map(([id, log]) => [id, log.filter(Number.isFinite)]));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the per-key request logs
+ * @param {Record<string, number[]>} logs
+ */
+function writeLogs(logs) {
+  const storage = sharedStorage();
+  if (!storage) {
+    memoryLogs = logs;
+    return;
+  }
+  try {
+    storage.setItem(LOG_STORAGE_KEY, JSON.stringify(logs));
+  } catch {
+    memoryLogs = logs;
+  }
+}
+
+/**
+ * Run fn while holding the cross-tab rate limit lock (plain call without Web Locks)
+ * @param {() => any} fn
+ * @returns {Promise<any>}
+ */
+async function withLock(fn) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(LOCK_NAME, fn);
+  }
+  return fn();
+}
+
+/**
+ * Current request budget across all tabs: summed over the key pool, or one key's worth without a pool
+ * @returns {{ used: number, remaining: number, limit: number }}
+ */
+export function getRateLimitStatus() {
+  const logs = purgeOldTimestamps(readLogs());
+  if (keyPool.length === 0) {
+    const used = Math.min(RATE_LIMIT, Object.values(logs).reduce((n, log) => n + log.length, 0));
+    return { used, remaining: RATE_LIMIT - used, limit: RATE_LIMIT };
+  }
+  const used = keyPool.reduce((n, key) => n + Math.min(RATE_LIMIT, logs[keyId(key)]?.length ?? 0), 0);
+  const limit = RATE_LIMIT * keyPool.length;
+  return { used, remaining: limit - used, limit };
+}
+
+/**
+ * True while a pooled key is out of rotation
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isBenched(key) {
+  const bench = benchedKeys.get(key);
+  if (!bench) return false;
+  if (bench.until !== null && Date.now() >= bench.until) {
+    benchedKeys.delete(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Budget and usage for each pooled key (requests/errors count this tab since load)
+ * benched: the key is out of rotation (benchedReason says why)
+ * @returns {{ id: string, used: number, remaining: number, limit: number, requests: number, errors: number, lastError: string|null, lastUsedAt: number|null, benched: boolean, benchedReason: string|null }[]}
+ */
+export function getKeyPoolStatus() {
+  const logs = purgeOldTimestamps(readLogs());
+  return keyPool.map((key) => {
+    const id = keyId(key);
+    const used = Math.min(RATE_LIMIT, logs[id]?.length ?? 0);
+    const stats = keyStats.get(id) ?? {};
+    return {
+      id,
+      used,
+      remaining: RATE_LIMIT - used,
+      limit: RATE_LIMIT,
+      requests: stats.requests ?? 0,
+      errors: stats.errors ?? 0,
+      lastError: stats.lastError ?? null,
+      lastUsedAt: stats.lastUsedAt ?? null,
+      benched: isBenched(key),
+      benchedReason: isBenched(key) ? benchedKeys.get(key).reason : null,
+    };
+  });
+}
+
+/**
+ * Spread requests made with any of these keys across all of them (first key = the profile's own key)
+ * @param {string[]} keys
+ */
+export function setKeyPool(keys) {
+  keyPool = [...new Set((keys ?? []).filter(Boolean))];
+  for (const key of benchedKeys.keys()) {
+    if (!keyPool.includes(key)) benchedKeys.delete(key);
+  }
+  notifyBudgetListeners();
+}
+
+/**
+ * Take a pooled key out of rotation; requests made with it still go out on it
+ * @param {string} key
+ * @param {string} reason - shown in the key health panel
+ * @param {number|null} [durationMs=null] - null: until restorePoolKey
+ */
+export function benchPoolKey(key, reason, durationMs = null) {
+  benchedKeys.set(key, { until: durationMs === null ? null : Date.now() + durationMs, reason });
+  notifyBudgetListeners();
+}
+
+/**
+ * Put a benched pooled key back into rotation (after it passed a re-check)
+ * @param {string} key
+ */
+export function restorePoolKey(key) {
+  if (benchedKeys.delete(key)) notifyBudgetListeners();
+}
+
+/**
+ * Subscribe to pooled keys being dropped after Torn rejected them (codes 2, 12, 13, 18)
+ * @param {(key: string, err: Error) => void} listener
+ * @returns {() => void} unsubscribe
  */
-async function waitForRateLimit() {
-  purgeOldTimestamps();
-  while (timestamps.length >= RATE_LIMIT) {
-    await waitUntilExpired(timestamps[0]);
-    purgeOldTimestamps();
+export function onKeyRemoved(listener) {
+  keyRemovedListeners.add(listener);
+  return () => keyRemovedListeners.delete(listener);
+}
+
+/**
+ * Subscribe to budget changes from this tab and (via storage events) other tabs
+ * @param {(status: { used: number, remaining: number, limit: number }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function onRateLimitChange(listener) {
+  budgetListeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key === LOG_STORAGE_KEY) listener(getRateLimitStatus());
+  };
+  if (typeof window !== 'undefined') window.addEventListener('storage', onStorage);
+  return () => {
+    budgetListeners.delete(listener);
+    if (typeof window !== 'undefined') window.removeEventListener('storage', onStorage);
+  };
+}
+
+function notifyBudgetListeners() {
+  const status = getRateLimitStatus();
+  for (const listener of budgetListeners) listener(status);
+}
+
+/**
+ * Wait until one of the keys is under its rate limit, record the request in the shared log and return that key.
+ * The key with the fewest requests in the window wins (earlier keys on a tie).
+ * Waiting happens outside the lock so other tabs can keep checking the log.
+ * @param {string[]} keys
+ * @returns {Promise<string>}
+ */
+async function waitForRateLimit(keys) {
+  let key;
+  while (true) {
+    const result = await withLock(() => {
+      const logs = purgeOldTimestamps(readLogs());
+      let best = null;
+      for (const candidate of keys) {
+        const count = logs[keyId(candidate)]?.length ?? 0;
+        if (count < RATE_LIMIT && (best === null || count < best.count)) best = { key: candidate, count };
+      }
+      if (best) {
+        const id = keyId(best.key);
+        logs[id] = [...(logs[id] ?? []), Date.now()];
+      }
+      writeLogs(logs);
+      return best ? { key: best.key } : { oldest: Math.min(...keys.map((k) => logs[keyId(k)][0])) };
+    });
+    if (result.key !== undefined) {
+      key = result.key;
+      break;
+    }
+    await waitUntilExpired(result.oldest);
+  }
+  notifyBudgetListeners();
+  return key;
+}
+
+/**
+ * Count a request (and its error, if any) against a key
+ * @param {string} key
+ * @param {string|null} [error]
+ */
+function recordKeyUse(key, error = null) {
+  const id = keyId(key);
+  const stats = keyStats.get(id) ?? { requests: 0, errors: 0, lastError: null, lastUsedAt: null };
+  if (error) {
+    stats.errors += 1;
+    stats.lastError = error;
+  } else {
+    stats.requests += 1;
+    stats.lastUsedAt = Date.now();
   }
+  keyStats.set(id, stats);
+}
+
+/**
+ * Take a rejected key out of the pool and tell subscribers to forget it
+ * @param {string} key
+ * @param {Error} err
+ */
+function dropPoolKey(key, err) {
+  keyPool = keyPool.filter((k) => k !== key);
+  for (const listener of keyRemovedListeners) listener(key, err);
+  notifyBudgetListeners();
 }
 
 /**
  * Centralized rate-limited fetch
  * On Torn error 5 or HTTP 429: wait 5s, retry once
+ * A request built with a pooled key may go out on another pooled key. If that other key fails,
+ * the request goes out again on the requester's own key: a key Torn rejected (codes 2, 12, 13, 18)
+ * is dropped from the pool, any other failure benches it (see benchPoolKey)
  * @param {string} url
- * @param {boolean} [retried=false]
+ * @param {Object} [options]
+ * @param {boolean} [options.retried=false]
+ * @param {boolean} [options.rotate=true] - false: always use the URL's own key (key checks)
  * @returns {Promise<Object>}
  */
-export async function fetchWithRateLimit(url, retried = false) {
-  await waitForRateLimit();
-  timestamps.push(Date.now());
+export async function fetchWithRateLimit(url, { retried = false, rotate = true } = {}) {
+  const requested = new URL(url).searchParams.get('key') ?? '';
+  const key = await waitForRateLimit(rotate && keyPool.includes(requested)
+    ? keyPool.filter((k) => k === requested || !isBenched(k))
+    : [requested]);
+  let target = url;
+  if (key !== requested) {
+    const u = new URL(url);
+    u.searchParams.set('key', key);
+    target = u.toString();
+  }
+  recordKeyUse(key);
 
-  const response = await fetch(url);
+  let response;
+  try {
+    response = await (fetchImpl ?? fetch)(target);
+  } catch (err) {
+    if (key === requested) throw err;
+    recordKeyUse(key, err.message || 'Request failed');
+    benchPoolKey(key, err.message || 'Request failed', BENCH_MS);
+    return fetchWithRateLimit(url, { retried, rotate: false });
+  }
   const data = await response.json().catch(() => ({}));
 
   // Torn API error code 5 = Too many requests
   const tornError5 = data.error && data.error.code === 5;
   const http429 = response.status === 429;
+  if (tornError5 || http429) recordKeyUse(key, data.error?.error || 'Too many requests');
+
+  // Another officer's key is busy elsewhere: rest it and use the requester's own key now
+  if ((tornError5 || http429) && key !== requested) {
+    benchPoolKey(key, data.error?.error || 'Too many requests', BENCH_MS);
+    return fetchWithRateLimit(url, { retried, rotate: false });
+  }
 
   if ((tornError5 || http429) && !retried) {
     await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
-    return fetchWithRateLimit(url, true);
+    return fetchWithRateLimit(url, { retried: true, rotate });
   }
 
   if (data.error) {
@@ -71,13 +365,47 @@ export async function fetchWithRateLimit(url, retried = false) {
     err.code = data.error.code;
     // Torn: remove disabled/invalid keys to avoid IP bans (api.html)
     err.removeKey = [2, 12, 13, 18].includes(data.error.code);
+    // 16: key works but lacks a selection; keep it and show which permissions are missing
+    err.insufficientAccess = data.error.code === 16;
+    if (!tornError5) recordKeyUse(key, err.message);
+    if (key !== requested) {
+      if (err.removeKey) dropPoolKey(key, err);
+      else benchPoolKey(key, err.message);
+      return fetchWithRateLimit(url, { retried, rotate: false });
+    }
     throw err;
   }
 
   return data;
 }
 
-const BASE = 'https://api.torn.com/v2';
+const TORN_API_BASE = 'https://api.torn.com/v2';
+let apiBase = TORN_API_BASE;
+let fetchImpl = null;
+
+/**
+ * Send requests somewhere other than Torn: a base URL (local fake server in tests) and/or
+ * a fetch function (in-page fake for demo mode); no arguments restores the defaults
+ * @param {Object} [options]
+ * @param {string} [options.base]
+ * @param {(url: string) => Promise<{ status: number, json: () => Promise<any> }>} [options.fetch]
+ */
+export function setBackend({ base = TORN_API_BASE, fetch: fetchFn = null } = {}) {
+  apiBase = base.replace(/\/$/, '');
+  fetchImpl = fetchFn;
+}
+
+/**
+ * Fetch key info (access level and granted selections) for a key
+ * @param {string} apiKey
+ * @returns {Promise<Object>} { access, selections, ... }
+ */
+export async function fetchKeyInfo(apiKey) {
+  const url = `${apiBase}/key/info?key=${apiKey}`;
+  // Key checks must hit the key being checked, never another pooled key
+  const data = await fetchWithRateLimit(url, { rotate: false });
+  return data.info ?? data;
+}
 
 /**
  * Fetch faction members (id -> name mapping)
@@ -85,7 +413,7 @@ const BASE = 'https://api.torn.com/v2';
  * @returns {Promise<Object[]>} members array
  */
 export async function fetchFactionMembers(apiKey) {
-  const url = `${BASE}/faction/members?key=${apiKey}`;
+  const url = `${apiBase}/faction/members?key=${apiKey}`;
   const data = await fetchWithRateLimit(url);
   return data.members ?? [];
 }
@@ -96,7 +424,7 @@ export async function fetchFactionMembers(apiKey) {
  * @returns {Promise<Object|null>} chain data or null if no active chain
  */
 export async function fetchCurrentChain(apiKey) {
-  const url = `${BASE}/faction/chain?key=${apiKey}`;
+  const url = `${apiBase}/faction/chain?key=${apiKey}`;
   const data = await fetchWithRateLimit(url);
   const chain = data.chain ?? null;
   return chain;
@@ -117,7 +445,7 @@ export async function fetchFactionChains(apiKey, { limit = 10, before } = {}) {
     u.searchParams.set('key', apiKey);
     url = u.toString();
   } else {
-    url = `${BASE}/faction/chains?limit=${limit}&key=${apiKey}`;
+    url = `${apiBase}/faction/chains?limit=${limit}&key=${apiKey}`;
     if (before) {
       url += `&before=${encodeURIComponent(before)}`;
     }
@@ -132,7 +460,7 @@ export async function fetchFactionChains(apiKey, { limit = 10, before } = {}) {
  * @returns {Promise<Object>}
  */
 export async function fetchChainReport(chainId, apiKey) {
-  const url = `${BASE}/faction/${chainId}/chainreport?key=${apiKey}`;
+  const url = `${apiBase}/faction/${chainId}/chainreport?key=${apiKey}`;
   return fetchWithRateLimit(url);
 }
 
@@ -150,7 +478,33 @@ export async function fetchFactionNews({ apiKey, before }) {
     u.searchParams.set('key', apiKey);
     url = u.toString();
   } else {
-    url = `${BASE}/faction/news?cat=armoryAction&stripTags=false&sort=desc&limit=100&key=${apiKey}`;
+    url = `${apiBase}/faction/news?cat=armoryAction&stripTags=false&sort=desc&limit=100&key=${apiKey}`;
+    if (before) {
+      url += `&before=${encodeURIComponent(before)}`;
+    }
+  }
+  return fetchWithRateLimit(url);
+}
+
+/**
+ * Fetch the faction's outgoing attacks in a time window (newest first)
+ * @param {Object} options
+ * @param {string} options.apiKey
+ * @param {number} [options.from] - Unix seconds, oldest attack start
+ * @param {number} [options.to] - Unix seconds, newest attack start
+ * @param {string} [options.before] - Cursor for pagination (_metadata.links.prev)
+ * @returns {Promise<Object>} { attacks, _metadata }
+ */
+export async function fetchFactionAttacks({ apiKey, from, to, before }) {
+  let url;
+  if (before && before.startsWith('http')) {
+    const u = new URL(before);
+    u.searchParams.set('key', apiKey);
+    url = u.toString();
+  } else {
+    url = `${apiBase}/faction/attacks?filters=outgoing&sort=DESC&limit=100&key=${apiKey}`;
+    if (from) url += `&from=${from}`;
+    if (to) url += `&to=${to}`;
     if (before) {
       url += `&before=${encodeURIComponent(before)}`;
     }
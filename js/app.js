@@ -5,222 +5,96 @@
 import * as db from './db.js';
 import * as api from './api.js';
 import * as ui from './ui.js';
-
-const XANAX_PHRASE = "used one of the faction's Xanax items";
-const POINTS_REGEX = /used (\d+) faction points/gi;
-/** Extract XID and display name from profile link: <a href="...profiles.php?XID=2405862">AJMC</a> */
-const PROFILE_LINK_REGEX = /profiles\.php\?XID=(\d+)(?:[^>]*>([^<]*))?/i;
+import * as backup from './backup.js';
+import { downloadFile } from './export.js';
+import { buildMemberRows } from './members.js';
+import { computePayout, normalizeRules, DEFAULT_PAYOUT_RULES } from './payout.js';
+import * as alerts from './alerts.js';
+import { normalizeFlagRules, DEFAULT_FLAG_RULES } from './efficiency.js';
+import { normalizeGoal, goalPlan } from './goal.js';
+import { attackSummary } from './attacks.js';
+import { chainHitEvents } from './coverage.js';
+import { resolveTemplates } from './report.js';
+import { isKeyFormat, checkKeyInfo, keyFactionId, keyOwnerId } from './keys.js';
+import { encryptSecret, decryptSecret } from './vault.js';
+import * as profiles from './profiles.js';
+import { createFakeTorn } from './fake-torn.js';
+import { DEMO_KEYS, DEMO_FACTION_ID } from './fixtures.js';
+import { toRosterEntries, sameMembers, rosterReport } from './roster.js';
+import {
+  extractConsumption,
+  mergeConsumption,
+  updateTotals,
+  resolveRules,
+  validateRule,
+} from './consumption.js';
+import { loadAndSyncChain, syncChainAttacks, keepUserChainFields, loadConsumptionRules } from './sync.js';
 
 let refreshIntervalId = null;
 let isRefreshing = false;
 
-/**
- * Extract user ID and name from news text (profile link or fallback)
- * @param {string} text
- * @returns {{ id: string, name: string }|null}
- */
-function extractMemberIdAndName(text) {
-  const match = text.match(PROFILE_LINK_REGEX);
-  if (match) {
-    const id = String(match[1]);
-    const name = (match[2] || '').trim() || extractMemberName(text);
-    return { id, name };
-  }
-  const name = extractMemberName(text);
-  return name ? { id: name, name } : null;
-}
+/** Re-check the live chain at most this often while the timer is under the warning threshold */
+const LIVE_RECHECK_MS = 30000;
 
-/**
- * Extract member name from news text (fallback: first part before " used ")
- * @param {string} text
- * @returns {string}
- */
-function extractMemberName(text) {
-  const usedIdx = text.indexOf(' used ');
-  if (usedIdx > 0) {
-    return text.slice(0, usedIdx).replace(/<[^>]+>/g, '').trim();
-  }
-  const words = text.trim().replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean);
-  return words[0] || 'Unknown';
-}
+let countdownIntervalId = null;
+let liveState = null;
+let liveFetchedAt = 0;
+let isCheckingLive = false;
+let alertSettings = alerts.DEFAULT_ALERT_SETTINGS;
+const alertedKeys = new Set();
 
-/**
- * Extract consumption (xanax, points) from faction news
- * Keys by user ID for matching with chain report; stores name for display
- * @param {Object[]} newsItems
- * @param {number} chainStart
- * @param {number} chainEnd
- * @param {Set<string>} [processedIds] - Avoid double-counting on refresh
- * @returns {{ xanax: Record<string, { count: number, name: string }>, points: Record<string, { amount: number, name: string }> }}
- */
-function extractConsumption(newsItems, chainStart, chainEnd, processedIds = new Set()) {
-  const xanax = {};
-  const points = {};
+/** Active chain shown on the dashboard (goal + count history for the planner) */
+let plannerChain = null;
 
-  const addXanax = (id, name) => {
-    if (!id) return;
-    const cur = xanax[id] ?? { count: 0, name };
-    xanax[id] = { count: cur.count + 1, name: name || cur.name };
-  };
+/** How often the API budget indicator re-reads the shared request log */
+const BUDGET_POLL_MS = 5000;
+let budgetWatchStarted = false;
 
-  const addPoints = (id, amount, name) => {
-    if (!id || !amount) return;
-    const cur = points[id] ?? { amount: 0, name };
-    points[id] = { amount: cur.amount + amount, name: name || cur.name };
-  };
+/** Demo mode (?demo): the fake Torn API serves recorded fixtures and data goes to a database of its own */
+const demoMode = typeof location !== 'undefined' && new URLSearchParams(location.search).has('demo');
+const DEMO_DB_NAME = `${db.DEFAULT_DB_NAME}:demo`;
+const DEMO_PROFILE = { id: 'demo', name: 'Demo', factionId: DEMO_FACTION_ID, createdAt: 0 };
+let demoStarted = false;
 
-  for (const item of newsItems) {
-    const ts = item.timestamp ?? item.time ?? item.id;
-    if (ts < chainStart) continue;
-    if (ts > chainEnd) continue;
-    const itemId = item.id ?? `${ts}-${JSON.stringify(item).slice(0, 50)}`;
-    if (processedIds.has(itemId)) continue;
-    processedIds.add(itemId);
-
-    const text = item.news ?? item.text ?? item.content ?? '';
-    const member = extractMemberIdAndName(text);
-    if (!member) continue;
-
-    const { id, name } = member;
-
-    if (text.includes(XANAX_PHRASE)) {
-      addXanax(id, name);
-    }
-
-    let match;
-    const regex = new RegExp(POINTS_REGEX.source, 'gi');
-    while ((match = regex.exec(text)) !== null) {
-      addPoints(id, parseInt(match[1], 10), name);
-    }
-  }
-
-  return { xanax, points };
-}
-
-/**
- * Merge consumption into chain (by user id)
- */
-function mergeConsumption(chain, xanax, points) {
-  const consumption = chain.consumption ?? {};
-  for (const [id, data] of Object.entries(xanax)) {
-    const cur = consumption[id] ?? { xanax: 0, points: 0, name: data.name };
-    consumption[id] = { ...cur, xanax: (cur.xanax || 0) + data.count, name: data.name || cur.name };
-  }
-  for (const [id, data] of Object.entries(points)) {
-    const cur = consumption[id] ?? { xanax: 0, points: 0, name: data.name };
-    consumption[id] = { ...cur, points: (cur.points || 0) + data.amount, name: data.name || cur.name };
-  }
-  chain.consumption = consumption;
-}
+/** Faction members cache: id -> name */
+let factionMembersMap = {};
 
-/**
- * Update totals from hits and consumption
- */
-function updateTotals(chain) {
-  let hits = 0, respect = 0, xanax = 0, points = 0;
-  for (const m of Object.values(chain.hits ?? {})) {
-    hits += m.hits || 0;
-    respect += m.respect || 0;
-  }
-  for (const c of Object.values(chain.consumption ?? {})) {
-    xanax += c.xanax || 0;
-    points += c.points || 0;
-  }
-  chain.totals = { hits, respect, xanax, points };
-}
+/** Roster is re-fetched on auto-refresh at most this often */
+const ROSTER_REFRESH_MS = 600000;
+let rosterFetchedAt = 0;
 
 /**
- * Fetch all faction news pages until timestamp < chainStart
+ * Update the members map and record a roster snapshot from a members payload
  */
-async function fetchAllFactionNews(apiKey, chainStart, chainEnd, processedIds) {
-  const allNews = [];
-  let before = null;
+async function recordRoster(members) {
+  factionMembersMap = Object.fromEntries((members ?? []).map((m) => [String(m.id), m.name ?? String(m.id)]));
+  rosterFetchedAt = Date.now();
+  const entries = toRosterEntries(members);
+  if (entries.length === 0) return;
 
-  while (true) {
-    const data = await api.fetchFactionNews({ apiKey, before });
-    const news = data.news ?? data.faction?.news ?? [];
-    const items = Array.isArray(news) ? news : Object.values(news);
-
-    let reachedChainStart = false;
-    for (const item of items) {
-      const ts = item.timestamp ?? item.time ?? (typeof item === 'object' ? item.id : null);
-      if (ts != null && ts < chainStart) {
-        reachedChainStart = true;
-        break;
-      }
-      allNews.push(item);
-    }
-
-    const meta = data._metadata ?? data.metadata ?? {};
-    const links = meta.links ?? {};
-    const prev = links.prev ?? meta.prev;
-    if (!prev || reachedChainStart) break;
-    before = typeof prev === 'string' ? prev : prev.url ?? prev.before ?? prev;
+  const now = Math.floor(Date.now() / 1000);
+  const latest = await db.getLatestRosterSnapshot();
+  if (latest && sameMembers(latest.members, entries)) {
+    await db.saveRosterSnapshot({ ...latest, lastSeen: now, members: entries });
+  } else {
+    await db.saveRosterSnapshot({ firstSeen: now, lastSeen: now, members: entries });
   }
-
-  return extractConsumption(allNews, chainStart, chainEnd, processedIds);
 }
 
 /**
- * Load and sync chain data
+ * Show a chain on the dashboard with its roster report
  */
-async function loadAndSyncChain(apiKey, currentChain) {
-  const chainId = currentChain.id ?? currentChain.chain_id ?? currentChain.chainId;
-  const start = currentChain.start ?? currentChain.chain_start;
-  const isActive = currentChain.current != null || currentChain.end == null;
-  const end = isActive ? Math.floor(Date.now() / 1000) : (currentChain.end ?? Math.floor(Date.now() / 1000));
-
-  let chain = await db.getChain(chainId);
-  const isNew = !chain;
-
-  if (isNew) {
-    chain = {
-      chainId,
-      start,
-      end: isActive ? null : end,
-      status: isActive ? 'active' : 'finished',
-      hits: {},
-      consumption: {},
-      totals: { hits: 0, respect: 0, xanax: 0, points: 0 },
-      processedNewsIds: [],
-    };
-  }
-
-  const processedIds = new Set(chain.processedNewsIds ?? []);
-
-  const [reportData, consumption] = await Promise.all([
-    api.fetchChainReport(chainId, apiKey),
-    fetchAllFactionNews(apiKey, start, end, processedIds),
-  ]);
-
-  const report = reportData.chainreport ?? reportData;
-  const attackers = report.attackers ?? report.attacker ?? [];
-
-  const hits = {};
-  for (const a of attackers) {
-    const id = String(a.id ?? a.user_id ?? a.attacker_id);
-    hits[id] = {
-      hits: a.attacks?.total ?? a.attacks ?? a.hits ?? 0,
-      respect: a.respect?.total ?? a.respect ?? 0,
-      name: a.name ?? a.username ?? id,
-    };
-  }
-  chain.hits = hits;
-  mergeConsumption(chain, consumption.xanax || {}, consumption.points || {});
-  chain.processedNewsIds = Array.from(processedIds);
-  chain.end = currentChain.current ? null : (report.end ?? end);
-  chain.status = chain.end ? 'finished' : 'active';
-  updateTotals(chain);
-
-  await db.setConfig('lastSyncTimestamp', Math.floor(Date.now() / 1000));
-  await db.saveChain(chain);
-
-  return chain;
+async function renderDashboard(chain, apiKey) {
+  plannerChain = chain.status === 'active' ? chain : null;
+  ui.showDashboard(chain, apiKey, factionMembersMap);
+  const snapshots = await db.getRosterSnapshots();
+  ui.renderRoster(rosterReport(chain, snapshots, factionMembersMap));
+  const [chainSnapshots, attacks] = await Promise.all([db.getChainSnapshots(chain.chainId), db.getAttacksByChain(chain.chainId)]);
+  ui.renderProgress(chain, chainSnapshots);
+  ui.renderAttacks(chain, chain.attackSync ? attackSummary(attacks) : null);
+  ui.renderCoverage(chain, chainHitEvents(chain, attacks, chainSnapshots));
 }
 
-/** Faction members cache: id -> name */
-let factionMembersMap = {};
-
 /**
  * Main init - run on page load
  */
@@ -230,27 +104,89 @@ export async function init() {
     onSelectChain: selectChain,
     onLoadMoreChains: loadMoreChains,
     onViewChainHistory: viewChainHistory,
+    onBackup: downloadBackup,
+    onRestore: restoreFromBackup,
+    onCalculatePayout: calculatePayout,
+    onViewLeaderboard: viewLeaderboard,
+    onBack: goBack,
+    onCompareChains: compareChains,
+    onSaveAlertSettings: saveAlertSettings,
+    onSaveConsumptionRules: saveConsumptionRules,
+    onRecomputeChain: recomputeChain,
+    onResyncChain: resyncChain,
+    onSaveFlagRules: saveFlagRules,
+    onSaveChainGoal: saveChainGoal,
+    onSyncAttacks: syncAttacks,
+    onViewCoverage: viewCoverage,
+    onSaveReportTemplate: saveReportTemplate,
+    onUnlock: unlockApiKey,
+    onLock: lockApiKey,
+    onForgetKey: forgetApiKey,
+    onEncryptKey: encryptApiKey,
+    onChangePassphrase: changePassphrase,
+    onRemoveKeyEncryption: removeKeyEncryption,
+    onSwitchProfile: switchProfile,
+    onCreateProfile: createProfile,
+    onRenameProfile: renameProfile,
+    onDeleteProfile: deleteProfile,
+    onAddPoolKey: addPoolKey,
+    onRemovePoolKey: removePoolKey,
   });
 
+  startBudgetWatch();
+
+  const profile = activeProfile();
+  if (demoMode) {
+    ui.showDemoBanner();
+  } else {
+    db.useDatabase(profiles.profileDbName(profile.id));
+    ui.renderProfiles(profiles.listProfiles(), profile.id);
+  }
+
   try {
+    if (demoMode) await startDemo();
     await db.initDB();
-    const apiKey = await db.getConfig('apiKey');
+    ui.setPayoutRules(normalizeRules((await db.getConfig('payoutRules')) ?? DEFAULT_PAYOUT_RULES));
+    alertSettings = alerts.normalizeAlertSettings((await db.getConfig('chainAlerts')) ?? alerts.DEFAULT_ALERT_SETTINGS);
+    ui.setAlertSettings(alertSettings);
+    ui.setConsumptionRules((await db.getConfig('consumptionRules')) ?? {}, await loadConsumptionRules());
+    ui.setFlagRules(normalizeFlagRules((await db.getConfig('efficiencyFlags')) ?? DEFAULT_FLAG_RULES));
+    ui.setReportTemplates(resolveTemplates((await db.getConfig('reportTemplates')) ?? {}));
+    ui.renderKeySecurity(await keySecurityState());
+
+    // Encrypted key: nothing touches the API until the passphrase is entered
+    if (!unlockedApiKey && await db.getConfig('apiKeyEncrypted')) {
+      ui.showUnlockForm();
+      return;
+    }
+    const apiKey = await getApiKey();
 
     if (!apiKey) {
       ui.showApiKeyForm();
       return;
     }
 
+    // The key's owner changed faction since it was checked: don't write their data into this profile
+    const keyCheck = await db.getConfig('keyCheck');
+    if (profile.factionId && keyCheck?.factionId && keyCheck.factionId !== profile.factionId) {
+      ui.showError(factionMismatchMessage(keyCheck.factionId, profile));
+      ui.showApiKeyForm();
+      return;
+    }
+
     ui.showLoading();
+    await loadKeyPool(apiKey);
+    startKeyWatch();
 
     const [membersResult, currentChain] = await Promise.all([
       api.fetchFactionMembers(apiKey).catch(() => []),
       api.fetchCurrentChain(apiKey),
     ]);
     const members = Array.isArray(membersResult) ? membersResult : (membersResult?.members ?? []);
-    factionMembersMap = Object.fromEntries((members ?? []).map((m) => [String(m.id), m.name ?? String(m.id)]));
+    await recordRoster(members);
 
     if (!currentChain || (!currentChain.current && !currentChain.id)) {
+      stopAutoRefresh();
       const apiChainsData = await api.fetchFactionChains(apiKey, { limit: 10 });
       const apiChains = apiChainsData.chains ?? [];
       const cachedChains = await db.getAllChains();
@@ -259,17 +195,38 @@ export async function init() {
     }
 
     const chain = await loadAndSyncChain(apiKey, currentChain);
-    ui.showDashboard(chain, apiKey, factionMembersMap);
+    await renderDashboard(chain, apiKey);
     startAutoRefresh(apiKey, chain);
+    if (chain.status === 'active') startChainWatch(apiKey, currentChain);
   } catch (err) {
+    // Another profile was opened meanwhile; its own init takes over the page
+    if (err.staleProfile) return;
     ui.showError(err.message || 'Failed to load');
     if (err.removeKey) {
-      await db.setConfig('apiKey', null);
+      await clearApiKey();
     }
     ui.showApiKeyForm();
+    if (err.insufficientAccess) {
+      ui.showKeyCheck(await checkApiKey(await getApiKey()));
+    }
   }
 }
 
+/**
+ * Keep the API budget indicator current: on every request (any tab) and as old requests age out
+ */
+function startBudgetWatch() {
+  if (budgetWatchStarted) return;
+  budgetWatchStarted = true;
+  const update = (status) => {
+    ui.updateRateBudget(status);
+    renderKeyPool();
+  };
+  update(api.getRateLimitStatus());
+  api.onRateLimitChange(update);
+  setInterval(() => update(api.getRateLimitStatus()), BUDGET_POLL_MS);
+}
+
 /**
  * Start auto-refresh (every 2 minutes, only when visible)
  */
@@ -284,17 +241,25 @@ function startAutoRefresh(apiKey, chain) {
     isRefreshing = true;
     try {
       const currentChain = await api.fetchCurrentChain(apiKey);
+      // The user may have left the live chain while a request was in flight
+      if (!refreshIntervalId) return;
       if (!currentChain?.current && !currentChain?.id) {
         chain.status = 'finished';
         chain.end = chain.end ?? Math.floor(Date.now() / 1000);
+        await keepUserChainFields(chain);
         await db.saveChain(chain);
         stopAutoRefresh();
-        ui.showDashboard(chain, apiKey);
+        await renderDashboard(chain, apiKey);
         return;
       }
 
+      setLiveChain(currentChain);
+      if (Date.now() - rosterFetchedAt >= ROSTER_REFRESH_MS) {
+        await recordRoster(await api.fetchFactionMembers(apiKey));
+      }
       const updated = await loadAndSyncChain(apiKey, currentChain);
-      ui.showDashboard(updated, apiKey, factionMembersMap);
+      if (!refreshIntervalId) return;
+      await renderDashboard(updated, apiKey);
     } catch {
       // Silent fail on refresh
     } finally {
@@ -308,31 +273,650 @@ function stopAutoRefresh() {
     clearInterval(refreshIntervalId);
     refreshIntervalId = null;
   }
+  stopChainWatch();
+}
+
+/**
+ * Record the latest live chain (count + timer) from fetchCurrentChain
+ */
+function setLiveChain(currentChain) {
+  liveFetchedAt = Date.now();
+  liveState = alerts.liveChainState(currentChain, Math.floor(liveFetchedAt / 1000));
+}
+
+/**
+ * Start the local chain timeout countdown (ticks every second, alerts on thresholds)
+ */
+function startChainWatch(apiKey, currentChain) {
+  setLiveChain(currentChain);
+  if (countdownIntervalId) return;
+  tickChainWatch(apiKey);
+  countdownIntervalId = setInterval(() => tickChainWatch(apiKey), 1000);
+}
+
+function stopChainWatch() {
+  if (countdownIntervalId) {
+    clearInterval(countdownIntervalId);
+    countdownIntervalId = null;
+  }
+  liveState = null;
+  ui.updateChainLive(null);
+  ui.showChainAlert([]);
+}
+
+/**
+ * One countdown tick: render timer, raise new warnings, and re-check the
+ * live timer when it runs low (a hit since the last fetch resets it)
+ */
+function tickChainWatch(apiKey) {
+  if (!liveState) return;
+  const now = Math.floor(Date.now() / 1000);
+  const remaining = alerts.secondsRemaining(liveState, now);
+  ui.updateChainLive(liveState, remaining, alerts.nextBonusMilestone(liveState.current), alertSettings.timeoutThreshold);
+  ui.updateGoalPlan(plannerChain ? goalPlan(plannerChain, liveState.current, now) : null);
+
+  const warnings = alerts.dueWarnings(liveState, alertSettings, now);
+  ui.showChainAlert(warnings);
+  for (const w of warnings) {
+    if (alertedKeys.has(w.key)) continue;
+    alertedKeys.add(w.key);
+    if (alertSettings.notify) ui.notify(w.message);
+  }
+
+  const low = remaining != null && remaining <= alertSettings.timeoutThreshold;
+  if (low && !isCheckingLive && Date.now() - liveFetchedAt >= LIVE_RECHECK_MS) {
+    isCheckingLive = true;
+    api.fetchCurrentChain(apiKey)
+      .then((currentChain) => {
+        if (currentChain?.current && countdownIntervalId) setLiveChain(currentChain);
+      })
+      .catch(() => {
+        // Keep counting down locally; next auto-refresh will retry
+        liveFetchedAt = Date.now();
+      })
+      .finally(() => {
+        isCheckingLive = false;
+      });
+  }
+}
+
+/**
+ * Save chain alert settings
+ */
+async function saveAlertSettings(rawSettings) {
+  alertSettings = alerts.normalizeAlertSettings(rawSettings);
+  await db.setConfig('chainAlerts', alertSettings);
+  ui.setAlertSettings(alertSettings);
+}
+
+/**
+ * Save (or clear) the goal of a chain and refresh the planner
+ */
+async function saveChainGoal(chainId, rawGoal) {
+  try {
+    const chain = await db.getChain(chainId);
+    if (!chain) throw new Error(`Chain ${chainId} is not cached`);
+    chain.goal = normalizeGoal(rawGoal);
+    await db.saveChain(chain);
+    if (plannerChain?.chainId === chainId) plannerChain.goal = chain.goal;
+    ui.clearError();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to save goal');
+  }
+}
+
+/**
+ * Pull individual hits for a chain from the attacks endpoint and show them
+ */
+async function syncAttacks(chainId) {
+  try {
+    const apiKey = await getApiKey();
+    if (!apiKey) throw new Error('An API key is needed to sync hits');
+    const dbName = db.currentDatabase();
+    const chain = await db.getChain(chainId);
+    if (!chain) throw new Error(`Chain ${chainId} is not cached`);
+    ui.clearError();
+    await syncChainAttacks(apiKey, chain, dbName);
+    await keepUserChainFields(chain);
+    // The profile changed while the hits were fetched
+    if (db.currentDatabase() !== dbName) return;
+    await db.saveChain(chain);
+    await renderDashboard(chain, apiKey);
+  } catch (err) {
+    if (err.staleProfile) return;
+    ui.showError(err.message || 'Failed to sync hits');
+    if (err.removeKey) {
+      await clearApiKey();
+    }
+  }
+}
+
+/** Decrypted API key for this session when the stored key is passphrase-encrypted */
+let unlockedApiKey = null;
+
+/** Lock the encrypted key after this long without user activity */
+const AUTO_LOCK_MS = 900000;
+let lastActivityAt = Date.now();
+let autoLockId = null;
+
+/**
+ * The API key to use: the unlocked key in encrypted mode, otherwise the stored plaintext key
+ * @returns {Promise<string|null>}
+ */
+async function getApiKey() {
+  return unlockedApiKey ?? db.getConfig('apiKey');
+}
+
+/**
+ * Forget the stored key (plaintext and encrypted) and this session's unlocked copy
+ */
+async function clearApiKey() {
+  unlockedApiKey = null;
+  setKeyPool(null);
+  await db.setConfig('apiKey', null);
+  await db.setConfig('apiKeyEncrypted', null);
+}
+
+/**
+ * Store a key: encrypted with the passphrase when one is given, plaintext otherwise
+ */
+async function storeApiKey(key, passphrase) {
+  if (passphrase) {
+    await db.setConfig('apiKeyEncrypted', await encryptSecret(key, passphrase));
+    await db.setConfig('apiKey', null);
+    unlockedApiKey = key;
+    startAutoLock();
+  } else {
+    await db.setConfig('apiKey', key);
+    await db.setConfig('apiKeyEncrypted', null);
+    unlockedApiKey = null;
+  }
+  // The pool is stored the same way as the key (encrypted under the key itself)
+  await saveKeyPool(poolEntries);
+  ui.renderKeySecurity(await keySecurityState());
+}
+
+/**
+ * Other officers' keys for this profile: { key, label, ownerId, addedAt, check } (decrypted in memory)
+ * check: { checkedAt, problem } from the last permission re-check; a key with a problem stays out of rotation
+ */
+let poolEntries = [];
+/** The profile's own key while the pool is active (always the first pooled key) */
+let poolOwnKey = null;
+let keyPoolWatchStarted = false;
+
+/**
+ * Read the key pool and spread requests across it and the profile's own key
+ * An encrypted key's pool is encrypted with that key as the passphrase
+ */
+async function loadKeyPool(apiKey) {
+  const encrypted = await db.getConfig('apiKeyPoolEncrypted');
+  try {
+    poolEntries = encrypted ? JSON.parse(await decryptSecret(encrypted, apiKey)) : ((await db.getConfig('apiKeyPool')) ?? []);
+  } catch {
+    poolEntries = [];
+    ui.showError('The key pool could not be read; add the other keys again');
+  }
+  setKeyPool(apiKey);
+  for (const entry of poolEntries) {
+    if (entry.check?.problem) api.benchPoolKey(entry.key, entry.check.problem);
+  }
+  if (!keyPoolWatchStarted) {
+    keyPoolWatchStarted = true;
+    api.onKeyRemoved(dropPoolKey);
+  }
+}
+
+/**
+ * Store the pool like the key: encrypted under the unlocked key, or plaintext
+ */
+async function saveKeyPool(entries) {
+  poolEntries = entries;
+  if (unlockedApiKey) {
+    await db.setConfig('apiKeyPoolEncrypted', entries.length ? await encryptSecret(JSON.stringify(entries), unlockedApiKey) : null);
+    await db.setConfig('apiKeyPool', null);
+  } else {
+    await db.setConfig('apiKeyPool', entries);
+    await db.setConfig('apiKeyPoolEncrypted', null);
+  }
+  setKeyPool(await getApiKey());
+}
+
+/**
+ * Spread requests across the own key and the pool (no key: stop pooling)
+ */
+function setKeyPool(apiKey) {
+  poolOwnKey = apiKey ?? null;
+  api.setKeyPool(apiKey ? [apiKey, ...poolEntries.map((e) => e.key)] : []);
+  renderKeyPool();
+}
+
+/**
+ * Show each pooled key's budget and health (keys are masked; rows are identified by key id)
+ */
+function renderKeyPool() {
+  if (!poolOwnKey) {
+    ui.renderKeyPool(null);
+    return;
+  }
+  const status = new Map(api.getKeyPoolStatus().map((s) => [s.id, s]));
+  const row = (key, label, primary) => ({ ...status.get(api.keyId(key)), id: api.keyId(key), label, masked: `…${key.slice(-4)}`, primary });
+  ui.renderKeyPool([row(poolOwnKey, 'Your key', true), ...poolEntries.map((e) => row(e.key, e.label, false))]);
+}
+
+/**
+ * Add another officer's key to the pool: it must pass the same checks as the profile's key,
+ * belong to the profile's faction and to a player who has no key in the pool yet
+ */
+async function addPoolKey(key, label) {
+  try {
+    const apiKey = await getApiKey();
+    if (!apiKey) throw new Error('Save your own API key first');
+    const trimmed = key.trim();
+    if (trimmed === apiKey || poolEntries.some((e) => e.key === trimmed)) throw new Error('That key is already in use');
+    const result = await checkApiKey(trimmed);
+    if (!result.ok) {
+      throw new Error(`That key can't be used: ${result.checks.filter((c) => !c.ok && !c.optional).map((c) => c.label).join(', ')}`);
+    }
+    const profile = activeProfile();
+    if (profile.factionId && result.factionId && result.factionId !== profile.factionId) {
+      throw new Error(`That key belongs to a member of faction ${result.factionId}, not faction ${profile.factionId}`);
+    }
+    const ownOwner = (await db.getConfig('keyCheck'))?.ownerId;
+    if (result.ownerId && (result.ownerId === ownOwner || poolEntries.some((e) => e.ownerId === result.ownerId))) {
+      throw new Error('That player already has a key in use. Torn\'s request limit is per player, so each officer can add one key');
+    }
+    await saveKeyPool([...poolEntries, {
+      key: trimmed,
+      label: label?.trim() || `Key ${poolEntries.length + 2}`,
+      ownerId: result.ownerId,
+      addedAt: Math.floor(Date.now() / 1000),
+    }]);
+    ui.clearError();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to add key');
+  }
+}
+
+/**
+ * Remove a key from the pool by key id
+ */
+async function removePoolKey(id) {
+  try {
+    await saveKeyPool(poolEntries.filter((e) => api.keyId(e.key) !== id));
+  } catch (err) {
+    ui.showError(err.message || 'Failed to remove key');
+  }
+}
+
+/**
+ * A pooled key was rejected by Torn mid-request: forget it (the request moved to another key)
+ */
+async function dropPoolKey(key, err) {
+  const entry = poolEntries.find((e) => e.key === key);
+  if (!entry) return;
+  ui.showError(`Removed "${entry.label}" from the key pool: ${err.message || 'key rejected'}`);
+  await saveKeyPool(poolEntries.filter((e) => e !== entry));
+}
+
+/**
+ * Re-check each pooled key's permissions and faction when its last check is stale
+ * A key that no longer qualifies is benched (kept, shown in the health panel) until a re-check passes;
+ * a key Torn rejects is dropped
+ * @param {boolean} force - check even if the last check is recent
+ */
+async function recheckPoolKeys(force) {
+  const profile = activeProfile();
+  const now = Math.floor(Date.now() / 1000);
+  let changed = false;
+  const entries = [];
+  for (const entry of poolEntries) {
+    if (!force && entry.check?.checkedAt && (now - entry.check.checkedAt) * 1000 < KEY_RECHECK_MS) {
+      entries.push(entry);
+      continue;
+    }
+    let info;
+    try {
+      info = await api.fetchKeyInfo(entry.key);
+    } catch (err) {
+      if (err.removeKey) {
+        ui.showError(`Removed "${entry.label}" from the key pool: ${err.message || 'key rejected'}`);
+        changed = true;
+        continue;
+      }
+      // Network or rate limit: keep the key as it is and try again next time
+      entries.push(entry);
+      continue;
+    }
+    const result = checkKeyInfo(info);
+    const factionId = keyFactionId(info);
+    let problem = null;
+    if (!result.ok) problem = `missing ${result.missing.join(', ') || 'faction access'}`;
+    else if (profile.factionId && factionId && factionId !== profile.factionId) problem = `owner is in faction ${factionId}`;
+    if (problem) api.benchPoolKey(entry.key, problem);
+    else api.restorePoolKey(entry.key);
+    entries.push({ ...entry, check: { checkedAt: now, problem } });
+    changed = true;
+  }
+  if (changed) await saveKeyPool(entries);
 }
 
 /**
- * Save API key and re-init
+ * Key storage state for the key security panel
  */
-export async function saveApiKey(key) {
-  await db.setConfig('apiKey', key.trim());
+async function keySecurityState() {
+  const encrypted = Boolean(await db.getConfig('apiKeyEncrypted'));
+  return { hasKey: encrypted || Boolean(await db.getConfig('apiKey')), encrypted, unlocked: Boolean(unlockedApiKey), autoLockMinutes: AUTO_LOCK_MS / 60000 };
+}
+
+/**
+ * Decrypt the stored key with a passphrase and continue loading
+ */
+async function unlockApiKey(passphrase) {
+  try {
+    unlockedApiKey = await decryptSecret(await db.getConfig('apiKeyEncrypted'), passphrase);
+    ui.clearError();
+    startAutoLock();
+    await init();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to unlock');
+  }
+}
+
+/**
+ * Drop the unlocked key from memory and ask for the passphrase again
+ */
+function lockApiKey() {
+  if (!unlockedApiKey) return;
+  unlockedApiKey = null;
+  poolEntries = [];
+  setKeyPool(null);
+  stopAutoRefresh();
+  ui.showUnlockForm();
+  keySecurityState().then(ui.renderKeySecurity);
+}
+
+/**
+ * Lock the key after AUTO_LOCK_MS without clicks, key presses or scrolling
+ */
+function startAutoLock() {
+  lastActivityAt = Date.now();
+  if (autoLockId) return;
+  const touch = () => {
+    lastActivityAt = Date.now();
+  };
+  ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach((type) => document.addEventListener(type, touch, { passive: true }));
+  autoLockId = setInterval(() => {
+    if (unlockedApiKey && Date.now() - lastActivityAt >= AUTO_LOCK_MS) lockApiKey();
+  }, 30000);
+}
+
+/**
+ * Encrypt the stored plaintext key with a new passphrase
+ */
+async function encryptApiKey(passphrase) {
+  try {
+    const key = await db.getConfig('apiKey');
+    if (!key) throw new Error('No plaintext key is stored');
+    await storeApiKey(key, passphrase);
+    ui.clearError();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to encrypt key');
+  }
+}
+
+/**
+ * Re-encrypt the stored key under a new passphrase (the current one must decrypt it)
+ */
+async function changePassphrase(current, next) {
+  try {
+    const key = await decryptSecret(await db.getConfig('apiKeyEncrypted'), current);
+    await storeApiKey(key, next);
+    ui.clearError();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to change passphrase');
+  }
+}
+
+/**
+ * Go back to a plaintext key (the current passphrase must decrypt it)
+ */
+async function removeKeyEncryption(current) {
+  try {
+    const key = await decryptSecret(await db.getConfig('apiKeyEncrypted'), current);
+    await storeApiKey(key, null);
+    ui.clearError();
+  } catch (err) {
+    ui.showError(err.message || 'Failed to remove encryption');
+  }
+}
+
+/**
+ * Forget a key whose passphrase was lost, then ask for a new key
+ */
+async function forgetApiKey() {
+  await clearApiKey();
+  // A pool encrypted under the forgotten key can't be read any more
+  await saveKeyPool([]);
+  stopAutoRefresh();
+  ui.clearError();
+  ui.showApiKeyForm();
+  ui.renderKeySecurity(await keySecurityState());
+}
+
+/**
+ * Check a key's format and permissions (API errors become a failed check)
+ * Malformed keys are never sent to Torn
+ */
+async function checkApiKey(key) {
+  if (!isKeyFormat(key)) return checkKeyInfo(null, { key, error: 'not checked' });
+  try {
+    const info = await api.fetchKeyInfo(key);
+    return { ...checkKeyInfo(info, { key }), factionId: keyFactionId(info), ownerId: keyOwnerId(info) };
+  } catch (err) {
+    return checkKeyInfo(null, { key, error: err.message || 'request failed' });
+  }
+}
+
+/**
+ * Validate the API key, then save it and re-init; a failing key is not stored
+ * With a passphrase the key is stored encrypted
+ */
+export async function saveApiKey(key, passphrase = null) {
+  const trimmed = key.trim();
+  ui.clearError();
+  const result = await checkApiKey(trimmed);
+  if (!result.ok) {
+    ui.showKeyCheck(result);
+    return;
+  }
+  const profile = activeProfile();
+  if (profile.factionId && result.factionId && result.factionId !== profile.factionId) {
+    ui.showError(factionMismatchMessage(result.factionId, profile));
+    return;
+  }
+  if (!profile.factionId && result.factionId) profiles.setProfileFaction(profile.id, result.factionId);
+  await storeApiKey(trimmed, passphrase);
+  await db.setConfig('keyCheck', { checkedAt: Math.floor(Date.now() / 1000), missing: [], factionId: result.factionId, ownerId: result.ownerId });
+  await init();
+}
+
+/** Stored key permissions are re-checked this often, so a downgraded key is caught early */
+const KEY_RECHECK_MS = 1800000;
+let keyWatchId = null;
+
+/**
+ * Re-check the stored key's permissions now if the last check is stale, then periodically
+ */
+function startKeyWatch() {
+  if (keyWatchId) return;
+  recheckApiKey(false);
+  keyWatchId = setInterval(() => recheckApiKey(false), KEY_RECHECK_MS);
+}
+
+/**
+ * Re-check the stored key and the pooled keys; warn with the missing selections, drop keys Torn has disabled
+ * @param {boolean} force - check even if the last check is recent
+ */
+async function recheckApiKey(force) {
+  try {
+    const apiKey = await getApiKey();
+    if (!apiKey) return;
+    await recheckPoolKeys(force);
+    const last = await db.getConfig('keyCheck');
+    if (!force && last?.checkedAt && Date.now() - last.checkedAt * 1000 < KEY_RECHECK_MS) {
+      if (last.missing?.length) ui.showError(`Your API key is missing: ${last.missing.join(', ')}. Update its permissions on Torn.`);
+      return;
+    }
+    const info = await api.fetchKeyInfo(apiKey);
+    const result = checkKeyInfo(info);
+    const factionId = keyFactionId(info);
+    await db.setConfig('keyCheck', { checkedAt: Math.floor(Date.now() / 1000), missing: result.missing, factionId, ownerId: keyOwnerId(info) });
+    const profile = activeProfile();
+    if (profile.factionId && factionId && factionId !== profile.factionId) {
+      stopAutoRefresh();
+      ui.showError(factionMismatchMessage(factionId, profile));
+      ui.showApiKeyForm();
+      return;
+    }
+    if (!profile.factionId && factionId) {
+      profiles.setProfileFaction(profile.id, factionId);
+      ui.renderProfiles(profiles.listProfiles(), profile.id);
+    }
+    ui.showKeyCheck(result);
+    if (!result.ok) ui.showError(`Your API key is missing: ${result.missing.join(', ')}. Update its permissions on Torn.`);
+  } catch (err) {
+    if (err.removeKey) {
+      ui.showError(err.message || 'API key was rejected');
+      await clearApiKey();
+      stopAutoRefresh();
+      ui.showApiKeyForm();
+    }
+    // Anything else (network, rate limit): try again on the next interval
+  }
+}
+
+/**
+ * The open profile (a fixed profile in demo mode, which never touches the registry)
+ */
+function activeProfile() {
+  return demoMode ? DEMO_PROFILE : profiles.getActiveProfile();
+}
+
+/**
+ * Point the API layer at the fake Torn API and start from fresh demo data with the demo key
+ * Fixture timestamps are shifted to the present, so data from an earlier visit would not line up
+ */
+async function startDemo() {
+  if (demoStarted) return;
+  demoStarted = true;
+  api.setBackend({ fetch: createFakeTorn({ now: Math.floor(Date.now() / 1000) }).fetch });
+  await db.deleteDatabase(DEMO_DB_NAME);
+  db.useDatabase(DEMO_DB_NAME);
+  await db.setConfig('apiKey', DEMO_KEYS.demo);
+}
+
+/**
+ * Error for a key whose owner is in another faction than the profile tracks
+ */
+function factionMismatchMessage(factionId, profile) {
+  return `This API key belongs to a member of faction ${factionId}, but profile "${profile.name}" tracks faction ${profile.factionId}. Create a new profile for that faction.`;
+}
+
+/**
+ * Forget per-faction state held in memory (timers, unlocked key, roster cache)
+ */
+function resetProfileState() {
+  stopAutoRefresh();
+  if (keyWatchId) {
+    clearInterval(keyWatchId);
+    keyWatchId = null;
+  }
+  unlockedApiKey = null;
+  poolEntries = [];
+  setKeyPool(null);
+  factionMembersMap = {};
+  rosterFetchedAt = 0;
+  plannerChain = null;
+  alertedKeys.clear();
+}
+
+/**
+ * Open another profile: its own key, config and chain history
+ */
+async function switchProfile(id) {
+  if (id === profiles.getActiveProfile().id) return;
+  try {
+    profiles.setActiveProfile(id);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to switch profile');
+    return;
+  }
+  resetProfileState();
   ui.clearError();
   await init();
 }
 
+/**
+ * Add a profile and switch to it (it starts with the API key form)
+ */
+async function createProfile(name) {
+  try {
+    const profile = profiles.createProfile(name);
+    await switchProfile(profile.id);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to create profile');
+  }
+}
+
+/**
+ * Rename a profile
+ */
+function renameProfile(id, name) {
+  try {
+    profiles.renameProfile(id, name);
+    ui.renderProfiles(profiles.listProfiles(), profiles.getActiveProfile().id);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to rename profile');
+  }
+}
+
+/**
+ * Delete a profile and its database (deleting the open profile switches to the default one)
+ */
+async function deleteProfile(id) {
+  try {
+    const wasActive = id === profiles.getActiveProfile().id;
+    profiles.removeProfile(id);
+    if (wasActive) {
+      resetProfileState();
+      db.useDatabase(profiles.profileDbName(profiles.DEFAULT_PROFILE_ID));
+    }
+    await db.deleteDatabase(profiles.profileDbName(id));
+    ui.clearError();
+    if (wasActive) await init();
+    else ui.renderProfiles(profiles.listProfiles(), profiles.getActiveProfile().id);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to delete profile');
+  }
+}
+
 /**
  * Handle API key form submit
  */
-export function onApiKeySubmit(key) {
-  saveApiKey(key);
+export function onApiKeySubmit(key, passphrase) {
+  saveApiKey(key, passphrase);
 }
 
 /**
  * Select a historical chain to view (from IndexedDB cache)
+ * Leaves the live chain: its countdown and refreshes stop until the dashboard loads it again
  */
 export async function selectChain(chainId) {
+  stopAutoRefresh();
   const chain = await db.getChain(chainId);
   if (chain) {
-    ui.showDashboard(chain, null, factionMembersMap);
+    await renderDashboard(chain, null);
   }
 }
 
@@ -366,6 +950,7 @@ async function loadMoreChains(apiKey, paginationContext, currentApiChains = [])
  * Fetch chain from API and show dashboard (when user picks from chains list)
  */
 async function onFetchChainFromApi(apiKey, chainFromApi) {
+  stopAutoRefresh();
   ui.showLoading();
   try {
     const chainData = {
@@ -376,11 +961,12 @@ async function onFetchChainFromApi(apiKey, chainFromApi) {
       current: null,
     };
     const chain = await loadAndSyncChain(apiKey, chainData);
-    ui.showDashboard(chain, apiKey, factionMembersMap);
+    await renderDashboard(chain, apiKey);
   } catch (err) {
+    if (err.staleProfile) return;
     ui.showError(err.message || 'Failed to load chain');
     if (err.removeKey) {
-      await db.setConfig('apiKey', null);
+      await clearApiKey();
       ui.showApiKeyForm();
       return;
     }
@@ -390,3 +976,201 @@ async function onFetchChainFromApi(apiKey, chainFromApi) {
     ui.showNoActiveChain(apiChains, cachedChains, apiKey, apiChainsData._metadata, onFetchChainFromApi, loadMoreChains);
   }
 }
+
+/**
+ * Download a backup of all chains and config
+ */
+async function downloadBackup(includeApiKey) {
+  try {
+    const data = await backup.createBackup({ includeApiKey, factionId: await profileFactionId() });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`chain-tracker-backup-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+  } catch (err) {
+    ui.showError(err.message || 'Failed to create backup');
+  }
+}
+
+/**
+ * Faction the open profile tracks: set by its first key, or known from the last key check
+ * @returns {Promise<number|null>}
+ */
+async function profileFactionId() {
+  return activeProfile().factionId ?? (await db.getConfig('keyCheck'))?.factionId ?? null;
+}
+
+/**
+ * Restore a parsed backup file, then reload the current view
+ * A backup of another faction is refused; a profile without a faction yet takes the backup's
+ */
+async function restoreFromBackup(data, mode) {
+  try {
+    const factionId = await profileFactionId();
+    const report = await backup.restoreBackup(data, { mode, factionId });
+    const profile = activeProfile();
+    if (!demoMode && !factionId && data.factionId) {
+      profiles.setProfileFaction(profile.id, data.factionId);
+      ui.renderProfiles(profiles.listProfiles(), profile.id);
+    }
+    ui.clearError();
+    ui.showRestoreResult(report);
+    stopAutoRefresh();
+    await init();
+    // Check the key stored now against Torn instead of trusting a check from before the restore
+    await recheckApiKey(true);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to restore backup');
+  }
+}
+
+/**
+ * Compute payouts for a chain with the given rules; saves the rules and the result on the chain
+ */
+async function calculatePayout(chainId, rawRules) {
+  try {
+    const rules = normalizeRules(rawRules);
+    await db.setConfig('payoutRules', rules);
+    const chain = await db.getChain(chainId);
+    if (!chain) return;
+    chain.payout = computePayout(buildMemberRows(chain, factionMembersMap), rules);
+    await db.saveChain(chain);
+    ui.setPayoutRules(rules);
+    ui.renderPayout(chain);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to calculate payout');
+  }
+}
+
+/**
+ * Show the cross-chain leaderboard (cached chains only, no API calls)
+ */
+async function viewLeaderboard() {
+  stopAutoRefresh();
+  const chains = await db.getAllChains();
+  ui.clearError();
+  ui.showLeaderboard(chains, factionMembersMap);
+}
+
+/**
+ * Show hour-of-day coverage across cached chains
+ */
+async function viewCoverage() {
+  stopAutoRefresh();
+  const chains = await db.getAllChains();
+  const chainEvents = await Promise.all(chains.map(async (chain) => {
+    const [attacks, snapshots] = await Promise.all([db.getAttacksByChain(chain.chainId), db.getChainSnapshots(chain.chainId)]);
+    return { chain, ...chainHitEvents(chain, attacks, snapshots) };
+  }));
+  ui.clearError();
+  ui.showCoverage(chainEvents);
+}
+
+/**
+ * Compare cached chains side by side
+ */
+async function compareChains(chainIds) {
+  stopAutoRefresh();
+  const chains = (await Promise.all(chainIds.map((id) => db.getChain(id)))).filter(Boolean);
+  ui.clearError();
+  ui.showComparison(chains, factionMembersMap);
+}
+
+/**
+ * Leave a secondary view and reload the main one
+ */
+async function goBack() {
+  await init();
+}
+
+/**
+ * Save consumption rule settings (disabled built-ins + custom rules)
+ * Applies to news parsed from now on; already-processed news keeps its counts
+ */
+async function saveConsumptionRules({ disabled = [], custom = [] }) {
+  try {
+    const settings = { disabled, custom: custom.map(validateRule) };
+    await db.setConfig('consumptionRules', settings);
+    ui.clearError();
+    ui.setConsumptionRules(settings, resolveRules(settings));
+  } catch (err) {
+    ui.showError(err.message || 'Invalid consumption rule');
+  }
+}
+
+/**
+ * Save efficiency flag rules (applied to every chain when it is displayed)
+ */
+async function saveFlagRules(rawRules) {
+  const rules = normalizeFlagRules(rawRules);
+  await db.setConfig('efficiencyFlags', rules);
+  ui.setFlagRules(rules);
+}
+
+/**
+ * Save (or reset, when template is null) the summary post template for one format
+ */
+async function saveReportTemplate(format, template) {
+  const stored = { ...((await db.getConfig('reportTemplates')) ?? {}) };
+  if (template == null) delete stored[format];
+  else stored[format] = template;
+  await db.setConfig('reportTemplates', stored);
+  ui.setReportTemplates(resolveTemplates(stored));
+}
+
+/**
+ * Rebuild a chain's consumption and totals from its stored raw news (no API calls)
+ */
+async function recomputeChain(chainId) {
+  try {
+    const chain = await db.getChain(chainId);
+    if (!chain) return;
+    const stored = await db.getNewsByChain(chainId);
+    const storedIds = new Set(stored.map((n) => n.id));
+    const missing = (chain.processedNewsIds ?? []).filter((id) => !storedIds.has(id)).length;
+    if (missing > 0) {
+      ui.showError(`Can't recompute chain #${chainId}: ${missing} news entries were synced before raw news was stored`);
+      return;
+    }
+
+    const processedIds = new Set();
+    const consumption = extractConsumption(stored, chain.start, chain.end ?? Infinity, processedIds, await loadConsumptionRules());
+    chain.consumption = {};
+    mergeConsumption(chain, consumption);
+    chain.processedNewsIds = Array.from(processedIds);
+    updateTotals(chain);
+    await db.saveChain(chain);
+
+    ui.clearError();
+    ui.updateDashboardChain(chain);
+  } catch (err) {
+    ui.showError(err.message || 'Failed to recompute chain');
+  }
+}
+
+/**
+ * Re-download all news for a chain back to its start (ignores the high-water mark)
+ */
+async function resyncChain(chainId) {
+  const apiKey = await getApiKey();
+  const chain = await db.getChain(chainId);
+  if (!apiKey || !chain) return;
+
+  ui.showLoading();
+  try {
+    const live = chain.status === 'active' ? await api.fetchCurrentChain(apiKey) : null;
+    const source = live && (live.id ?? live.chain_id) === chainId
+      ? live
+      : { id: chainId, chain_id: chainId, start: chain.start, end: chain.end, current: null };
+    const updated = await loadAndSyncChain(apiKey, source, { fullBackfill: true });
+    ui.clearError();
+    await renderDashboard(updated, apiKey);
+  } catch (err) {
+    if (err.staleProfile) return;
+    ui.showError(err.message || 'Failed to resync chain');
+    if (err.removeKey) {
+      await clearApiKey();
+      ui.showApiKeyForm();
+      return;
+    }
+    await renderDashboard(chain, apiKey);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Attacks - individual chain hits from the v2 attacks endpoint, and summaries chain reports can't give
+ */
+
+import { BONUS_MILESTONES } from './alerts.js';
+
+/** Results that cost an attack without adding to the chain */
+export const WASTED_RESULTS = ['Lost', 'Stalemate', 'Escape', 'Timeout', 'Interrupted'];
+
+/** Attacks finishing up to this long after their start are still picked up by incremental syncs */
+export const ATTACK_OVERLAP_SECS = 600;
+
+/**
+ * Attack API payload -> stored hit record
+ * @param {Object} attack - item from fetchFactionAttacks
+ * @param {number} chainId
+ * @returns {{ id: number, chainId: number, timestamp: number, started: number, attackerId: string, attackerName: string, defenderId: string, defenderName: string, result: string, respect: number, chain: number }}
+ */
+export function toAttackRecord(attack, chainId) {
+  const attacker = attack.attacker ?? {};
+  const defender = attack.defender ?? {};
+  return {
+    id: attack.id,
+    chainId,
+    started: attack.started ?? attack.timestamp_started ?? null,
+    timestamp: attack.ended ?? attack.timestamp_ended ?? attack.started ?? attack.timestamp_started,
+    attackerId: String(attacker.id ?? attack.attacker_id ?? ''),
+    attackerName: attacker.name ?? attack.attacker_name ?? String(attacker.id ?? ''),
+    defenderId: String(defender.id ?? attack.defender_id ?? ''),
+    defenderName: defender.name ?? attack.defender_name ?? String(defender.id ?? ''),
+    result: attack.result ?? 'Unknown',
+    respect: attack.respect_gain ?? attack.respect ?? 0,
+    chain: attack.chain ?? 0,
+  };
+}
+
+/**
+ * True when a hit landed on a bonus milestone
+ * @param {{ chain: number }} record
+ * @returns {boolean}
+ */
+export function isBonusHit(record) {
+  return BONUS_MILESTONES.includes(record.chain);
+}
+
+/**
+ * True when an attack was wasted (loss, stalemate, escape, ...)
+ * @param {{ result: string }} record
+ * @returns {boolean}
+ */
+export function isWasted(record) {
+  return WASTED_RESULTS.includes(record.result);
+}
+
+/**
+ * Summarize stored hits: bonus hits, wasted attacks, assists and per-member timelines
+ * @param {Object[]} records - from toAttackRecord
+ * @returns {{ total: number, counted: number, bonus: Object[], wasted: Record<string, number>, wastedTotal: number, assists: number, members: { id: string, name: string, hits: number, wasted: number, assists: number, bonus: number, respect: number, timestamps: number[] }[] }}
+ */
+export function attackSummary(records) {
+  const sorted = [...records].sort((a, b) => a.timestamp - b.timestamp);
+  const wasted = {};
+  const members = new Map();
+  const summary = { total: sorted.length, counted: 0, bonus: [], wasted, wastedTotal: 0, assists: 0, members: [] };
+
+  for (const r of sorted) {
+    const m = members.get(r.attackerId)
+      ?? { id: r.attackerId, name: r.attackerName, hits: 0, wasted: 0, assists: 0, bonus: 0, respect: 0, timestamps: [] };
+    m.name = r.attackerName || m.name;
+    if (r.result === 'Assist') {
+      summary.assists += 1;
+      m.assists += 1;
+    } else if (isWasted(r)) {
+      wasted[r.result] = (wasted[r.result] ?? 0) + 1;
+      summary.wastedTotal += 1;
+      m.wasted += 1;
+    } else {
+      summary.counted += 1;
+      m.hits += 1;
+      m.respect += r.respect;
+      m.timestamps.push(r.timestamp);
+      if (isBonusHit(r)) {
+        summary.bonus.push(r);
+        m.bonus += 1;
+      }
+    }
+    members.set(r.attackerId, m);
+  }
+
+  summary.members = Array.from(members.values()).sort((a, b) => b.hits - a.hits);
+  return summary;
+}
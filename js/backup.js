@@ -0,0 +1,244 @@
+/**
+ * Backup / restore - dump chains, raw news, attacks, chain and roster snapshots and config to a versioned JSON file and load it back
+ */
+
+import * as db from './db.js';
+
+const BACKUP_FORMAT = 'chain-tracker-backup';
+/** 2 added roster and chain snapshots and attacks; version 1 files still restore */
+const BACKUP_VERSION = 2;
+
+/** Config entries holding API keys (plaintext or encrypted): the profile's own key and the key pool */
+const KEY_ENTRIES = new Set(['apiKey', 'apiKeyEncrypted', 'apiKeyPool', 'apiKeyPoolEncrypted']);
+
+/** Config entries describing the stored key (its last permission check): only valid alongside that key */
+const KEY_BOUND_ENTRIES = new Set(['keyCheck']);
+
+/**
+ * Backup config entries to write: key entries only when the local key isn't kept, key-bound
+ * entries only together with the key they describe
+ * @param {Object[]} config - backup config entries
+ * @param {boolean} localKeyKept
+ * @returns {Object[]}
+ */
+function restorableConfig(config, localKeyKept) {
+  const keyRestored = !localKeyKept && config.some((entry) => (entry.key === 'apiKey' || entry.key === 'apiKeyEncrypted') && entry.value);
+  return config.filter((entry) => {
+    if (KEY_ENTRIES.has(entry.key)) return !localKeyKept;
+    if (KEY_BOUND_ENTRIES.has(entry.key)) return keyRestored;
+    return true;
+  });
+}
+
+/**
+ * Build a backup of all chains, raw news, attacks, chain and roster snapshots and config
+ * @param {Object} [options]
+ * @param {boolean} [options.includeApiKey=false] - an encrypted key stays encrypted in the file
+ * @param {number|null} [options.factionId=null] - faction the profile tracks, checked on restore
+ * @returns {Promise<Object>}
+ */
+export async function createBackup({ includeApiKey = false, factionId = null } = {}) {
+  const [chains, config, news, rosters, snapshots, attacks] = await Promise.all([
+    db.getAllChains(),
+    db.getAllConfig(),
+    db.getAllNews(),
+    db.getRosterSnapshots(),
+    db.getAllChainSnapshots(),
+    db.getAllAttacks(),
+  ]);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion: db.DB_VERSION,
+    createdAt: Math.floor(Date.now() / 1000),
+    factionId,
+    chains,
+    news,
+    rosters,
+    snapshots,
+    attacks,
+    config: config.filter((entry) => includeApiKey || !(KEY_ENTRIES.has(entry.key) || KEY_BOUND_ENTRIES.has(entry.key))),
+  };
+}
+
+/**
+ * Validate parsed backup data, throwing on anything that can't be restored
+ * @param {any} data
+ * @returns {Object} the same data
+ */
+export function validateBackup(data) {
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    throw new Error('Not a Chain Tracker backup file');
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${data.version}`);
+  }
+  if (!Array.isArray(data.chains) || !Array.isArray(data.config)) {
+    throw new Error('Backup is missing chains or config');
+  }
+  if (data.factionId != null && !(Number.isInteger(data.factionId) && data.factionId > 0)) {
+    throw new Error('Backup faction must be a faction id');
+  }
+  data.chains.forEach((chain, i) => {
+    if (!chain || typeof chain !== 'object' || chain.chainId == null) {
+      throw new Error(`Backup chain #${i + 1} has no chainId`);
+    }
+  });
+  if (data.news != null && !Array.isArray(data.news)) {
+    throw new Error('Backup news must be a list');
+  }
+  (data.news ?? []).forEach((entry, i) => {
+    if (!entry || entry.id == null || entry.chainId == null) {
+      throw new Error(`Backup news entry #${i + 1} has no id or chainId`);
+    }
+  });
+  if (data.rosters != null && !Array.isArray(data.rosters)) {
+    throw new Error('Backup rosters must be a list');
+  }
+  (data.rosters ?? []).forEach((roster, i) => {
+    if (!roster || !Number.isFinite(roster.firstSeen) || !Array.isArray(roster.members)) {
+      throw new Error(`Backup roster #${i + 1} has no firstSeen or members`);
+    }
+  });
+  if (data.snapshots != null && !Array.isArray(data.snapshots)) {
+    throw new Error('Backup snapshots must be a list');
+  }
+  (data.snapshots ?? []).forEach((snapshot, i) => {
+    if (!snapshot || snapshot.chainId == null || !Number.isFinite(snapshot.timestamp)) {
+      throw new Error(`Backup snapshot #${i + 1} has no chainId or timestamp`);
+    }
+  });
+  if (data.attacks != null && !Array.isArray(data.attacks)) {
+    throw new Error('Backup attacks must be a list');
+  }
+  (data.attacks ?? []).forEach((attack, i) => {
+    if (!attack || attack.id == null || attack.chainId == null) {
+      throw new Error(`Backup attack #${i + 1} has no id or chainId`);
+    }
+  });
+  data.config.forEach((entry, i) => {
+    if (!entry || typeof entry.key !== 'string') {
+      throw new Error(`Backup config entry #${i + 1} has no key`);
+    }
+  });
+  return data;
+}
+
+/**
+ * True when b holds more chain data than a (finished beats active, then more hits)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isMoreComplete(a, b) {
+  const aDone = a.status === 'finished';
+  const bDone = b.status === 'finished';
+  if (aDone !== bDone) return bDone;
+  return (b.totals?.hits ?? 0) > (a.totals?.hits ?? 0);
+}
+
+/**
+ * Backup rosters not cached yet (matched by firstSeen), without ids so the store assigns new ones
+ * Roster history is kept in both restore modes: it isn't tied to chains, and detection needs the oldest snapshots
+ * @param {Object[]} rosters
+ * @returns {Promise<Object[]>}
+ */
+async function newRosters(rosters) {
+  const known = new Set((await db.getRosterSnapshots()).map((r) => r.firstSeen));
+  return rosters
+    .filter((r) => !known.has(r.firstSeen))
+    .map(({ id: _, ...roster }) => roster);
+}
+
+/**
+ * Backup chain snapshots for the given chains that aren't cached yet (matched by timestamp), without ids
+ * @param {Object[]} snapshots
+ * @param {Set<number>} chainIds - chains taken from the backup
+ * @param {boolean} localKept - false after a replace, when no local snapshots are left to match
+ * @returns {Promise<Object[]>}
+ */
+async function newChainSnapshots(snapshots, chainIds, localKept) {
+  const known = new Set(localKept
+    ? (await db.getAllChainSnapshots()).map((s) => `${s.chainId}:${s.timestamp}`)
+    : []);
+  return snapshots
+    .filter((s) => chainIds.has(s.chainId) && !known.has(`${s.chainId}:${s.timestamp}`))
+    .map(({ id: _, ...snapshot }) => snapshot);
+}
+
+/**
+ * Restore a validated backup
+ * merge: add new chains; on conflict keep whichever copy is more complete; keep local settings
+ * and the local API key, only adding settings missing here
+ * replace: drop all local chains and write the backup's chains and config
+ * The last key check (keyCheck) is only restored along with the backup's key; the caller re-checks the key
+ * Raw news, chain snapshots and attacks come along with the chains taken from the backup;
+ * both modes add the backup's roster snapshots to the local ones
+ * A backup of another faction than the profile's is refused (err.factionMismatch is set)
+ * @param {Object} data - parsed backup
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode='merge']
+ * @param {number|null} [options.factionId=null] - faction the profile tracks, if known
+ * @returns {Promise<{ mode: string, added: number, updated: number, unchanged: number, conflicts: { chainId: number, kept: 'local'|'backup' }[] }>}
+ */
+export async function restoreBackup(data, { mode = 'merge', factionId = null } = {}) {
+  validateBackup(data);
+  if (data.factionId && factionId && data.factionId !== factionId) {
+    const err = new Error(`This backup is from faction ${data.factionId}, but this profile tracks faction ${factionId}. Restore it into a profile for that faction.`);
+    err.factionMismatch = true;
+    throw err;
+  }
+
+  const report = { mode, added: 0, updated: 0, unchanged: 0, conflicts: [] };
+
+  if (mode === 'replace') {
+    report.added = data.chains.length;
+    const rosters = await newRosters(data.rosters ?? []);
+    const snapshots = await newChainSnapshots(data.snapshots ?? [], new Set(data.chains.map((c) => c.chainId)), false);
+    const localKeyKept = !data.config.some((entry) => KEY_ENTRIES.has(entry.key));
+    await db.bulkWrite({
+      chains: data.chains,
+      config: restorableConfig(data.config, localKeyKept),
+      news: data.news ?? [],
+      rosters,
+      snapshots,
+      attacks: data.attacks ?? [],
+      clearChains: true,
+    });
+    return report;
+  }
+
+  const existing = new Map((await db.getAllChains()).map((c) => [c.chainId, c]));
+  const chains = [];
+  for (const chain of data.chains) {
+    const local = existing.get(chain.chainId);
+    if (!local) {
+      report.added += 1;
+      chains.push(chain);
+    } else if (JSON.stringify(local) === JSON.stringify(chain)) {
+      report.unchanged += 1;
+    } else if (isMoreComplete(local, chain)) {
+      report.updated += 1;
+      report.conflicts.push({ chainId: chain.chainId, kept: 'backup' });
+      chains.push(chain);
+    } else {
+      report.conflicts.push({ chainId: chain.chainId, kept: 'local' });
+    }
+  }
+
+  const localKeySet = Boolean((await db.getConfig('apiKey')) || (await db.getConfig('apiKeyEncrypted')));
+  const localConfig = new Set((await db.getAllConfig()).filter((entry) => entry.value != null).map((entry) => entry.key));
+  const config = restorableConfig(data.config, localKeySet).filter((entry) => !localConfig.has(entry.key));
+
+  // A kept local chain keeps its own news and attacks: the backup's could hold items its counts don't include
+  const restoredIds = new Set(chains.map((c) => c.chainId));
+  await db.bulkWrite({
+    chains,
+    config,
+    news: (data.news ?? []).filter((n) => restoredIds.has(n.chainId)),
+    rosters: await newRosters(data.rosters ?? []),
+    snapshots: await newChainSnapshots(data.snapshots ?? [], restoredIds, true),
+    attacks: (data.attacks ?? []).filter((a) => restoredIds.has(a.chainId)),
+  });
+  return report;
+}
@@ -0,0 +1,113 @@
+/**
+ * Charts - dependency-free SVG line charts (work offline from cached data)
+ */
+
+/** Series colors, in order */
+export const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+/**
+ * Escape text for SVG/HTML output
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Round a maximum up to 1, 2 or 5 times a power of ten (axis top)
+ * @param {number} max
+ * @returns {number}
+ */
+export function niceMax(max) {
+  if (!(max > 0)) return 1;
+  const power = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 5, 10].find((m) => m * power >= max);
+  return step * power;
+}
+
+/**
+ * Render a line chart as an SVG string
+ * @param {Object} options
+ * @param {{ label: string, points: { x: number, y: number }[], color?: string }[]} options.series
+ * @param {number} [options.width=640]
+ * @param {number} [options.height=220]
+ * @param {(x: number) => string} [options.formatX] - x axis label (default: local time from Unix seconds)
+ * @param {(y: number) => string} [options.formatY]
+ * @param {string} [options.title] - accessible title
+ * @returns {string}
+ */
+export function lineChart({
+  series,
+  width = 640,
+  height = 220,
+  formatX = (x) => new Date(x * 1000).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+  formatY = (y) => Number(y).toLocaleString(),
+  title = '',
+}) {
+  const pad = { top: 10, right: 12, bottom: 24, left: 56 };
+  const points = series.flatMap((s) => s.points);
+  if (points.length === 0) {
+    return `<svg viewBox="0 0 ${width} ${height}" class="w-full" role="img"><text x="${width / 2}" y="${height / 2}" text-anchor="middle" font-size="12" fill="#6b7280">No data</text></svg>`;
+  }
+
+  const minX = Math.min(...points.map((p) => p.x));
+  const maxX = Math.max(...points.map((p) => p.x));
+  const maxY = niceMax(Math.max(...points.map((p) => p.y)));
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const sx = (x) => pad.left + (maxX === minX ? plotW : ((x - minX) / (maxX - minX)) * plotW);
+  const sy = (y) => pad.top + plotH - (y / maxY) * plotH;
+
+  const grid = [0, 0.5, 1].map((f) => {
+    const y = sy(maxY * f);
+    return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y}" y2="${y}" stroke="#e5e7eb" />`
+      + `<text x="${pad.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="#6b7280">${escapeXml(formatY(maxY * f))}</text>`;
+  }).join('');
+
+  const xLabels = `<text x="${pad.left}" y="${height - 6}" font-size="11" fill="#6b7280">${escapeXml(formatX(minX))}</text>`
+    + (maxX > minX ? `<text x="${width - pad.right}" y="${height - 6}" text-anchor="end" font-size="11" fill="#6b7280">${escapeXml(formatX(maxX))}</text>` : '');
+
+  const lines = series.map((s, i) => {
+    const color = s.color ?? PALETTE[i % PALETTE.length];
+    const d = s.points.map((p, j) => `${j === 0 ? 'M' : 'L'}${sx(p.x).toFixed(1)},${sy(p.y).toFixed(1)}`).join(' ');
+    // A single sample has no segment; mark it with a dot
+    const dot = s.points.length === 1 ? `<circle cx="${sx(s.points[0].x)}" cy="${sy(s.points[0].y)}" r="3" fill="${color}" />` : '';
+    return `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"><title>${escapeXml(s.label)}</title></path>${dot}`;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="${escapeXml(title)}">${grid}${xLabels}${lines}</svg>`;
+}
+
+/**
+ * Legend for a set of series (HTML)
+ * @param {{ label: string, color?: string }[]} series
+ * @returns {string}
+ */
+export function chartLegend(series) {
+  return `<div class="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">${series.map((s, i) => `
+    <span class="inline-flex items-center gap-1"><span class="inline-block w-3 h-3 rounded-sm" style="background:${s.color ?? PALETTE[i % PALETTE.length]}"></span>${escapeXml(s.label)}</span>`).join('')}</div>`;
+}
+
+/**
+ * Render event timestamps as ticks on a thin time strip (SVG string)
+ * @param {number[]} timestamps - Unix seconds
+ * @param {number} from - strip start
+ * @param {number} to - strip end
+ * @param {Object} [options]
+ * @param {number} [options.width=240]
+ * @param {number} [options.height=16]
+ * @param {string} [options.color]
+ * @returns {string}
+ */
+export function timelineStrip(timestamps, from, to, { width = 240, height = 16, color = PALETTE[0] } = {}) {
+  const span = Math.max(1, to - from);
+  const ticks = timestamps
+    .filter((t) => t >= from && t <= to)
+    .map((t) => {
+      const x = (((t - from) / span) * (width - 2) + 1).toFixed(1);
+      return `<line x1="${x}" x2="${x}" y1="2" y2="${height - 2}" stroke="${color}" stroke-opacity="0.7" />`;
+    })
+    .join('');
+  return `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img"><rect x="0" y="0" width="${width}" height="${height}" fill="#f3f4f6" rx="2" />${ticks}</svg>`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Chain comparison - derived per-chain stats and per-member deltas across chains
+ */
+
+import { buildMemberRows } from './members.js';
+
+/**
+ * Derived stats for one chain
+ * @param {Object} chain
+ * @param {number} [now] - Unix seconds, used as end of an active chain
+ * @returns {{ chainId: number, start: number|null, end: number|null, status: string, hits: number, respect: number, xanax: number, points: number, duration: number, hitsPerHour: number, respectPerHit: number, xanaxPer100: number, pointsPer100: number }}
+ */
+export function chainStats(chain, now = Math.floor(Date.now() / 1000)) {
+  const { hits = 0, respect = 0, xanax = 0, points = 0 } = chain.totals ?? {};
+  const start = chain.start ?? null;
+  const end = chain.end ?? null;
+  const duration = start ? Math.max(0, (end ?? now) - start) : 0;
+  return {
+    chainId: chain.chainId,
+    start,
+    end,
+    status: chain.status,
+    hits,
+    respect,
+    xanax,
+    points,
+    duration,
+    hitsPerHour: duration ? hits / (duration / 3600) : 0,
+    respectPerHit: hits ? respect / hits : 0,
+    xanaxPer100: hits ? (xanax / hits) * 100 : 0,
+    pointsPer100: hits ? (points / hits) * 100 : 0,
+  };
+}
+
+/**
+ * Order chains oldest first (by start, then chainId)
+ * @param {Object[]} chains
+ * @returns {Object[]}
+ */
+export function orderChains(chains) {
+  return [...chains].sort((a, b) => (a.start ?? 0) - (b.start ?? 0) || (a.chainId ?? 0) - (b.chainId ?? 0));
+}
+
+/**
+ * Per-member values of one metric across chains, with change from the previous chain
+ * @param {Object[]} chains - in display order
+ * @param {'hits'|'respect'|'xanax'|'points'} metric
+ * @param {Record<string, string>} [membersMap]
+ * @returns {{ id: string, name: string, values: number[], deltas: (number|null)[] }[]}
+ */
+export function memberDeltas(chains, metric, membersMap = {}) {
+  const members = new Map();
+  chains.forEach((chain, i) => {
+    for (const row of buildMemberRows(chain, membersMap)) {
+      const cur = members.get(row.id) ?? { id: row.id, name: row.name, values: new Array(chains.length).fill(0) };
+      cur.name = row.name || cur.name;
+      cur.values[i] = row[metric] ?? 0;
+      members.set(row.id, cur);
+    }
+  });
+
+  return Array.from(members.values()).map((m) => ({
+    ...m,
+    deltas: m.values.map((v, i) => (i === 0 ? null : v - m.values[i - 1])),
+  }));
+}
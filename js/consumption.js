@@ -0,0 +1,256 @@
+/**
+ * Consumption parsing - armory news rule registry, news -> per-member consumption, chain totals
+ */
+
+/** Extract XID and display name from profile link: <a href="...profiles.php?XID=2405862">AJMC</a> */
+const PROFILE_LINK_REGEX = /profiles\.php\?XID=(\d+)(?:[^>]*>([^<]*))?/i;
+
+/** Keys already used on member rows / totals; rule ids may not reuse them */
+const RESERVED_IDS = new Set(['id', 'name', 'hits', 'respect', 'rph']);
+
+/**
+ * Built-in consumption rules
+ * pattern: regex source matched against the news text (case-insensitive)
+ * quantity: 'match' = 1 per match, 'group' = integer from capture group 1
+ */
+export const BUILT_IN_RULES = [
+  { id: 'xanax', label: 'Xanax', pattern: "used one of the faction's Xanax items", quantity: 'match' },
+  { id: 'points', label: 'Points', pattern: 'used (\\d+) faction points', quantity: 'group' },
+  { id: 'edrink', label: 'Energy drinks', pattern: "used one of the faction's Can of [^<]+? items", quantity: 'match' },
+  { id: 'fhc', label: 'FHC', pattern: "used one of the faction's Feathery Hotel Coupon items", quantity: 'match' },
+  { id: 'bloodbag', label: 'Blood bags', pattern: "used one of the faction's Blood Bag[^<]*? items", quantity: 'match' },
+  { id: 'morphine', label: 'Morphine', pattern: "used one of the faction's Morphine items", quantity: 'match' },
+  { id: 'firstaid', label: 'First aid kits', pattern: "used one of the faction's (?:Small )?First Aid Kit items", quantity: 'match' },
+];
+
+/**
+ * Validate a custom rule definition, throwing with a readable message
+ * @param {Object} rule
+ * @returns {{ id: string, label: string, pattern: string, quantity: 'match'|'group' }}
+ */
+export function validateRule(rule) {
+  const id = String(rule?.id ?? '').trim();
+  const label = String(rule?.label ?? '').trim() || id;
+  const pattern = String(rule?.pattern ?? '');
+  const quantity = rule?.quantity === 'group' ? 'group' : 'match';
+  if (!/^[a-z][a-z0-9_]*$/i.test(id)) throw new Error(`Invalid rule id "${id}" (letters, digits, underscore)`);
+  // Rule ids become keys on plain member objects: inherited names like constructor or __proto__ would corrupt counts
+  if (RESERVED_IDS.has(id) || id in Object.prototype) throw new Error(`Rule id "${id}" is reserved`);
+  if (!pattern) throw new Error(`Rule "${id}" has no pattern`);
+  try {
+    new RegExp(pattern, 'gi');
+  } catch {
+    throw new Error(`Rule "${id}" has an invalid pattern`);
+  }
+  return { id, label, pattern, quantity };
+}
+
+/**
+ * Active rules: built-ins not disabled, plus valid custom rules (custom overrides a built-in with the same id)
+ * @param {{ custom?: Object[], disabled?: string[] }} [settings] - stored config 'consumptionRules'
+ * @returns {{ id: string, label: string, pattern: string, quantity: string }[]}
+ */
+export function resolveRules(settings = {}) {
+  const disabled = new Set(settings.disabled ?? []);
+  const rules = new Map();
+  for (const rule of BUILT_IN_RULES) {
+    if (!disabled.has(rule.id)) rules.set(rule.id, rule);
+  }
+  for (const raw of settings.custom ?? []) {
+    try {
+      const rule = validateRule(raw);
+      if (!disabled.has(rule.id)) rules.set(rule.id, rule);
+    } catch {
+      // Skip broken stored rules rather than breaking every sync
+    }
+  }
+  return Array.from(rules.values());
+}
+
+/**
+ * Quantity a rule matches in a news text (0 when it doesn't match)
+ * @param {{ pattern: string, quantity: string }} rule
+ * @param {string} text
+ * @returns {number}
+ */
+export function matchRule(rule, text) {
+  const regex = new RegExp(rule.pattern, 'gi');
+  let total = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0] === '') regex.lastIndex += 1;
+    total += rule.quantity === 'group' ? (parseInt(match[1], 10) || 0) : 1;
+  }
+  return total;
+}
+
+/**
+ * Extract user ID and name from news text (profile link or fallback)
+ * @param {string} text
+ * @returns {{ id: string, name: string }|null}
+ */
+export function extractMemberIdAndName(text) {
+  const match = text.match(PROFILE_LINK_REGEX);
+  if (match) {
+    const id = String(match[1]);
+    const name = (match[2] || '').trim() || extractMemberName(text);
+    return { id, name };
+  }
+  const name = extractMemberName(text);
+  return name ? { id: name, name } : null;
+}
+
+/**
+ * Extract member name from news text (fallback: first part before " used ")
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractMemberName(text) {
+  const usedIdx = text.indexOf(' used ');
+  if (usedIdx > 0) {
+    return text.slice(0, usedIdx).replace(/<[^>]+>/g, '').trim();
+  }
+  const words = text.trim().replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean);
+  return words[0] || 'Unknown';
+}
+
+/**
+ * Timestamp of a news item (Unix seconds)
+ * @param {Object} item
+ * @returns {number}
+ */
+export function newsTimestamp(item) {
+  return item.timestamp ?? item.time ?? item.id;
+}
+
+/**
+ * Stable id of a news item (used for de-duplication and as the raw news key)
+ * @param {Object} item
+ * @returns {string}
+ */
+export function newsItemId(item) {
+  return item.id ?? `${newsTimestamp(item)}-${JSON.stringify(item).slice(0, 50)}`;
+}
+
+/**
+ * Text of a news item
+ * @param {Object} item
+ * @returns {string}
+ */
+export function newsText(item) {
+  return item.news ?? item.text ?? item.content ?? '';
+}
+
+/**
+ * True when a news item was already seen by the sync that left this high-water mark
+ * @param {Object} item
+ * @param {{ timestamp: number, ids: string[] }|null} mark
+ * @returns {boolean}
+ */
+export function isSeenByMark(item, mark) {
+  if (!mark) return false;
+  const ts = newsTimestamp(item);
+  return ts < mark.timestamp || (ts === mark.timestamp && mark.ids.includes(newsItemId(item)));
+}
+
+/**
+ * Move the high-water mark to the newest of the given items
+ * ids holds every item at the mark's timestamp, so same-second news isn't skipped or re-counted
+ * @param {{ timestamp: number, ids: string[] }|null} mark
+ * @param {Object[]} items
+ * @returns {{ timestamp: number, ids: string[] }|null}
+ */
+export function advanceNewsMark(mark, items) {
+  let next = mark ? { timestamp: mark.timestamp, ids: [...mark.ids] } : null;
+  for (const item of items) {
+    const ts = newsTimestamp(item);
+    if (ts == null) continue;
+    const id = newsItemId(item);
+    if (!next || ts > next.timestamp) {
+      next = { timestamp: ts, ids: [id] };
+    } else if (ts === next.timestamp && !next.ids.includes(id)) {
+      next.ids.push(id);
+    }
+  }
+  return next;
+}
+
+/**
+ * Extract consumption from faction news using the given rules
+ * Keys by user ID for matching with chain report; stores name for display
+ * @param {Object[]} newsItems
+ * @param {number} chainStart
+ * @param {number} chainEnd
+ * @param {Set<string>} [processedIds] - Avoid double-counting on refresh
+ * @param {Object[]} [rules] - from resolveRules
+ * @returns {Record<string, { name: string, [ruleId: string]: number|string }>}
+ */
+export function extractConsumption(newsItems, chainStart, chainEnd, processedIds = new Set(), rules = resolveRules()) {
+  const byMember = {};
+
+  for (const item of newsItems) {
+    const ts = newsTimestamp(item);
+    if (ts < chainStart) continue;
+    if (ts > chainEnd) continue;
+    const itemId = newsItemId(item);
+    if (processedIds.has(itemId)) continue;
+    processedIds.add(itemId);
+
+    const text = newsText(item);
+    const member = extractMemberIdAndName(text);
+    if (!member) continue;
+
+    const { id, name } = member;
+    if (!id) continue;
+
+    for (const rule of rules) {
+      const qty = matchRule(rule, text);
+      if (!qty) continue;
+      // Names stand in for ids when there is no profile link, so an id can be "constructor"
+      const cur = Object.hasOwn(byMember, id) ? byMember[id] : { name };
+      cur[rule.id] = (cur[rule.id] || 0) + qty;
+      cur.name = name || cur.name;
+      byMember[id] = cur;
+    }
+  }
+
+  return byMember;
+}
+
+/**
+ * Merge extracted consumption into chain (by user id)
+ * @param {Object} chain
+ * @param {Record<string, Object>} byMember - from extractConsumption
+ */
+export function mergeConsumption(chain, byMember) {
+  const consumption = chain.consumption ?? {};
+  for (const [id, data] of Object.entries(byMember)) {
+    const cur = Object.hasOwn(consumption, id) ? consumption[id] : { xanax: 0, points: 0, name: data.name };
+    const next = { ...cur, name: data.name || cur.name };
+    for (const [key, qty] of Object.entries(data)) {
+      if (key === 'name') continue;
+      next[key] = (cur[key] || 0) + qty;
+    }
+    consumption[id] = next;
+  }
+  chain.consumption = consumption;
+}
+
+/**
+ * Update totals from hits and consumption (one total per consumable key)
+ * @param {Object} chain
+ */
+export function updateTotals(chain) {
+  const totals = { hits: 0, respect: 0, xanax: 0, points: 0 };
+  for (const m of Object.values(chain.hits ?? {})) {
+    totals.hits += m.hits || 0;
+    totals.respect += m.respect || 0;
+  }
+  for (const c of Object.values(chain.consumption ?? {})) {
+    for (const [key, qty] of Object.entries(c)) {
+      if (key === 'name' || typeof qty !== 'number') continue;
+      totals[key] = (totals[key] || 0) + qty;
+    }
+  }
+  chain.totals = totals;
+}
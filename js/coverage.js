@@ -0,0 +1,81 @@
+/**
+ * Coverage - hits by hour of day (TCT) per member, and the longest gaps between hits
+ */
+
+import { isWasted } from './attacks.js';
+
+/** A first snapshot later than this after the chain start only serves as a baseline */
+const SNAPSHOT_BASELINE_SECS = 300;
+
+/**
+ * Timestamped hit events for a chain
+ * Uses stored attacks when hit-level data was loaded; otherwise per-sync snapshot deltas,
+ * where each delta is placed at the snapshot that first saw it (resolution = refresh interval)
+ * @param {Object} chain
+ * @param {Object[]} attacks - from getAttacksByChain
+ * @param {Object[]} snapshots - from getChainSnapshots, oldest first
+ * @returns {{ source: 'attacks'|'snapshots'|'none', events: { memberId: string, name: string, timestamp: number, count: number }[] }}
+ */
+export function chainHitEvents(chain, attacks, snapshots) {
+  const names = Object.fromEntries(Object.entries(chain.hits ?? {}).map(([id, h]) => [id, h.name ?? id]));
+
+  const counted = attacks.filter((a) => a.result !== 'Assist' && !isWasted(a));
+  if (counted.length > 0) {
+    return {
+      source: 'attacks',
+      events: counted.map((a) => ({ memberId: a.attackerId, name: a.attackerName || names[a.attackerId] || a.attackerId, timestamp: a.timestamp, count: 1 })),
+    };
+  }
+
+  if (snapshots.length === 0) return { source: 'none', events: [] };
+
+  // Hits already in a first snapshot taken well after the start have no known time
+  const baseline = snapshots[0].timestamp - (chain.start ?? 0) > SNAPSHOT_BASELINE_SECS;
+  const events = [];
+  let previous = baseline ? (snapshots[0].members ?? {}) : {};
+  for (const snapshot of baseline ? snapshots.slice(1) : snapshots) {
+    for (const [id, stats] of Object.entries(snapshot.members ?? {})) {
+      const delta = (stats.hits ?? 0) - (previous[id]?.hits ?? 0);
+      if (delta > 0) events.push({ memberId: id, name: names[id] ?? id, timestamp: snapshot.timestamp, count: delta });
+    }
+    previous = snapshot.members ?? {};
+  }
+  return { source: 'snapshots', events };
+}
+
+/**
+ * Hits per member per hour of day (TCT, i.e. UTC)
+ * @param {{ memberId: string, name: string, timestamp: number, count: number }[]} events
+ * @returns {{ hours: number[], members: { id: string, name: string, hours: number[], total: number }[] }}
+ */
+export function hourlyCoverage(events) {
+  const hours = new Array(24).fill(0);
+  const members = new Map();
+  for (const e of events) {
+    const hour = new Date(e.timestamp * 1000).getUTCHours();
+    hours[hour] += e.count;
+    const m = members.get(e.memberId) ?? { id: e.memberId, name: e.name, hours: new Array(24).fill(0), total: 0 };
+    m.hours[hour] += e.count;
+    m.total += e.count;
+    members.set(e.memberId, m);
+  }
+  return { hours, members: Array.from(members.values()).sort((a, b) => b.total - a.total) };
+}
+
+/**
+ * Longest gaps between consecutive hits in one chain (chain start and end count as edges)
+ * @param {number[]} timestamps - hit times, any order
+ * @param {number} start - chain start
+ * @param {number} end - chain end (or now)
+ * @param {number} [limit=10]
+ * @returns {{ from: number, to: number, secs: number }[]} longest first
+ */
+export function longestGaps(timestamps, start, end, limit = 10) {
+  const times = [start, ...timestamps.filter((t) => t >= start && t <= end).sort((a, b) => a - b), end];
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) {
+    const secs = times[i] - times[i - 1];
+    if (secs > 0) gaps.push({ from: times[i - 1], to: times[i], secs });
+  }
+  return gaps.sort((a, b) => b.secs - a.secs).slice(0, limit);
+}
@@ -1,14 +1,158 @@
 /**
  * IndexedDB layer for Chain Tracker
- * Database: ChainTrackerDB
- * Object Stores: chains, config
+ * Database: ChainTrackerDB (default profile) or ChainTrackerDB:<profile id>, see useDatabase
+ * Object Stores: chains, config, news (raw armory news, indexed by timestamp and chainId),
+ *   rosters (faction member snapshots, indexed by firstSeen),
+ *   snapshots (per-sync chain totals and member stats, indexed by chainId),
+ *   attacks (individual chain hits, indexed by chainId and timestamp)
+ * Schema changes go through MIGRATIONS; never edit a released step, append a new one
  */
 
-const DB_NAME = 'ChainTrackerDB';
-const DB_VERSION = 1;
-const STORES = { CHAINS: 'chains', CONFIG: 'config' };
+export const DEFAULT_DB_NAME = 'ChainTrackerDB';
+const STORES = { CHAINS: 'chains', CONFIG: 'config', NEWS: 'news', ROSTERS: 'rosters', SNAPSHOTS: 'snapshots', ATTACKS: 'attacks' };
+
+/**
+ * Apply fn to every record of a store inside the upgrade transaction
+ * fn returns the updated record, or undefined to leave it unchanged
+ * @param {IDBTransaction} tx
+ * @param {string} storeName
+ * @param {(record: Object) => Object|undefined} fn
+ */
+function transformRecords(tx, storeName, fn) {
+  const request = tx.objectStore(storeName).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const updated = fn(cursor.value);
+    if (updated !== undefined) cursor.update(updated);
+    cursor.continue();
+  };
+}
+
+/**
+ * Ordered schema migrations; upgrading from version N runs every step with version > N
+ * up(db, tx) runs inside the versionchange transaction
+ * Steps 1 and 2 tolerate existing stores: databases created before migrations existed
+ * built them with "create if missing" checks
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'chains and config stores',
+    up(db) {
+      if (!db.objectStoreNames.contains(STORES.CHAINS)) {
+        db.createObjectStore(STORES.CHAINS, { keyPath: 'chainId' });
+      }
+      if (!db.objectStoreNames.contains(STORES.CONFIG)) {
+        db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
+      }
+    },
+  },
+  {
+    version: 2,
+    description: 'raw news store',
+    up(db) {
+      if (!db.objectStoreNames.contains(STORES.NEWS)) {
+        const news = db.createObjectStore(STORES.NEWS, { keyPath: 'id' });
+        news.createIndex('timestamp', 'timestamp');
+        news.createIndex('chainId', 'chainId');
+      }
+    },
+  },
+  {
+    version: 3,
+    description: 'chains start index; fill fields missing from older chain records',
+    up(db, tx) {
+      const chains = tx.objectStore(STORES.CHAINS);
+      if (!chains.indexNames.contains('start')) {
+        chains.createIndex('start', 'start');
+      }
+      transformRecords(tx, STORES.CHAINS, (chain) => ({
+        ...chain,
+        hits: chain.hits ?? {},
+        consumption: chain.consumption ?? {},
+        totals: { hits: 0, respect: 0, xanax: 0, points: 0, ...chain.totals },
+        processedNewsIds: chain.processedNewsIds ?? [],
+        newsSync: chain.newsSync ?? null,
+      }));
+    },
+  },
+  {
+    version: 4,
+    description: 'roster snapshots store',
+    up(db) {
+      const rosters = db.createObjectStore(STORES.ROSTERS, { keyPath: 'id', autoIncrement: true });
+      rosters.createIndex('firstSeen', 'firstSeen');
+    },
+  },
+  {
+    version: 5,
+    description: 'per-sync chain snapshots store',
+    up(db) {
+      const snapshots = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+      snapshots.createIndex('chainId', 'chainId');
+    },
+  },
+  {
+    version: 6,
+    description: 'individual attacks store',
+    up(db) {
+      const attacks = db.createObjectStore(STORES.ATTACKS, { keyPath: 'id' });
+      attacks.createIndex('chainId', 'chainId');
+      attacks.createIndex('timestamp', 'timestamp');
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run every migration newer than oldVersion, in order
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} tx - the versionchange transaction
+ * @param {number} oldVersion
+ */
+export function runMigrations(db, tx, oldVersion) {
+  for (const migration of MIGRATIONS) {
+    if (migration.version > oldVersion) migration.up(db, tx);
+  }
+}
 
 let dbInstance = null;
+let dbName = DEFAULT_DB_NAME;
+
+/**
+ * Switch to another database (one per profile); the next call opens it
+ * @param {string} name
+ */
+export function useDatabase(name) {
+  if (name === dbName) return;
+  closeDB();
+  dbName = name;
+}
+
+/**
+ * Name of the database calls go to now
+ * @returns {string}
+ */
+export function currentDatabase() {
+  return dbName;
+}
+
+/**
+ * Delete a database that is not in use (a removed profile's data)
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export function deleteDatabase(name) {
+  if (name === dbName) return Promise.reject(new Error('Cannot delete the open database'));
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onerror = () => reject(request.error);
+    // Other tabs close their connection on versionchange, then the delete completes
+    request.onsuccess = () => resolve();
+  });
+}
 
 /**
  * Initialize and open the database
@@ -20,24 +164,31 @@ export function initDB() {
       resolve(dbInstance);
       return;
     }
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    const request = indexedDB.open(dbName, DB_VERSION);
     request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked: close other Chain Tracker tabs and reload'));
     request.onsuccess = () => {
       dbInstance = request.result;
+      // Let a newer version opened in another tab upgrade instead of blocking it
+      dbInstance.onversionchange = () => closeDB();
       resolve(dbInstance);
     };
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORES.CHAINS)) {
-        db.createObjectStore(STORES.CHAINS, { keyPath: 'chainId' });
-      }
-      if (!db.objectStoreNames.contains(STORES.CONFIG)) {
-        db.createObjectStore(STORES.CONFIG, { keyPath: 'key' });
-      }
+      runMigrations(request.result, request.transaction, event.oldVersion);
     };
   });
 }
 
+/**
+ * Close the open connection (next call to initDB reopens it)
+ */
+export function closeDB() {
+  if (dbInstance) {
+    dbInstance.close();
+    dbInstance = null;
+  }
+}
+
 /**
  * Get config value by key
  * @param {string} key
@@ -122,3 +273,262 @@ export function getAllChains() {
     }).catch(reject);
   });
 }
+
+/**
+ * Get all config entries
+ * @returns {Promise<{ key: string, value: any }[]>}
+ */
+export function getAllConfig() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.CONFIG, 'readonly');
+      const store = tx.objectStore(STORES.CONFIG);
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result ?? []);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Save raw news entries ({ id, chainId, timestamp, text }) in a single transaction
+ * @param {Object[]} entries
+ * @returns {Promise<void>}
+ */
+export function saveNews(entries) {
+  return new Promise((resolve, reject) => {
+    if (entries.length === 0) {
+      resolve();
+      return;
+    }
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.NEWS, 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      const store = tx.objectStore(STORES.NEWS);
+      for (const entry of entries) store.put(entry);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get raw news stored for a chain, oldest first
+ * @param {number} chainId
+ * @returns {Promise<Object[]>}
+ */
+export function getNewsByChain(chainId) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.NEWS, 'readonly');
+      const index = tx.objectStore(STORES.NEWS).index('chainId');
+      const request = index.getAll(chainId);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result ?? []).sort((a, b) => a.timestamp - b.timestamp));
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get all raw news entries
+ * @returns {Promise<Object[]>}
+ */
+export function getAllNews() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.NEWS, 'readonly');
+      const store = tx.objectStore(STORES.NEWS);
+      const request = store.getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result ?? []);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get the most recent roster snapshot
+ * @returns {Promise<Object|null>}
+ */
+export function getLatestRosterSnapshot() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ROSTERS, 'readonly');
+      const request = tx.objectStore(STORES.ROSTERS).index('firstSeen').openCursor(null, 'prev');
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result?.value ?? null);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Save or update a roster snapshot ({ id?, firstSeen, lastSeen, members })
+ * @param {Object} snapshot - without id a new snapshot is added
+ * @returns {Promise<void>}
+ */
+export function saveRosterSnapshot(snapshot) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ROSTERS, 'readwrite');
+      const store = tx.objectStore(STORES.ROSTERS);
+      const request = store.put(snapshot);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get all roster snapshots, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function getRosterSnapshots() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ROSTERS, 'readonly');
+      const request = tx.objectStore(STORES.ROSTERS).index('firstSeen').getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result ?? []);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Save attack records (keyed by attack id, so re-syncing a window is idempotent)
+ * @param {Object[]} records
+ * @returns {Promise<void>}
+ */
+export function saveAttacks(records) {
+  return new Promise((resolve, reject) => {
+    if (records.length === 0) {
+      resolve();
+      return;
+    }
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ATTACKS, 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      const store = tx.objectStore(STORES.ATTACKS);
+      for (const record of records) store.put(record);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get attacks stored for a chain, oldest first
+ * @param {number} chainId
+ * @returns {Promise<Object[]>}
+ */
+export function getAttacksByChain(chainId) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ATTACKS, 'readonly');
+      const request = tx.objectStore(STORES.ATTACKS).index('chainId').getAll(chainId);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result ?? []).sort((a, b) => a.timestamp - b.timestamp));
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get every stored attack, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function getAllAttacks() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.ATTACKS, 'readonly');
+      const request = tx.objectStore(STORES.ATTACKS).index('timestamp').getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result ?? []);
+    }).catch(reject);
+  });
+}
+
+/**
+ * Append a chain snapshot ({ chainId, timestamp, totals, members })
+ * @param {Object} snapshot
+ * @returns {Promise<void>}
+ */
+export function addChainSnapshot(snapshot) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.SNAPSHOTS, 'readwrite');
+      const request = tx.objectStore(STORES.SNAPSHOTS).add(snapshot);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get snapshots for a chain, oldest first
+ * @param {number} chainId
+ * @returns {Promise<Object[]>}
+ */
+export function getChainSnapshots(chainId) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.SNAPSHOTS, 'readonly');
+      const request = tx.objectStore(STORES.SNAPSHOTS).index('chainId').getAll(chainId);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result ?? []).sort((a, b) => a.timestamp - b.timestamp));
+    }).catch(reject);
+  });
+}
+
+/**
+ * Get every chain snapshot, oldest first
+ * @returns {Promise<Object[]>}
+ */
+export function getAllChainSnapshots() {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction(STORES.SNAPSHOTS, 'readonly');
+      const request = tx.objectStore(STORES.SNAPSHOTS).getAll();
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve((request.result ?? []).sort((a, b) => a.timestamp - b.timestamp));
+    }).catch(reject);
+  });
+}
+
+/**
+ * Write chains, config entries, raw news, roster and chain snapshots and attacks in a single transaction
+ * @param {Object} options
+ * @param {Object[]} [options.chains] - Chains to put
+ * @param {{ key: string, value: any }[]} [options.config] - Config entries to put
+ * @param {Object[]} [options.news] - Raw news entries to put
+ * @param {Object[]} [options.rosters] - Roster snapshots to put (without id they are added)
+ * @param {Object[]} [options.snapshots] - Chain snapshots to put (without id they are added)
+ * @param {Object[]} [options.attacks] - Attack records to put
+ * @param {boolean} [options.clearChains=false] - Remove all existing chains (and their raw news, snapshots and attacks) first
+ * @returns {Promise<void>}
+ */
+export function bulkWrite({ chains = [], config = [], news = [], rosters = [], snapshots = [], attacks = [], clearChains = false }) {
+  return new Promise((resolve, reject) => {
+    initDB().then((db) => {
+      const tx = db.transaction([STORES.CHAINS, STORES.CONFIG, STORES.NEWS, STORES.ROSTERS, STORES.SNAPSHOTS, STORES.ATTACKS], 'readwrite');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      const chainStore = tx.objectStore(STORES.CHAINS);
+      const configStore = tx.objectStore(STORES.CONFIG);
+      const newsStore = tx.objectStore(STORES.NEWS);
+      if (clearChains) {
+        chainStore.clear();
+        newsStore.clear();
+        tx.objectStore(STORES.SNAPSHOTS).clear();
+        tx.objectStore(STORES.ATTACKS).clear();
+      }
+      for (const chain of chains) chainStore.put(chain);
+      for (const entry of config) configStore.put(entry);
+      for (const entry of news) newsStore.put(entry);
+      const rosterStore = tx.objectStore(STORES.ROSTERS);
+      for (const roster of rosters) rosterStore.put(roster);
+      const snapshotStore = tx.objectStore(STORES.SNAPSHOTS);
+      for (const snapshot of snapshots) snapshotStore.put(snapshot);
+      const attackStore = tx.objectStore(STORES.ATTACKS);
+      for (const attack of attacks) attackStore.put(attack);
+    }).catch(reject);
+  });
+}
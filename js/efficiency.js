@@ -0,0 +1,104 @@
+/**
+ * Consumption efficiency - derived per-member metrics and flag rules for members who consume without hitting
+ */
+
+/** Non-consumable numeric fields on member rows */
+const ROW_FIELDS = new Set(['hits', 'respect']);
+
+/** Pseudo-resource matching the sum of every consumable */
+export const ANY_RESOURCE = 'any';
+
+/**
+ * Default flag rules: "used at least minUsed of resource but fewer than belowHits hits"
+ */
+export const DEFAULT_FLAG_RULES = [
+  { resource: 'xanax', minUsed: 3, belowHits: 10 },
+  { resource: 'points', minUsed: 50, belowHits: 10 },
+  { resource: ANY_RESOURCE, minUsed: 1, belowHits: 1 },
+];
+
+/**
+ * Total consumption on a member row (every numeric field except hits and respect)
+ * @param {Object} row - from buildMemberRows
+ * @returns {number}
+ */
+export function totalConsumed(row) {
+  return Object.entries(row)
+    .filter(([key, value]) => !ROW_FIELDS.has(key) && typeof value === 'number')
+    .reduce((sum, [, value]) => sum + value, 0);
+}
+
+/**
+ * Derived efficiency metrics for a member row (null when the divisor is 0)
+ * @param {Object} row - from buildMemberRows
+ * @returns {{ hitsPerXanax: number|null, respectPerXanax: number|null, hitsPer100Points: number|null, consumedWithoutHits: number }}
+ */
+export function efficiencyMetrics(row) {
+  const xanax = row.xanax ?? 0;
+  const points = row.points ?? 0;
+  const hits = row.hits ?? 0;
+  return {
+    hitsPerXanax: xanax ? hits / xanax : null,
+    respectPerXanax: xanax ? (row.respect ?? 0) / xanax : null,
+    hitsPer100Points: points ? (hits * 100) / points : null,
+    consumedWithoutHits: hits ? 0 : totalConsumed(row),
+  };
+}
+
+/**
+ * Coerce stored flag rules into valid rules (drops broken entries)
+ * @param {Object[]} [rules]
+ * @returns {{ resource: string, minUsed: number, belowHits: number }[]}
+ */
+export function normalizeFlagRules(rules = DEFAULT_FLAG_RULES) {
+  if (!Array.isArray(rules)) return DEFAULT_FLAG_RULES.map((r) => ({ ...r }));
+  const num = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+  };
+  return rules
+    .map((r) => ({ resource: String(r?.resource ?? '').trim(), minUsed: num(r?.minUsed), belowHits: num(r?.belowHits) }))
+    .filter((r) => r.resource && r.minUsed != null && r.minUsed > 0 && r.belowHits != null);
+}
+
+/**
+ * Amount of a rule's resource used on a row
+ * @param {Object} row
+ * @param {string} resource - consumable id or ANY_RESOURCE
+ * @returns {number}
+ */
+function usedFor(row, resource) {
+  return resource === ANY_RESOURCE ? totalConsumed(row) : (row[resource] ?? 0);
+}
+
+/**
+ * Readable description of a flag rule
+ * @param {{ resource: string, minUsed: number, belowHits: number }} rule
+ * @param {Record<string, string>} [labels] - consumable id -> label
+ * @returns {string}
+ */
+export function describeFlagRule(rule, labels = {}) {
+  const what = rule.resource === ANY_RESOURCE ? 'consumables (any)' : (labels[rule.resource] ?? rule.resource);
+  const hits = rule.belowHits === 1 ? 'no hits' : `fewer than ${rule.belowHits} hits`;
+  return `Used ≥${rule.minUsed} ${what} with ${hits}`;
+}
+
+/**
+ * Members matching at least one flag rule, with the reasons they matched
+ * @param {Object[]} rows - from buildMemberRows
+ * @param {Object[]} rules - from normalizeFlagRules
+ * @param {Record<string, string>} [labels] - consumable id -> label
+ * @returns {{ id: string, name: string, hits: number, consumed: number, reasons: string[] }[]} most consumption first
+ */
+export function flagRows(rows, rules, labels = {}) {
+  const flagged = [];
+  for (const row of rows) {
+    const reasons = rules
+      .filter((rule) => usedFor(row, rule.resource) >= rule.minUsed && (row.hits ?? 0) < rule.belowHits)
+      .map((rule) => describeFlagRule(rule, labels));
+    if (reasons.length > 0) {
+      flagged.push({ id: row.id, name: row.name, hits: row.hits ?? 0, consumed: totalConsumed(row), reasons });
+    }
+  }
+  return flagged.sort((a, b) => b.consumed - a.consumed);
+}
@@ -0,0 +1,286 @@
+/**
+ * Export layer - chain member table, totals and payouts as CSV / JSON / standalone HTML files
+ */
+
+import { respectPerHit } from './members.js';
+
+/** Consumable columns when the caller doesn't pass its own list */
+const DEFAULT_CONSUMABLES = [
+  { id: 'xanax', label: 'Xanax' },
+  { id: 'points', label: 'Points' },
+];
+
+/**
+ * Unix seconds -> ISO string (empty when missing)
+ * @param {number|null} ts
+ * @returns {string}
+ */
+function toIso(ts) {
+  return ts ? new Date(ts * 1000).toISOString() : '';
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Rows of fields -> CSV text (CRLF line endings, as spreadsheet apps expect)
+ * @param {any[][]} lines
+ * @returns {string}
+ */
+function csvText(lines) {
+  return lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Chain metadata shared by all export formats
+ * @param {Object} chain
+ * @returns {{ chainId: number, start: number|null, end: number|null, status: string }}
+ */
+function chainMeta(chain) {
+  return {
+    chainId: chain.chainId,
+    start: chain.start ?? null,
+    end: chain.end ?? null,
+    status: chain.status,
+  };
+}
+
+/**
+ * Member row -> flat export record (adds respect per hit)
+ * @param {Object} row
+ * @param {{ id: string }[]} consumables
+ * @returns {Object}
+ */
+function exportRow(row, consumables) {
+  const rec = {
+    id: row.id,
+    name: row.name,
+    hits: row.hits ?? 0,
+    respect: row.respect ?? 0,
+    rph: Number(respectPerHit(row).toFixed(2)),
+  };
+  for (const c of consumables) rec[c.id] = row[c.id] ?? 0;
+  return rec;
+}
+
+/**
+ * Build CSV: chain metadata block, blank line, member table, totals row
+ * @param {Object} chain
+ * @param {Object[]} rows - member rows, already in display order
+ * @param {{ id: string, label: string }[]} [consumables] - one column each
+ * @returns {string}
+ */
+export function toCsv(chain, rows, consumables = DEFAULT_CONSUMABLES) {
+  const meta = chainMeta(chain);
+  const totals = chain.totals ?? {};
+  const totalRph = totals.hits ? Number((totals.respect / totals.hits).toFixed(2)) : 0;
+  const columns = ['id', 'name', 'hits', 'respect', 'rph', ...consumables.map((c) => c.id)];
+
+  const lines = [
+    ['Chain ID', meta.chainId],
+    ['Start', toIso(meta.start)],
+    ['End', toIso(meta.end)],
+    ['Status', meta.status],
+    [],
+    ['Member ID', 'Name', 'Hits', 'Respect', 'Respect/Hit', ...consumables.map((c) => c.label)],
+    ...rows.map((r) => {
+      const rec = exportRow(r, consumables);
+      return columns.map((col) => rec[col]);
+    }),
+    ['', 'Total', totals.hits ?? 0, totals.respect ?? 0, totalRph, ...consumables.map((c) => totals[c.id] ?? 0)],
+  ];
+
+  return csvText(lines);
+}
+
+/**
+ * Build JSON export
+ * @param {Object} chain
+ * @param {Object[]} rows - member rows, already in display order
+ * @param {{ key: string, dir: string }} [sort] - sort applied to rows
+ * @param {{ id: string, label: string }[]} [consumables] - one field each per member
+ * @returns {string}
+ */
+export function toJson(chain, rows, sort, consumables = DEFAULT_CONSUMABLES) {
+  const totals = { hits: 0, respect: 0 };
+  for (const c of consumables) totals[c.id] = 0;
+  const payload = {
+    chain: chainMeta(chain),
+    totals: { ...totals, ...chain.totals },
+    sort: sort ?? null,
+    members: rows.map((r) => exportRow(r, consumables)),
+    exportedAt: Math.floor(Date.now() / 1000),
+  };
+  return JSON.stringify(payload, null, 2);
+}
+
+/**
+ * Escape text for HTML output (no DOM needed)
+ * @param {any} value
+ * @returns {string}
+ */
+function htmlText(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/** Inline styles for the HTML snapshot (no external stylesheet) */
+const SNAPSHOT_CSS = `
+body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; background: #f3f4f6; color: #111827; margin: 0; padding: 24px; }
+main { max-width: 1100px; margin: 0 auto; }
+h1 { font-size: 1.5rem; margin: 0 0 4px; }
+.meta { color: #6b7280; font-size: 0.875rem; margin-bottom: 24px; }
+.card { background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.1); padding: 24px; margin-bottom: 24px; }
+.grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(160px, 1fr)); gap: 16px; }
+.stat { background: #f9fafb; border-radius: 8px; padding: 16px; }
+.stat .label { font-size: 0.75rem; color: #6b7280; text-transform: uppercase; }
+.stat .value { font-size: 1.25rem; font-weight: 600; }
+.wrap { overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+th, td { padding: 8px 12px; border-bottom: 1px solid #e5e7eb; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f9fafb; color: #6b7280; font-size: 0.75rem; text-transform: uppercase; cursor: pointer; user-select: none; }
+th:hover { background: #f3f4f6; }
+tfoot td { font-weight: 600; }
+`;
+
+/** Inline table sorting for the HTML snapshot (click a header; click again to reverse) */
+const SNAPSHOT_SCRIPT = `
+document.querySelectorAll('th[data-col]').forEach(function (th) {
+  th.addEventListener('click', function () {
+    var tbody = th.closest('table').tBodies[0];
+    var col = Number(th.dataset.col);
+    var desc = th.dataset.dir !== 'desc';
+    th.closest('tr').querySelectorAll('th').forEach(function (h) { delete h.dataset.dir; h.textContent = h.textContent.replace(/ [\u2191\u2193]$/, ''); });
+    th.dataset.dir = desc ? 'desc' : 'asc';
+    th.textContent += desc ? ' \u2193' : ' \u2191';
+    Array.from(tbody.rows)
+      .sort(function (a, b) {
+        var va = a.cells[col].dataset.v; var vb = b.cells[col].dataset.v;
+        var cmp = th.dataset.type === 'text' ? va.localeCompare(vb) : Number(va) - Number(vb);
+        return desc ? -cmp : cmp;
+      })
+      .forEach(function (row) { tbody.appendChild(row); });
+  });
+});
+`;
+
+/**
+ * Build a standalone HTML page for one chain: metadata, totals grid and sortable member table
+ * Styles and sorting are inlined and a CSP blocks any network access, so the file opens offline
+ * @param {Object} chain
+ * @param {Object[]} rows - member rows, already in display order
+ * @param {{ id: string, label: string }[]} [consumables] - one column and totals card each
+ * @returns {string}
+ */
+export function toHtml(chain, rows, consumables = DEFAULT_CONSUMABLES) {
+  const meta = chainMeta(chain);
+  const totals = chain.totals ?? {};
+  const num = (n) => Number(n ?? 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const columns = [
+    { key: 'name', label: 'Member', type: 'text' },
+    { key: 'hits', label: 'Hits' },
+    { key: 'respect', label: 'Respect' },
+    { key: 'rph', label: 'Respect/Hit' },
+    ...consumables.map((c) => ({ key: c.id, label: c.label })),
+  ];
+  const cards = [
+    ['Hits', totals.hits],
+    ['Respect', totals.respect],
+    ...consumables.map((c) => [`${c.label} used`, totals[c.id]]),
+  ];
+  const tct = (ts) => `${toIso(ts).slice(0, 16).replace('T', ' ')} TCT`;
+  const period = `${meta.start ? tct(meta.start) : '?'} – ${meta.end ? tct(meta.end) : 'ongoing'}`;
+
+  const body = rows.map((r) => {
+    const rec = exportRow(r, consumables);
+    return `<tr>${columns.map((col) => col.type === 'text'
+      ? `<td data-v="${htmlText(rec[col.key])}">${htmlText(rec[col.key])}</td>`
+      : `<td data-v="${rec[col.key]}">${num(rec[col.key])}</td>`).join('')}</tr>`;
+  }).join('\n');
+  const totalRph = totals.hits ? (totals.respect / totals.hits).toFixed(2) : '0';
+  const foot = `<tr><td>Total</td><td>${num(totals.hits)}</td><td>${num(totals.respect)}</td><td>${totalRph}</td>${consumables.map((c) => `<td>${num(totals[c.id])}</td>`).join('')}</tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'">
+<title>Chain #${htmlText(meta.chainId)}</title>
+<style>${SNAPSHOT_CSS}</style>
+</head>
+<body>
+<main>
+<h1>Chain #${htmlText(meta.chainId)}</h1>
+<div class="meta">${htmlText(meta.status === 'active' ? 'Active' : 'Finished')} · ${htmlText(period)} · Exported ${htmlText(new Date().toISOString())}</div>
+<section class="card">
+<div class="grid">
+${cards.map(([label, value]) => `<div class="stat"><div class="label">${htmlText(label)}</div><div class="value">${num(value)}</div></div>`).join('\n')}
+</div>
+</section>
+<section class="card">
+<div class="wrap">
+<table>
+<thead><tr>${columns.map((col, i) => `<th data-col="${i}"${col.type ? ` data-type="${col.type}"` : ''}>${htmlText(col.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+<tfoot>${foot}</tfoot>
+</table>
+</div>
+</section>
+</main>
+<script>${SNAPSHOT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build payout CSV: chain metadata block, blank line, one row per member, totals row
+ * @param {Object} chain
+ * @param {Object} payout - from computePayout / chain.payout
+ * @returns {string}
+ */
+export function payoutToCsv(chain, payout) {
+  const meta = chainMeta(chain);
+  const { totals } = payout;
+
+  const lines = [
+    ['Chain ID', meta.chainId],
+    ['Start', toIso(meta.start)],
+    ['End', toIso(meta.end)],
+    ['Computed', toIso(payout.computedAt)],
+    [],
+    ['Member ID', 'Name', 'Hits', 'Respect', 'Xanax', 'Points', 'Eligible', 'Gross', 'Deductions', 'Net'],
+    ...payout.members.map((m) => [m.id, m.name, m.hits, m.respect, m.xanax, m.points, m.eligible ? 'yes' : 'no', m.gross, m.deductions, m.net]),
+    ['', 'Total', '', '', '', '', '', totals.gross, totals.deductions, totals.net],
+  ];
+
+  return csvText(lines);
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
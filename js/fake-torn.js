@@ -0,0 +1,166 @@
+/**
+ * Fake Torn API v2 - serves recorded fixtures for demo mode (in-page, via api.setBackend)
+ * and for tests (in-process, or over HTTP with scripts/fake-torn-server.js)
+ * Edge cases are chosen by key, see DEMO_KEYS
+ */
+
+import * as fixtures from './fixtures.js';
+
+const { DEMO_KEYS } = fixtures;
+
+/** Fields holding Unix timestamps (0 and null mean "not set" and are left alone) */
+const TIMESTAMP_FIELDS = new Set(['start', 'end', 'timestamp', 'started', 'ended']);
+
+/** Items per page for list endpoints (small, so a demo chain walks several pages) */
+const DEFAULT_PAGE_SIZE = 25;
+
+/**
+ * Deep copy with every timestamp field moved by offset seconds
+ * @param {any} value
+ * @param {number} offset
+ * @returns {any}
+ */
+function shiftTimestamps(value, offset) {
+  if (Array.isArray(value)) return value.map((v) => shiftTimestamps(v, offset));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [
+    k,
+    TIMESTAMP_FIELDS.has(k) && typeof v === 'number' && v > 0 ? v + offset : shiftTimestamps(v, offset),
+  ]));
+}
+
+/**
+ * Torn-style error body
+ * @param {number} code
+ * @param {string} error
+ * @returns {{ error: { code: number, error: string } }}
+ */
+function tornError(code, error) {
+  return { error: { code, error } };
+}
+
+/**
+ * Create a fake Torn API
+ * @param {Object} [options]
+ * @param {number} [options.now] - Unix seconds; fixture timestamps are shifted so recordedAt becomes now
+ * @param {number} [options.pageSize=25] - items per page for chains, news and attacks
+ * @returns {{ handle: (url: string) => { status: number, body: Object }, fetch: (url: string) => Promise<{ status: number, ok: boolean, json: () => Promise<Object> }>, requests: string[], addNews: (...items: Object[]) => void }}
+ */
+export function createFakeTorn({ now, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const data = shiftTimestamps({
+    keyInfo: fixtures.KEY_INFO,
+    members: fixtures.MEMBERS,
+    chain: fixtures.CURRENT_CHAIN,
+    chains: fixtures.CHAINS,
+    chainReports: fixtures.CHAIN_REPORTS,
+    news: fixtures.NEWS,
+    attacks: fixtures.ATTACKS,
+  }, now ? now - fixtures.RECORDED_AT : 0);
+  const requests = [];
+  /** Requests per key + path, for "fail the first time" edge cases */
+  const seen = new Map();
+
+  /**
+   * One page of a newest-first list, with a Torn-style link to the next (older) page
+   * News and attacks follow links.prev, the chains list follows links.next (as the app does);
+   * links keep the request's origin, so they work behind the local HTTP server too
+   */
+  function page(items, url, field, olderLink) {
+    const offset = Math.max(0, Number(url.searchParams.get('offset')) || 0);
+    const limit = Math.min(pageSize, Number(url.searchParams.get('limit')) || pageSize);
+    const slice = items.slice(offset, offset + limit);
+    let older = null;
+    if (offset + limit < items.length) {
+      const next = new URL(url);
+      next.searchParams.delete('key');
+      next.searchParams.set('offset', String(offset + limit));
+      older = next.toString();
+    }
+    return {
+      [field]: slice,
+      _metadata: { links: { prev: olderLink === 'prev' ? older : null, next: olderLink === 'next' ? older : null } },
+    };
+  }
+
+  /**
+   * Answer one request URL
+   * @param {string} rawUrl
+   * @returns {{ status: number, body: Object }}
+   */
+  function handle(rawUrl) {
+    requests.push(rawUrl);
+    const url = new URL(rawUrl);
+    const key = url.searchParams.get('key') ?? '';
+    const path = url.pathname.replace(/^.*?\/v2/, '');
+    const attempt = (seen.get(`${key} ${path}`) ?? 0) + 1;
+    seen.set(`${key} ${path}`, attempt);
+
+    if (!key) return { status: 200, body: tornError(1, 'Key is empty') };
+    if (!Object.values(DEMO_KEYS).includes(key) || key === DEMO_KEYS.incorrectKey) {
+      return { status: 200, body: tornError(2, 'Incorrect Key') };
+    }
+    if (key === DEMO_KEYS.rateLimited && attempt === 1) return { status: 200, body: tornError(5, 'Too many requests') };
+    if (key === DEMO_KEYS.http429 && attempt === 1) return { status: 429, body: {} };
+
+    const noAccess = key === DEMO_KEYS.noAccess;
+    const body = route(path, url, noAccess);
+    if (key === DEMO_KEYS.emptyNews && path === '/faction/news') {
+      return { status: 200, body: { news: [], _metadata: { links: { prev: null, next: null } } } };
+    }
+    if (key === DEMO_KEYS.noMetadata && body._metadata) {
+      const { _metadata: _, ...rest } = body;
+      return { status: 200, body: rest };
+    }
+    return { status: 200, body };
+  }
+
+  /**
+   * Response body for a path
+   */
+  function route(path, url, noAccess) {
+    if (path === '/key/info') {
+      if (!noAccess) return data.keyInfo;
+      const { info } = data.keyInfo;
+      return { info: { ...info, selections: { ...info.selections, faction: info.selections.faction.filter((s) => s !== 'news' && s !== 'attacks') } } };
+    }
+    if (path === '/faction/members') return data.members;
+    if (path === '/faction/chain') return data.chain;
+    if (path === '/faction/chains') return page(data.chains, url, 'chains', 'next');
+    const report = path.match(/^\/faction\/(\d+)\/chainreport$/);
+    if (report) return data.chainReports[report[1]] ?? tornError(6, 'Incorrect ID');
+    if (path === '/faction/news') {
+      if (noAccess) return tornError(16, 'Access level of this key is not high enough');
+      return page(data.news, url, 'news', 'prev');
+    }
+    if (path === '/faction/attacks') {
+      if (noAccess) return tornError(16, 'Access level of this key is not high enough');
+      const from = Number(url.searchParams.get('from')) || 0;
+      const to = Number(url.searchParams.get('to')) || Infinity;
+      return page(data.attacks.filter((a) => a.started >= from && a.started <= to), url, 'attacks', 'prev');
+    }
+    return tornError(4, 'Wrong selections');
+  }
+
+  /**
+   * Post armory news, kept newest first; an item from a second already in the list goes after
+   * the items of that second, the way a later post in the same second reaches the API
+   * @param {...{ id: string, text: string, timestamp: number }} items
+   */
+  function addNews(...items) {
+    for (const item of items) {
+      const index = data.news.findIndex((n) => n.timestamp < item.timestamp);
+      data.news.splice(index === -1 ? data.news.length : index, 0, item);
+    }
+  }
+
+  /**
+   * fetch() stand-in for api.setBackend
+   * @param {string} url
+   */
+  async function fakeFetch(url) {
+    const { status, body } = handle(String(url));
+    return { status, ok: status === 200, json: async () => structuredClone(body) };
+  }
+
+  return { handle, fetch: fakeFetch, requests, addNews };
+}
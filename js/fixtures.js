@@ -0,0 +1,178 @@
+/**
+ * Recorded Torn API v2 responses for demo mode and tests (faction "Demo Faction", names and ids are made up)
+ * Timestamps are as recorded at recordedAt; the fake API can shift them to the present
+ * List endpoints (chains, news, attacks) hold every item newest first; the fake API pages them
+ */
+
+export const RECORDED_AT = 1760000000;
+
+export const DEMO_FACTION_ID = 41234;
+
+/** Keys the fake API recognises; each one besides demo triggers an edge case */
+export const DEMO_KEYS = {
+  demo: 'DemoKey000000000',
+  incorrectKey: 'DemoKeyError0002',
+  rateLimited: 'DemoKeyError0005',
+  noAccess: 'DemoKeyError0016',
+  http429: 'DemoKeyHttp00429',
+  emptyNews: 'DemoKeyEmptyNews',
+  noMetadata: 'DemoKeyNoMetaDat',
+};
+
+export const KEY_INFO = {"info": {"selections": {"faction": ["attacks", "basic", "chain", "chainreport", "chains", "members", "news"], "user": ["basic", "profile"], "torn": ["timestamp"]}, "access": {"level": 3, "type": "Limited Access", "faction": true, "faction_id": 41234, "company": false, "company_id": 0}, "user": {"id": 2400101, "faction_id": 41234, "company_id": 0}}};
+
+export const MEMBERS = {
+  members: [
+    {"id": 2400101, "name": "Kestrel", "level": 78, "days_in_faction": 886, "position": "Leader", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995283, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400102, "name": "Marrow", "level": 64, "days_in_faction": 398, "position": "Co-leader", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995910, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400103, "name": "Tinder", "level": 55, "days_in_faction": 282, "position": "Officer", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995530, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400104, "name": "Quill", "level": 49, "days_in_faction": 682, "position": "Member", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759999517, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400105, "name": "Sable", "level": 71, "days_in_faction": 264, "position": "Member", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995273, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400106, "name": "Juniper", "level": 38, "days_in_faction": 80, "position": "Member", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759994559, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400107, "name": "Wren", "level": 52, "days_in_faction": 444, "position": "Recruit", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995051, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+    {"id": 2400108, "name": "Brisket", "level": 60, "days_in_faction": 873, "position": "Member", "revive_setting": "Unknown", "is_on_wall": false, "is_revivable": false, "is_in_oc": false, "last_action": {"status": "Online", "timestamp": 1759995902, "relative": "recently"}, "status": {"description": "Okay", "details": null, "state": "Okay", "until": null}},
+  ],
+};
+
+export const CURRENT_CHAIN = {"chain": {"id": 30003, "current": 64, "max": 100, "timeout": 187, "modifier": 1.1, "cooldown": 0, "start": 1759992800, "end": 0}};
+
+export const CHAINS = [
+  {"id": 30002, "chain": 120, "respect": 466.78, "start": 1759740800, "end": 1759758800},
+  {"id": 30001, "chain": 80, "respect": 317.3, "start": 1759136000, "end": 1759146800},
+  {"id": 30000, "chain": 40, "respect": 155.05, "start": 1758272000, "end": 1758279200},
+];
+
+export const CHAIN_REPORTS = {
+  30003: {"chainreport": {"id": 30003, "faction_id": 41234, "start": 1759992800, "end": 0, "details": {"chain": 64, "respect": 279.57, "members": 7, "targets": 61, "war": 0, "best": 8.4, "leave": 59, "mug": 2, "hospitalize": 3, "assists": 1, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0}, "bonuses": [], "attackers": [{"id": 2400101, "respect": {"total": 83.81, "average": 4.19, "best": 7.54}, "attacks": {"total": 20, "leave": 19, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400102, "respect": {"total": 49.32, "average": 4.48, "best": 8.07}, "attacks": {"total": 11, "leave": 10, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400103, "respect": {"total": 32.28, "average": 4.61, "best": 8.3}, "attacks": {"total": 7, "leave": 6, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400104, "respect": {"total": 38.63, "average": 4.83, "best": 8.69}, "attacks": {"total": 8, "leave": 7, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400105, "respect": {"total": 43.62, "average": 3.97, "best": 7.14}, "attacks": {"total": 11, "leave": 10, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400106, "respect": {"total": 21.27, "average": 4.25, "best": 7.66}, "attacks": {"total": 5, "leave": 4, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400107, "respect": {"total": 10.64, "average": 5.32, "best": 9.58}, "attacks": {"total": 2, "leave": 1, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}], "non_attackers": [2400108]}},
+  30002: {"chainreport": {"id": 30002, "faction_id": 41234, "start": 1759740800, "end": 1759758800, "details": {"chain": 120, "respect": 466.78, "members": 7, "targets": 117, "war": 0, "best": 8.4, "leave": 115, "mug": 2, "hospitalize": 3, "assists": 1, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0}, "bonuses": [], "attackers": [{"id": 2400101, "respect": {"total": 123.67, "average": 3.75, "best": 6.75}, "attacks": {"total": 33, "leave": 32, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400102, "respect": {"total": 76.38, "average": 3.64, "best": 6.55}, "attacks": {"total": 21, "leave": 20, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400103, "respect": {"total": 87.16, "average": 4.36, "best": 7.84}, "attacks": {"total": 20, "leave": 19, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400104, "respect": {"total": 78.52, "average": 4.13, "best": 7.44}, "attacks": {"total": 19, "leave": 18, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400105, "respect": {"total": 23.81, "average": 3.97, "best": 7.14}, "attacks": {"total": 6, "leave": 5, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400106, "respect": {"total": 51.91, "average": 3.46, "best": 6.23}, "attacks": {"total": 15, "leave": 14, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400107, "respect": {"total": 25.33, "average": 4.22, "best": 7.6}, "attacks": {"total": 6, "leave": 5, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}], "non_attackers": [2400108]}},
+  30001: {"chainreport": {"id": 30001, "faction_id": 41234, "start": 1759136000, "end": 1759146800, "details": {"chain": 80, "respect": 317.3, "members": 7, "targets": 77, "war": 0, "best": 8.4, "leave": 75, "mug": 2, "hospitalize": 3, "assists": 1, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0}, "bonuses": [], "attackers": [{"id": 2400101, "respect": {"total": 75.08, "average": 3.95, "best": 7.11}, "attacks": {"total": 19, "leave": 18, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400102, "respect": {"total": 45.61, "average": 3.8, "best": 6.84}, "attacks": {"total": 12, "leave": 11, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400103, "respect": {"total": 44.11, "average": 3.68, "best": 6.62}, "attacks": {"total": 12, "leave": 11, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400104, "respect": {"total": 56.33, "average": 3.76, "best": 6.76}, "attacks": {"total": 15, "leave": 14, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400105, "respect": {"total": 24.42, "average": 3.49, "best": 6.28}, "attacks": {"total": 7, "leave": 6, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400106, "respect": {"total": 47.97, "average": 5.33, "best": 9.59}, "attacks": {"total": 9, "leave": 8, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400107, "respect": {"total": 23.78, "average": 3.96, "best": 7.13}, "attacks": {"total": 6, "leave": 5, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}], "non_attackers": [2400108]}},
+  30000: {"chainreport": {"id": 30000, "faction_id": 41234, "start": 1758272000, "end": 1758279200, "details": {"chain": 40, "respect": 155.05, "members": 6, "targets": 37, "war": 0, "best": 8.4, "leave": 35, "mug": 2, "hospitalize": 3, "assists": 1, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0}, "bonuses": [], "attackers": [{"id": 2400101, "respect": {"total": 27.25, "average": 3.41, "best": 6.13}, "attacks": {"total": 8, "leave": 7, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400102, "respect": {"total": 30.43, "average": 3.8, "best": 6.85}, "attacks": {"total": 8, "leave": 7, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400103, "respect": {"total": 24.6, "average": 3.51, "best": 6.33}, "attacks": {"total": 7, "leave": 6, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400104, "respect": {"total": 22.0, "average": 3.67, "best": 6.6}, "attacks": {"total": 6, "leave": 5, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400105, "respect": {"total": 22.53, "average": 4.51, "best": 8.11}, "attacks": {"total": 5, "leave": 4, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}, {"id": 2400106, "respect": {"total": 28.24, "average": 4.71, "best": 8.47}, "attacks": {"total": 6, "leave": 5, "mug": 0, "hospitalize": 1, "assists": 0, "retaliations": 0, "overseas": 0, "draws": 0, "escapes": 0, "losses": 0, "war": 0, "bonuses": 0}}], "non_attackers": [2400107, 2400108]}},
+};
+
+export const NEWS = [
+  {"id": "nws00005", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400105\">Sable</a> used one of the faction's Xanax items.", "timestamp": 1759999679},
+  {"id": "nws00009", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759999066},
+  {"id": "nws00002", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759998871},
+  {"id": "nws00004", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759997207},
+  {"id": "nws00007", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759997062},
+  {"id": "nws00006", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759997023},
+  {"id": "nws00008", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used 50 faction points to refill their energy.", "timestamp": 1759996934},
+  {"id": "nws00057", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> loaned 1x Xanax to <a href = \"http://www.torn.com/profiles.php?XID=2400105\">Sable</a> from the faction armory.", "timestamp": 1759995800},
+  {"id": "nws00055", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759995200},
+  {"id": "nws00056", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759995200},
+  {"id": "nws00001", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used 50 faction points to refill their energy.", "timestamp": 1759995005},
+  {"id": "nws00054", "text": "Ghostwalker used one of the faction's Xanax items.", "timestamp": 1759994600},
+  {"id": "nws00010", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400105\">Sable</a> used one of the faction's Xanax items.", "timestamp": 1759993199},
+  {"id": "nws00003", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400107\">Wren</a> used one of the faction's Xanax items.", "timestamp": 1759992894},
+  {"id": "nws00011", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759992217},
+  {"id": "nws00014", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Xanax items.", "timestamp": 1759757930},
+  {"id": "nws00031", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400105\">Sable</a> used one of the faction's Xanax items.", "timestamp": 1759757812},
+  {"id": "nws00030", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759756513},
+  {"id": "nws00013", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> deposited 5 x Xanax.", "timestamp": 1759754799},
+  {"id": "nws00020", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400106\">Juniper</a> used one of the faction's Xanax items.", "timestamp": 1759754774},
+  {"id": "nws00023", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759754651},
+  {"id": "nws00017", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> deposited 5 x Xanax.", "timestamp": 1759754451},
+  {"id": "nws00012", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Xanax items.", "timestamp": 1759750392},
+  {"id": "nws00021", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used 25 faction points to refill their energy.", "timestamp": 1759750210},
+  {"id": "nws00028", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Xanax items.", "timestamp": 1759750050},
+  {"id": "nws00024", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Xanax items.", "timestamp": 1759749258},
+  {"id": "nws00019", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used 25 faction points to refill their energy.", "timestamp": 1759749157},
+  {"id": "nws00029", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Can of Red Cow items.", "timestamp": 1759748138},
+  {"id": "nws00015", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759746571},
+  {"id": "nws00022", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759744957},
+  {"id": "nws00018", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400107\">Wren</a> used 25 faction points to refill their energy.", "timestamp": 1759744412},
+  {"id": "nws00027", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759743369},
+  {"id": "nws00026", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759743230},
+  {"id": "nws00025", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used 25 faction points to refill their energy.", "timestamp": 1759743196},
+  {"id": "nws00016", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400105\">Sable</a> used one of the faction's Blood Bag : O+ items.", "timestamp": 1759742666},
+  {"id": "nws00032", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759739521},
+  {"id": "nws00044", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400106\">Juniper</a> used 25 faction points to refill their energy.", "timestamp": 1759145151},
+  {"id": "nws00036", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Can of Red Cow items.", "timestamp": 1759144084},
+  {"id": "nws00033", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400106\">Juniper</a> used one of the faction's Xanax items.", "timestamp": 1759143762},
+  {"id": "nws00040", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759143727},
+  {"id": "nws00042", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used 25 faction points to refill their energy.", "timestamp": 1759143501},
+  {"id": "nws00041", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Xanax items.", "timestamp": 1759141302},
+  {"id": "nws00037", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> deposited 5 x Xanax.", "timestamp": 1759141132},
+  {"id": "nws00045", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759140151},
+  {"id": "nws00043", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1759140031},
+  {"id": "nws00039", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400103\">Tinder</a> used one of the faction's Xanax items.", "timestamp": 1759139064},
+  {"id": "nws00035", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759138858},
+  {"id": "nws00034", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Blood Bag : O+ items.", "timestamp": 1759137804},
+  {"id": "nws00038", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759136179},
+  {"id": "nws00046", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1759134364},
+  {"id": "nws00047", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400106\">Juniper</a> used one of the faction's Xanax items.", "timestamp": 1758278894},
+  {"id": "nws00050", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400102\">Marrow</a> used one of the faction's Can of Red Cow items.", "timestamp": 1758278588},
+  {"id": "nws00052", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400107\">Wren</a> used one of the faction's Xanax items.", "timestamp": 1758278411},
+  {"id": "nws00051", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400106\">Juniper</a> used one of the faction's Blood Bag : O+ items.", "timestamp": 1758276999},
+  {"id": "nws00048", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used 25 faction points to refill their energy.", "timestamp": 1758276294},
+  {"id": "nws00049", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400101\">Kestrel</a> used one of the faction's Xanax items.", "timestamp": 1758275040},
+  {"id": "nws00053", "text": "<a href = \"http://www.torn.com/profiles.php?XID=2400104\">Quill</a> used one of the faction's Xanax items.", "timestamp": 1758271126},
+];
+
+export const ATTACKS = [
+  {"id": 9000065, "code": "895481", "started": 1759999587, "ended": 1759999642, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3105555, "name": "Brickwall", "level": 90, "faction": null}, "result": "Lost", "respect_gain": 0, "chain": 0, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000064, "code": "895480", "started": 1759999500, "ended": 1759999547, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100774, "name": "Target315", "level": 35, "faction": null}, "result": "Attacked", "respect_gain": 5.75, "chain": 64, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.56, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000063, "code": "89547f", "started": 1759999325, "ended": 1759999374, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104383, "name": "Target225", "level": 43, "faction": null}, "result": "Attacked", "respect_gain": 3.27, "chain": 63, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.32, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000062, "code": "89547e", "started": 1759999258, "ended": 1759999284, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102483, "name": "Target907", "level": 49, "faction": null}, "result": "Attacked", "respect_gain": 4.26, "chain": 62, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.95, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000061, "code": "89547d", "started": 1759999206, "ended": 1759999244, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100081, "name": "Target168", "level": 38, "faction": null}, "result": "Attacked", "respect_gain": 4.42, "chain": 61, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.15, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000060, "code": "89547c", "started": 1759999000, "ended": 1759999056, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101928, "name": "Target980", "level": 46, "faction": null}, "result": "Attacked", "respect_gain": 4.49, "chain": 60, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.44, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000059, "code": "89547b", "started": 1759998916, "ended": 1759998969, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102014, "name": "Target986", "level": 20, "faction": null}, "result": "Attacked", "respect_gain": 3.73, "chain": 59, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.04, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000058, "code": "89547a", "started": 1759998802, "ended": 1759998828, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100884, "name": "Target397", "level": 49, "faction": null}, "result": "Attacked", "respect_gain": 5.82, "chain": 58, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.8, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000057, "code": "895479", "started": 1759998694, "ended": 1759998753, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100275, "name": "Target934", "level": 31, "faction": null}, "result": "Attacked", "respect_gain": 3.87, "chain": 57, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.62, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000056, "code": "895478", "started": 1759998524, "ended": 1759998578, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101693, "name": "Target698", "level": 14, "faction": null}, "result": "Attacked", "respect_gain": 3.15, "chain": 56, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.14, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000055, "code": "895477", "started": 1759998445, "ended": 1759998475, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101375, "name": "Target981", "level": 30, "faction": null}, "result": "Attacked", "respect_gain": 2.04, "chain": 55, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.42, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000054, "code": "895476", "started": 1759998340, "ended": 1759998387, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102649, "name": "Target735", "level": 43, "faction": null}, "result": "Attacked", "respect_gain": 2.08, "chain": 54, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.64, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000053, "code": "895475", "started": 1759998265, "ended": 1759998299, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100099, "name": "Target270", "level": 48, "faction": null}, "result": "Attacked", "respect_gain": 1.9, "chain": 53, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.7, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000052, "code": "895474", "started": 1759998170, "ended": 1759998200, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102484, "name": "Target465", "level": 32, "faction": null}, "result": "Attacked", "respect_gain": 2.71, "chain": 52, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.5, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000051, "code": "895473", "started": 1759998049, "ended": 1759998067, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100078, "name": "Target335", "level": 34, "faction": null}, "result": "Attacked", "respect_gain": 6.23, "chain": 51, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.49, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000050, "code": "895472", "started": 1759997831, "ended": 1759997885, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104918, "name": "Target835", "level": 44, "faction": null}, "result": "Attacked", "respect_gain": 2.72, "chain": 50, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.12, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000049, "code": "895471", "started": 1759997761, "ended": 1759997810, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102752, "name": "Target538", "level": 52, "faction": null}, "result": "Attacked", "respect_gain": 4.3, "chain": 49, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.11, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000048, "code": "895470", "started": 1759997731, "ended": 1759997752, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100786, "name": "Target487", "level": 14, "faction": null}, "result": "Attacked", "respect_gain": 1.83, "chain": 48, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.65, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000047, "code": "89546f", "started": 1759997559, "ended": 1759997595, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102823, "name": "Target847", "level": 39, "faction": null}, "result": "Attacked", "respect_gain": 5.14, "chain": 47, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.78, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000046, "code": "89546e", "started": 1759997482, "ended": 1759997525, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102550, "name": "Target190", "level": 18, "faction": null}, "result": "Attacked", "respect_gain": 5.29, "chain": 46, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.13, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000045, "code": "89546d", "started": 1759997320, "ended": 1759997355, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104602, "name": "Target511", "level": 16, "faction": null}, "result": "Attacked", "respect_gain": 5.62, "chain": 45, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.02, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000044, "code": "89546c", "started": 1759997230, "ended": 1759997253, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101636, "name": "Target865", "level": 60, "faction": null}, "result": "Attacked", "respect_gain": 6.03, "chain": 44, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.87, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000043, "code": "89546b", "started": 1759997150, "ended": 1759997202, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101356, "name": "Target267", "level": 40, "faction": null}, "result": "Attacked", "respect_gain": 4.36, "chain": 43, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.38, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000042, "code": "89546a", "started": 1759997119, "ended": 1759997143, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100478, "name": "Target532", "level": 31, "faction": null}, "result": "Attacked", "respect_gain": 3.64, "chain": 42, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.18, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000041, "code": "895469", "started": 1759996972, "ended": 1759997010, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102234, "name": "Target357", "level": 20, "faction": null}, "result": "Attacked", "respect_gain": 5.31, "chain": 41, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.72, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000040, "code": "895468", "started": 1759996810, "ended": 1759996838, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101029, "name": "Target752", "level": 18, "faction": null}, "result": "Attacked", "respect_gain": 4.19, "chain": 40, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.94, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000039, "code": "895467", "started": 1759996748, "ended": 1759996782, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101831, "name": "Target903", "level": 54, "faction": null}, "result": "Attacked", "respect_gain": 5.1, "chain": 39, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.11, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000038, "code": "895466", "started": 1759996708, "ended": 1759996732, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103263, "name": "Target920", "level": 60, "faction": null}, "result": "Attacked", "respect_gain": 5.64, "chain": 38, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.28, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000037, "code": "895465", "started": 1759996478, "ended": 1759996533, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100242, "name": "Target746", "level": 57, "faction": null}, "result": "Attacked", "respect_gain": 4.59, "chain": 37, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.27, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000036, "code": "895464", "started": 1759996411, "ended": 1759996455, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100820, "name": "Target835", "level": 55, "faction": null}, "result": "Attacked", "respect_gain": 3.14, "chain": 36, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.58, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000035, "code": "895463", "started": 1759996310, "ended": 1759996360, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100260, "name": "Target809", "level": 44, "faction": null}, "result": "Attacked", "respect_gain": 4.03, "chain": 35, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.16, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000034, "code": "895462", "started": 1759996275, "ended": 1759996304, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104906, "name": "Target245", "level": 20, "faction": null}, "result": "Attacked", "respect_gain": 2.19, "chain": 34, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.18, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000033, "code": "895461", "started": 1759996057, "ended": 1759996110, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101048, "name": "Target388", "level": 20, "faction": null}, "result": "Attacked", "respect_gain": 3.06, "chain": 33, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.73, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000032, "code": "895460", "started": 1759995965, "ended": 1759996001, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101059, "name": "Target826", "level": 42, "faction": null}, "result": "Attacked", "respect_gain": 3.1, "chain": 32, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.23, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000031, "code": "89545f", "started": 1759995810, "ended": 1759995848, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101432, "name": "Target491", "level": 10, "faction": null}, "result": "Attacked", "respect_gain": 5.92, "chain": 31, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.84, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000030, "code": "89545e", "started": 1759995712, "ended": 1759995750, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101096, "name": "Target383", "level": 32, "faction": null}, "result": "Attacked", "respect_gain": 6.29, "chain": 30, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.36, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000029, "code": "89545d", "started": 1759995596, "ended": 1759995637, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103774, "name": "Target295", "level": 35, "faction": null}, "result": "Attacked", "respect_gain": 2.93, "chain": 29, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.44, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000028, "code": "89545c", "started": 1759995430, "ended": 1759995472, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100390, "name": "Target185", "level": 14, "faction": null}, "result": "Attacked", "respect_gain": 4.6, "chain": 28, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.98, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000027, "code": "89545b", "started": 1759995403, "ended": 1759995441, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102815, "name": "Target932", "level": 25, "faction": null}, "result": "Attacked", "respect_gain": 3.1, "chain": 27, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.63, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000026, "code": "89545a", "started": 1759995299, "ended": 1759995332, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103471, "name": "Target148", "level": 32, "faction": null}, "result": "Attacked", "respect_gain": 2.07, "chain": 26, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.22, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000025, "code": "895459", "started": 1759995255, "ended": 1759995275, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101374, "name": "Target166", "level": 57, "faction": null}, "result": "Attacked", "respect_gain": 4.61, "chain": 25, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.61, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000024, "code": "895458", "started": 1759995054, "ended": 1759995109, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104983, "name": "Target104", "level": 40, "faction": null}, "result": "Attacked", "respect_gain": 1.54, "chain": 24, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.31, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000023, "code": "895457", "started": 1759994921, "ended": 1759994938, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101866, "name": "Target199", "level": 44, "faction": null}, "result": "Attacked", "respect_gain": 1.68, "chain": 23, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.6, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000022, "code": "895456", "started": 1759994847, "ended": 1759994903, "attacker": {"id": 2400106, "name": "Juniper", "level": 38, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100557, "name": "Target230", "level": 19, "faction": null}, "result": "Attacked", "respect_gain": 5.61, "chain": 22, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.63, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000021, "code": "895455", "started": 1759994831, "ended": 1759994867, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103284, "name": "Target771", "level": 59, "faction": null}, "result": "Attacked", "respect_gain": 3.91, "chain": 21, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.02, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000020, "code": "895454", "started": 1759994692, "ended": 1759994744, "attacker": {"id": 2400107, "name": "Wren", "level": 52, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103310, "name": "Target357", "level": 56, "faction": null}, "result": "Attacked", "respect_gain": 4.39, "chain": 20, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.33, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000019, "code": "895453", "started": 1759994633, "ended": 1759994680, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104406, "name": "Target683", "level": 52, "faction": null}, "result": "Attacked", "respect_gain": 3.47, "chain": 19, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.33, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000018, "code": "895452", "started": 1759994596, "ended": 1759994617, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104383, "name": "Target172", "level": 44, "faction": null}, "result": "Attacked", "respect_gain": 6.26, "chain": 18, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.61, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000017, "code": "895451", "started": 1759994392, "ended": 1759994445, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104465, "name": "Target309", "level": 58, "faction": null}, "result": "Attacked", "respect_gain": 1.85, "chain": 17, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.07, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000016, "code": "895450", "started": 1759994288, "ended": 1759994312, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103997, "name": "Target378", "level": 46, "faction": null}, "result": "Attacked", "respect_gain": 2.16, "chain": 16, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.53, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000015, "code": "89544f", "started": 1759994233, "ended": 1759994270, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104856, "name": "Target286", "level": 10, "faction": null}, "result": "Attacked", "respect_gain": 1.8, "chain": 15, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.84, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000014, "code": "89544e", "started": 1759994145, "ended": 1759994203, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102606, "name": "Target988", "level": 24, "faction": null}, "result": "Attacked", "respect_gain": 2.67, "chain": 14, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.04, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000013, "code": "89544d", "started": 1759994099, "ended": 1759994126, "attacker": {"id": 2400104, "name": "Quill", "level": 49, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102427, "name": "Target833", "level": 28, "faction": null}, "result": "Attacked", "respect_gain": 1.9, "chain": 13, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.83, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000012, "code": "89544c", "started": 1759993971, "ended": 1759994005, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3102478, "name": "Target597", "level": 43, "faction": null}, "result": "Attacked", "respect_gain": 3.4, "chain": 12, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.34, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000011, "code": "89544b", "started": 1759993944, "ended": 1759993979, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104501, "name": "Target771", "level": 15, "faction": null}, "result": "Attacked", "respect_gain": 5.74, "chain": 11, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.65, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000010, "code": "89544a", "started": 1759993829, "ended": 1759993863, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100237, "name": "Target252", "level": 13, "faction": null}, "result": "Attacked", "respect_gain": 6.08, "chain": 10, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.77, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000009, "code": "895449", "started": 1759993794, "ended": 1759993841, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103514, "name": "Target742", "level": 16, "faction": null}, "result": "Attacked", "respect_gain": 5.07, "chain": 9, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.6, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000008, "code": "895448", "started": 1759993621, "ended": 1759993676, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103229, "name": "Target313", "level": 55, "faction": null}, "result": "Attacked", "respect_gain": 1.7, "chain": 8, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.08, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000007, "code": "895447", "started": 1759993474, "ended": 1759993507, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104156, "name": "Target444", "level": 29, "faction": null}, "result": "Attacked", "respect_gain": 5.18, "chain": 7, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.41, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000006, "code": "895446", "started": 1759993454, "ended": 1759993484, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100388, "name": "Target589", "level": 41, "faction": null}, "result": "Attacked", "respect_gain": 3.17, "chain": 6, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.13, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000005, "code": "895445", "started": 1759993304, "ended": 1759993327, "attacker": {"id": 2400103, "name": "Tinder", "level": 55, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100427, "name": "Target542", "level": 44, "faction": null}, "result": "Attacked", "respect_gain": 4.2, "chain": 5, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.31, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000004, "code": "895444", "started": 1759993245, "ended": 1759993280, "attacker": {"id": 2400105, "name": "Sable", "level": 71, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3100473, "name": "Target834", "level": 16, "faction": null}, "result": "Attacked", "respect_gain": 4.89, "chain": 4, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.51, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000003, "code": "895443", "started": 1759993201, "ended": 1759993217, "attacker": {"id": 2400101, "name": "Kestrel", "level": 78, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3103387, "name": "Target431", "level": 27, "faction": null}, "result": "Attacked", "respect_gain": 3.46, "chain": 3, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.27, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000002, "code": "895442", "started": 1759993106, "ended": 1759993140, "attacker": {"id": 2400102, "name": "Marrow", "level": 64, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3101656, "name": "Target662", "level": 52, "faction": null}, "result": "Attacked", "respect_gain": 6.05, "chain": 2, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 1.54, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+  {"id": 9000001, "code": "895441", "started": 1759992961, "ended": 1759992986, "attacker": {"id": 2400107, "name": "Wren", "level": 52, "faction": {"id": 41234, "name": "Demo Faction"}}, "defender": {"id": 3104252, "name": "Target227", "level": 36, "faction": null}, "result": "Attacked", "respect_gain": 2.24, "chain": 1, "is_interrupted": false, "is_stealthed": false, "is_raid": false, "is_ranked_war": false, "modifiers": {"fair_fight": 2.04, "war": 1, "retaliation": 1, "group": 1, "overseas": 1, "chain": 1, "warlord": 1}},
+];
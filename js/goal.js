@@ -0,0 +1,91 @@
+/**
+ * Chain goal planner - live count history, hit rates, projected ETA and required rate for a goal
+ */
+
+import { nextBonusMilestone } from './alerts.js';
+
+/** Count history older than this is dropped (longest rate window plus slack) */
+export const COUNT_HISTORY_SECS = 7200;
+
+/** Hit rate windows shown on the planner (seconds) */
+export const RATE_WINDOWS = [900, 3600];
+
+/**
+ * Append a live chain count to a chain's history, dropping samples past the retention window
+ * @param {{ timestamp: number, current: number }[]} history - oldest first
+ * @param {number} timestamp - Unix seconds
+ * @param {number} current - live chain count
+ * @param {number} [keepSecs]
+ * @returns {{ timestamp: number, current: number }[]} new array
+ */
+export function recordCount(history, timestamp, current, keepSecs = COUNT_HISTORY_SECS) {
+  const kept = (history ?? []).filter((s) => s.timestamp >= timestamp - keepSecs && s.timestamp < timestamp);
+  return [...kept, { timestamp, current }];
+}
+
+/**
+ * Hits per minute over the last windowSecs of history (null without two samples in the window)
+ * @param {{ timestamp: number, current: number }[]} history - oldest first
+ * @param {number} windowSecs
+ * @param {number} [now] - Unix seconds
+ * @returns {number|null}
+ */
+export function hitRate(history, windowSecs, now = Math.floor(Date.now() / 1000)) {
+  const samples = (history ?? []).filter((s) => s.timestamp >= now - windowSecs && s.timestamp <= now);
+  if (samples.length < 2) return null;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const minutes = (last.timestamp - first.timestamp) / 60;
+  if (minutes <= 0) return null;
+  return Math.max(0, last.current - first.current) / minutes;
+}
+
+/**
+ * Coerce a goal from the form (target hits, optional deadline)
+ * @param {{ target?: any, deadline?: any }} [goal]
+ * @returns {{ target: number, deadline: number|null }|null} null clears the goal
+ */
+export function normalizeGoal(goal) {
+  const target = Math.floor(Number(goal?.target));
+  if (!Number.isFinite(target) || target <= 0) return null;
+  const deadline = Math.floor(Number(goal?.deadline));
+  return { target, deadline: Number.isFinite(deadline) && deadline > 0 ? deadline : null };
+}
+
+/**
+ * Planner state for an active chain
+ * ETA uses the 15 minute rate, falling back to the 60 minute rate
+ * @param {{ goal?: Object, countHistory?: Object[] }} chain
+ * @param {number} current - live chain count
+ * @param {number} [now] - Unix seconds
+ * @returns {{ current: number, rates: { windowSecs: number, rate: number|null }[], goal: Object|null, remaining: number|null, eta: number|null, requiredRate: number|null, milestone: number|null, milestoneEta: number|null }}
+ */
+export function goalPlan(chain, current, now = Math.floor(Date.now() / 1000)) {
+  const history = chain.countHistory ?? [];
+  const rates = RATE_WINDOWS.map((windowSecs) => ({ windowSecs, rate: hitRate(history, windowSecs, now) }));
+  const rate = rates.map((r) => r.rate).find((r) => r) ?? null;
+  const etaFor = (hitsLeft) => {
+    if (hitsLeft <= 0) return now;
+    return rate ? now + Math.round((hitsLeft / rate) * 60) : null;
+  };
+
+  const goal = chain.goal ?? null;
+  const remaining = goal ? Math.max(0, goal.target - current) : null;
+  let requiredRate = null;
+  if (goal?.deadline && remaining > 0) {
+    const minutesLeft = (goal.deadline - now) / 60;
+    requiredRate = minutesLeft > 0 ? remaining / minutesLeft : Infinity;
+  }
+
+  const milestone = nextBonusMilestone(current);
+  return {
+    current,
+    rates,
+    goal,
+    remaining,
+    eta: goal ? etaFor(remaining) : null,
+    requiredRate,
+    milestone,
+    milestoneEta: milestone ? etaFor(milestone - current) : null,
+  };
+}
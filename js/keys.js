@@ -0,0 +1,73 @@
+/**
+ * API keys - format and permission checks against Torn's key info
+ */
+
+/** Faction selections the tracker needs */
+export const REQUIRED_SELECTIONS = ['chain', 'chainreport', 'chains', 'news', 'members'];
+
+/** Faction selections used by optional features (reported, never required) */
+export const OPTIONAL_SELECTIONS = ['attacks'];
+
+/** Torn API keys are 16 alphanumeric characters */
+const KEY_FORMAT = /^[A-Za-z0-9]{16}$/;
+
+/**
+ * True when a string looks like a Torn API key
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isKeyFormat(key) {
+  return KEY_FORMAT.test(String(key ?? '').trim());
+}
+
+/**
+ * Checklist for a key before it is stored
+ * @param {Object|null} keyInfo - from fetchKeyInfo (null when the key was rejected or not checked)
+ * @param {Object} [options]
+ * @param {string} [options.key] - checked for format
+ * @param {string} [options.error] - API error message when key info could not be read
+ * @returns {{ ok: boolean, missing: string[], checks: { id: string, label: string, ok: boolean, optional?: boolean }[] }}
+ */
+export function checkKeyInfo(keyInfo, { key, error } = {}) {
+  const checks = [];
+  if (key !== undefined) {
+    checks.push({ id: 'format', label: '16-character key', ok: isKeyFormat(key) });
+  }
+  checks.push({ id: 'valid', label: error ? `Key accepted by Torn (${error})` : 'Key accepted by Torn', ok: Boolean(keyInfo) });
+
+  const access = keyInfo?.access ?? {};
+  const selections = keyInfo?.selections?.faction ?? [];
+  const granted = new Set((Array.isArray(selections) ? selections : Object.keys(selections)).map((s) => String(s).toLowerCase()));
+  checks.push({ id: 'faction', label: 'Faction access', ok: Boolean(keyInfo) && (access.faction === true || granted.size > 0) });
+
+  const missing = REQUIRED_SELECTIONS.filter((s) => !granted.has(s));
+  for (const s of REQUIRED_SELECTIONS) {
+    checks.push({ id: s, label: `faction → ${s}`, ok: granted.has(s) });
+  }
+  for (const s of OPTIONAL_SELECTIONS) {
+    checks.push({ id: s, label: `faction → ${s} (optional, for hit-level data)`, ok: granted.has(s), optional: true });
+  }
+
+  return { ok: checks.every((c) => c.ok || c.optional), missing, checks };
+}
+
+/**
+ * Faction of the key's owner, from key info (null when Torn doesn't say)
+ * @param {Object|null} keyInfo - from fetchKeyInfo
+ * @returns {number|null}
+ */
+export function keyFactionId(keyInfo) {
+  const id = Number(keyInfo?.user?.faction_id ?? keyInfo?.access?.faction_id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Player who owns the key, from key info (null when Torn doesn't say)
+ * Torn's request limit applies per player, so the key pool takes one key per owner
+ * @param {Object|null} keyInfo - from fetchKeyInfo
+ * @returns {number|null}
+ */
+export function keyOwnerId(keyInfo) {
+  const id = Number(keyInfo?.user?.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
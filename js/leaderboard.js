@@ -0,0 +1,56 @@
+/**
+ * Leaderboard - aggregate member rows across many cached chains
+ */
+
+import { buildMemberRows } from './members.js';
+
+/**
+ * Pick chains by start date range and/or explicit chain ids
+ * @param {Object[]} chains
+ * @param {Object} [filter]
+ * @param {number} [filter.from] - Unix seconds, chains starting at or after
+ * @param {number} [filter.to] - Unix seconds, chains starting at or before
+ * @param {number[]} [filter.chainIds] - Restrict to these chains (empty = all)
+ * @returns {Object[]}
+ */
+export function filterChains(chains, { from, to, chainIds } = {}) {
+  const ids = chainIds?.length ? new Set(chainIds) : null;
+  return chains.filter((c) => {
+    if (ids && !ids.has(c.chainId)) return false;
+    if (from && (c.start ?? 0) < from) return false;
+    if (to && (c.start ?? 0) > to) return false;
+    return true;
+  });
+}
+
+/**
+ * Sum hits, respect and consumption per member id across chains
+ * @param {Object[]} chains
+ * @param {Record<string, string>} [membersMap] - id -> name fallback
+ * @returns {{ id: string, name: string, chains: number, hits: number, respect: number, xanax: number, points: number, rph: number, xanaxPerHit: number, pointsPerHit: number }[]}
+ */
+export function aggregateMembers(chains, membersMap = {}) {
+  const totals = new Map();
+  // Oldest first so the most recent name wins
+  const ordered = [...chains].sort((a, b) => (a.chainId ?? 0) - (b.chainId ?? 0));
+
+  for (const chain of ordered) {
+    for (const row of buildMemberRows(chain, membersMap)) {
+      const cur = totals.get(row.id) ?? { id: row.id, name: row.name, chains: 0, hits: 0, respect: 0, xanax: 0, points: 0 };
+      cur.name = row.name || cur.name;
+      cur.hits += row.hits || 0;
+      cur.respect += row.respect || 0;
+      cur.xanax += row.xanax || 0;
+      cur.points += row.points || 0;
+      if ((row.hits || 0) > 0) cur.chains += 1;
+      totals.set(row.id, cur);
+    }
+  }
+
+  return Array.from(totals.values()).map((m) => ({
+    ...m,
+    rph: m.hits ? m.respect / m.hits : 0,
+    xanaxPerHit: m.hits ? m.xanax / m.hits : 0,
+    pointsPerHit: m.hits ? m.points / m.hits : 0,
+  }));
+}
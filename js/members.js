@@ -0,0 +1,77 @@
+/**
+ * Member rows - merge chain hits and consumption into per-member rows
+ */
+
+import { efficiencyMetrics } from './efficiency.js';
+
+/**
+ * Respect per hit for a row (0 when no hits)
+ * @param {{ hits: number, respect: number }} row
+ * @returns {number}
+ */
+export function respectPerHit(row) {
+  return (row.hits && row.respect) ? row.respect / row.hits : 0;
+}
+
+/** Sort keys computed from row fields rather than stored on the row */
+const DERIVED_SORTS = {
+  rph: respectPerHit,
+  hitsPerXanax: (row) => efficiencyMetrics(row).hitsPerXanax ?? 0,
+  respectPerXanax: (row) => efficiencyMetrics(row).respectPerXanax ?? 0,
+  hitsPer100Points: (row) => efficiencyMetrics(row).hitsPer100Points ?? 0,
+};
+
+/**
+ * Merge chain.hits and chain.consumption into one row per member id
+ * Rows carry one numeric field per consumable key found (xanax and points always present)
+ * @param {Object} chain
+ * @param {Record<string, string>} [membersMap] - id -> name fallback
+ * @returns {{ id: string, name: string, hits: number, respect: number, xanax: number, points: number }[]}
+ */
+export function buildMemberRows(chain, membersMap = {}) {
+  const hits = chain.hits ?? {};
+  const consumption = chain.consumption ?? {};
+  const members = new Map();
+
+  for (const [id, data] of Object.entries(hits)) {
+    const name = data.name ?? membersMap[id] ?? id;
+    members.set(id, {
+      id,
+      name,
+      hits: data.hits ?? 0,
+      respect: data.respect ?? 0,
+      xanax: 0,
+      points: 0,
+    });
+  }
+
+  for (const [id, data] of Object.entries(consumption)) {
+    const name = data.name ?? membersMap[id] ?? id;
+    const m = members.get(id) ?? { id, name, hits: 0, respect: 0, xanax: 0, points: 0 };
+    for (const [key, qty] of Object.entries(data)) {
+      if (key === 'name' || typeof qty !== 'number') continue;
+      m[key] = (m[key] || 0) + qty;
+    }
+    m.name = name || m.name;
+    members.set(id, m);
+  }
+
+  return Array.from(members.values());
+}
+
+/**
+ * Sort member rows by column (returns a new array)
+ * @param {Object[]} rows
+ * @param {string} [sortKey='hits'] - row field, 'rph' for respect per hit, or an efficiency metric
+ * @param {'asc'|'desc'} [sortDir='desc']
+ * @returns {Object[]}
+ */
+export function sortMemberRows(rows, sortKey = 'hits', sortDir = 'desc') {
+  return [...rows].sort((a, b) => {
+    const derived = DERIVED_SORTS[sortKey];
+    const va = derived ? derived(a) : (a[sortKey] ?? 0);
+    const vb = derived ? derived(b) : (b[sortKey] ?? 0);
+    if (typeof va === 'string') return sortDir === 'asc' ? va.localeCompare(vb) : vb.localeCompare(va);
+    return sortDir === 'asc' ? va - vb : vb - va;
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Payout calculator - per-member payouts from chain hits/respect minus faction consumption
+ */
+
+import { respectPerHit } from './members.js';
+
+/** Default rule set (used until the user saves their own) */
+export const DEFAULT_PAYOUT_RULES = {
+  mode: 'pot', // 'pot' = split a fixed pot, 'perHit' = fixed price per hit
+  pot: 0,
+  pricePerHit: 0,
+  respectWeight: 0, // 0 = pay on hits only, 1 = pay on respect only
+  xanaxDeduction: 0,
+  pointDeduction: 0,
+  minHits: 0,
+};
+
+/**
+ * Coerce a (possibly partial or stored) rule set into valid numbers
+ * @param {Object} [rules]
+ * @returns {typeof DEFAULT_PAYOUT_RULES}
+ */
+export function normalizeRules(rules = {}) {
+  const num = (v, fallback = 0) => {
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    mode: rules.mode === 'perHit' ? 'perHit' : 'pot',
+    pot: num(rules.pot),
+    pricePerHit: num(rules.pricePerHit),
+    respectWeight: Math.min(1, num(rules.respectWeight)),
+    xanaxDeduction: num(rules.xanaxDeduction),
+    pointDeduction: num(rules.pointDeduction),
+    minHits: Math.floor(num(rules.minHits)),
+  };
+}
+
+/**
+ * Compute payouts for member rows
+ * pot: eligible members split the pot by (1 - w) * hit share + w * respect share
+ * perHit: hits * price, scaled by (1 - w) + w * (member respect/hit / average respect/hit)
+ * Members under minHits get no gross pay; deductions always apply, so net can go negative.
+ * @param {Object[]} rows - from buildMemberRows
+ * @param {Object} rules
+ * @returns {{ rules: Object, computedAt: number, members: Object[], totals: { gross: number, deductions: number, net: number } }}
+ */
+export function computePayout(rows, rules) {
+  const r = normalizeRules(rules);
+  const eligible = rows.filter((m) => (m.hits ?? 0) > 0 && (m.hits ?? 0) >= r.minHits);
+  const eligibleIds = new Set(eligible.map((m) => m.id));
+  const totalHits = eligible.reduce((sum, m) => sum + (m.hits ?? 0), 0);
+  const totalRespect = eligible.reduce((sum, m) => sum + (m.respect ?? 0), 0);
+  const avgRph = totalHits ? totalRespect / totalHits : 0;
+
+  const grossFor = (m) => {
+    if (!eligibleIds.has(m.id)) return 0;
+    const w = r.respectWeight;
+    if (r.mode === 'perHit') {
+      const factor = avgRph ? (1 - w) + w * (respectPerHit(m) / avgRph) : 1;
+      return m.hits * r.pricePerHit * factor;
+    }
+    const hitShare = totalHits ? m.hits / totalHits : 0;
+    const respectShare = totalRespect ? (m.respect ?? 0) / totalRespect : hitShare;
+    return r.pot * ((1 - w) * hitShare + w * respectShare);
+  };
+
+  const members = rows.map((m) => {
+    const gross = Math.round(grossFor(m));
+    const deductions = Math.round((m.xanax ?? 0) * r.xanaxDeduction + (m.points ?? 0) * r.pointDeduction);
+    return {
+      id: m.id,
+      name: m.name,
+      hits: m.hits ?? 0,
+      respect: m.respect ?? 0,
+      xanax: m.xanax ?? 0,
+      points: m.points ?? 0,
+      eligible: eligibleIds.has(m.id),
+      gross,
+      deductions,
+      net: gross - deductions,
+    };
+  });
+
+  const totals = members.reduce(
+    (t, m) => ({ gross: t.gross + m.gross, deductions: t.deductions + m.deductions, net: t.net + m.net }),
+    { gross: 0, deductions: 0, net: 0 }
+  );
+
+  return { rules: r, computedAt: Math.floor(Date.now() / 1000), members, totals };
+}
@@ -0,0 +1,178 @@
+/**
+ * Profiles - named faction/key setups, each with its own IndexedDB database
+ * The registry (profile list and last active profile) lives in localStorage;
+ * the default profile keeps the original database, so existing data needs no migration
+ */
+
+import { DEFAULT_DB_NAME } from './db.js';
+
+const REGISTRY_STORAGE_KEY = 'chainTracker.profiles';
+export const DEFAULT_PROFILE_ID = 'default';
+const MAX_NAME_LENGTH = 40;
+
+/** Fallback registry when localStorage is unavailable (private mode, non-browser) */
+let memoryRegistry = null;
+
+/**
+ * @returns {Storage|null} localStorage if usable
+ */
+function registryStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Registry with the default profile always present
+ * @param {any} raw
+ * @returns {{ activeId: string, profiles: { id: string, name: string, factionId: number|null, createdAt: number }[] }}
+ */
+function normalizeRegistry(raw) {
+  const profiles = (Array.isArray(raw?.profiles) ? raw.profiles : [])
+    .filter((p) => typeof p?.id === 'string' && p.id)
+    .map((p) => ({
+      id: p.id,
+      name: normalizeProfileName(p.name) || p.id,
+      factionId: Number.isInteger(p.factionId) && p.factionId > 0 ? p.factionId : null,
+      createdAt: Number(p.createdAt) || 0,
+    }));
+  if (!profiles.some((p) => p.id === DEFAULT_PROFILE_ID)) {
+    profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default', factionId: null, createdAt: 0 });
+  }
+  const activeId = profiles.some((p) => p.id === raw?.activeId) ? raw.activeId : DEFAULT_PROFILE_ID;
+  return { activeId, profiles };
+}
+
+/**
+ * Read the registry
+ * @returns {{ activeId: string, profiles: Object[] }}
+ */
+function readRegistry() {
+  const storage = registryStorage();
+  if (!storage) return normalizeRegistry(memoryRegistry);
+  try {
+    return normalizeRegistry(JSON.parse(storage.getItem(REGISTRY_STORAGE_KEY) ?? 'null'));
+  } catch {
+    return normalizeRegistry(null);
+  }
+}
+
+/**
+ * Write the registry
+ * @param {{ activeId: string, profiles: Object[] }} registry
+ */
+function writeRegistry(registry) {
+  const storage = registryStorage();
+  if (!storage) {
+    memoryRegistry = registry;
+    return;
+  }
+  try {
+    storage.setItem(REGISTRY_STORAGE_KEY, JSON.stringify(registry));
+  } catch {
+    memoryRegistry = registry;
+  }
+}
+
+/**
+ * Trim and shorten a profile name
+ * @param {any} name
+ * @returns {string}
+ */
+export function normalizeProfileName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * IndexedDB database holding a profile's key, config and chain history
+ * @param {string} id
+ * @returns {string}
+ */
+export function profileDbName(id) {
+  return id === DEFAULT_PROFILE_ID ? DEFAULT_DB_NAME : `${DEFAULT_DB_NAME}:${id}`;
+}
+
+/**
+ * All profiles, default first, then in creation order
+ * @returns {{ id: string, name: string, factionId: number|null, createdAt: number }[]}
+ */
+export function listProfiles() {
+  return readRegistry().profiles;
+}
+
+/**
+ * The profile opened last (falls back to the default profile)
+ * @returns {{ id: string, name: string, factionId: number|null, createdAt: number }}
+ */
+export function getActiveProfile() {
+  const { activeId, profiles } = readRegistry();
+  return profiles.find((p) => p.id === activeId);
+}
+
+/**
+ * Remember which profile to open
+ * @param {string} id
+ */
+export function setActiveProfile(id) {
+  const registry = readRegistry();
+  if (!registry.profiles.some((p) => p.id === id)) throw new Error('Unknown profile');
+  writeRegistry({ ...registry, activeId: id });
+}
+
+/**
+ * Add a profile (not activated)
+ * @param {string} name
+ * @returns {{ id: string, name: string, factionId: null, createdAt: number }}
+ */
+export function createProfile(name) {
+  const clean = normalizeProfileName(name);
+  if (!clean) throw new Error('Profile name is required');
+  const registry = readRegistry();
+  if (registry.profiles.some((p) => p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`A profile named "${clean}" already exists`);
+  }
+  const profile = { id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: clean, factionId: null, createdAt: Math.floor(Date.now() / 1000) };
+  writeRegistry({ ...registry, profiles: [...registry.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Rename a profile
+ * @param {string} id
+ * @param {string} name
+ */
+export function renameProfile(id, name) {
+  const clean = normalizeProfileName(name);
+  if (!clean) throw new Error('Profile name is required');
+  const registry = readRegistry();
+  if (registry.profiles.some((p) => p.id !== id && p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new Error(`A profile named "${clean}" already exists`);
+  }
+  writeRegistry({ ...registry, profiles: registry.profiles.map((p) => (p.id === id ? { ...p, name: clean } : p)) });
+}
+
+/**
+ * Record the faction a profile tracks (learned from its first key)
+ * @param {string} id
+ * @param {number|null} factionId
+ */
+export function setProfileFaction(id, factionId) {
+  const registry = readRegistry();
+  writeRegistry({ ...registry, profiles: registry.profiles.map((p) => (p.id === id ? { ...p, factionId } : p)) });
+}
+
+/**
+ * Remove a profile from the registry (the caller deletes its database)
+ * The default profile can't be removed; removing the active profile activates the default one
+ * @param {string} id
+ */
+export function removeProfile(id) {
+  if (id === DEFAULT_PROFILE_ID) throw new Error('The default profile can\'t be deleted');
+  const registry = readRegistry();
+  writeRegistry({
+    activeId: registry.activeId === id ? DEFAULT_PROFILE_ID : registry.activeId,
+    profiles: registry.profiles.filter((p) => p.id !== id),
+  });
+}
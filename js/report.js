@@ -0,0 +1,186 @@
+/**
+ * Chain summary posts - fill user-editable templates for Markdown, Torn forum BBCode and plain text
+ */
+
+import { sortMemberRows } from './members.js';
+import { flagRows } from './efficiency.js';
+
+/** Output formats (template key -> label) */
+export const REPORT_FORMATS = {
+  markdown: 'Markdown (Discord)',
+  bbcode: 'BBCode (Torn forum)',
+  text: 'Plain text',
+};
+
+/** Placeholders available to templates, with descriptions for the editor */
+export const PLACEHOLDERS = {
+  chainId: 'Chain id',
+  start: 'Start time (TCT)',
+  end: 'End time (TCT), or "ongoing"',
+  duration: 'Chain duration',
+  hits: 'Total hits',
+  respect: 'Total respect',
+  members: 'Members with hits',
+  consumption: 'Consumption totals, e.g. "Xanax 40, Points 300"',
+  topHitters: 'List: top members by hits',
+  topRespect: 'List: top members by respect',
+  consumptionLeaders: 'List: top consumers of each tracked item',
+  flagged: 'List: members matching the attention flag rules',
+};
+
+export const DEFAULT_TEMPLATES = {
+  markdown: `**Chain #{{chainId}} summary**
+{{start}} → {{end}} ({{duration}})
+**{{hits}}** hits · **{{respect}}** respect · {{members}} members
+Used: {{consumption}}
+
+**Top hitters**
+{{topHitters}}
+
+**Top respect**
+{{topRespect}}
+
+**Consumption leaders**
+{{consumptionLeaders}}
+
+**Needs attention**
+{{flagged}}`,
+  bbcode: `[b][size=4]Chain #{{chainId}} summary[/size][/b]
+{{start}} → {{end}} ({{duration}})
+[b]{{hits}}[/b] hits · [b]{{respect}}[/b] respect · {{members}} members
+Used: {{consumption}}
+
+[b]Top hitters[/b]
+{{topHitters}}
+
+[b]Top respect[/b]
+{{topRespect}}
+
+[b]Consumption leaders[/b]
+{{consumptionLeaders}}
+
+[b]Needs attention[/b]
+{{flagged}}`,
+  text: `Chain #{{chainId}} summary
+{{start}} -> {{end}} ({{duration}})
+{{hits}} hits, {{respect}} respect, {{members}} members
+Used: {{consumption}}
+
+Top hitters
+{{topHitters}}
+
+Top respect
+{{topRespect}}
+
+Consumption leaders
+{{consumptionLeaders}}
+
+Needs attention
+{{flagged}}`,
+};
+
+/**
+ * Format a list of lines for an output format (numbered unless plain bullets are asked for)
+ * @param {string[]} items
+ * @param {'markdown'|'bbcode'|'text'} format
+ * @param {boolean} [numbered=true]
+ * @returns {string}
+ */
+function formatList(items, format, numbered = true) {
+  if (items.length === 0) return format === 'bbcode' ? '[i]None[/i]' : format === 'markdown' ? '_None_' : 'None';
+  if (format === 'bbcode') return `[list${numbered ? '=1' : ''}]\n${items.map((i) => `[*]${i}`).join('\n')}\n[/list]`;
+  return items.map((item, i) => (numbered ? `${i + 1}. ${item}` : `- ${item}`)).join('\n');
+}
+
+/**
+ * Emphasize a member name for an output format
+ * @param {string} name
+ * @param {'markdown'|'bbcode'|'text'} format
+ * @returns {string}
+ */
+function strong(name, format) {
+  if (format === 'markdown') return `**${name.replace(/([*_~`|\\])/g, '\\$1')}**`;
+  if (format === 'bbcode') return `[b]${name.replace(/[[\]]/g, '')}[/b]`;
+  return name;
+}
+
+/**
+ * Unix seconds -> "2026-10-19 14:05 TCT" (Torn City Time is UTC)
+ * @param {number} ts
+ * @returns {string}
+ */
+function tct(ts) {
+  return `${new Date(ts * 1000).toISOString().slice(0, 16).replace('T', ' ')} TCT`;
+}
+
+/**
+ * Values for every placeholder (lists are rendered per format)
+ * @param {Object} chain
+ * @param {Object[]} rows - from buildMemberRows
+ * @param {Object} [options]
+ * @param {{ id: string, label: string }[]} [options.consumables]
+ * @param {Object[]} [options.flagRules] - from normalizeFlagRules
+ * @param {number} [options.limit=5] - entries per top list
+ * @param {number} [options.now] - Unix seconds, end of an active chain
+ * @param {'markdown'|'bbcode'|'text'} format
+ * @returns {Record<string, string>}
+ */
+export function reportValues(chain, rows, { consumables = [], flagRules = [], limit = 5, now = Math.floor(Date.now() / 1000) } = {}, format = 'text') {
+  const num = (n) => Number(n ?? 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  const labels = Object.fromEntries(consumables.map((c) => [c.id, c.label]));
+  const totals = chain.totals ?? {};
+  const end = chain.end ?? now;
+  const secs = Math.max(0, end - (chain.start ?? end));
+
+  const top = (key, unit) => sortMemberRows(rows.filter((r) => r[key] > 0), key, 'desc')
+    .slice(0, limit)
+    .map((r) => `${strong(r.name, format)} — ${num(r[key])} ${unit}`);
+
+  const leaders = consumables
+    .map((c) => {
+      const [leader] = sortMemberRows(rows.filter((r) => r[c.id] > 0), c.id, 'desc');
+      return leader ? `${c.label}: ${strong(leader.name, format)} (${num(leader[c.id])})` : null;
+    })
+    .filter(Boolean);
+
+  const flagged = flagRows(rows, flagRules, labels)
+    .map((f) => `${strong(f.name, format)} — ${f.reasons.join('; ')}`);
+
+  return {
+    chainId: String(chain.chainId),
+    start: chain.start ? tct(chain.start) : '?',
+    end: chain.end ? tct(chain.end) : 'ongoing',
+    duration: `${Math.floor(secs / 3600)}h ${Math.floor((secs % 3600) / 60)}m`,
+    hits: num(totals.hits),
+    respect: num(totals.respect),
+    members: num(rows.filter((r) => r.hits > 0).length),
+    consumption: consumables.map((c) => `${c.label} ${num(totals[c.id])}`).join(', ') || 'nothing tracked',
+    topHitters: formatList(top('hits', 'hits'), format),
+    topRespect: formatList(top('respect', 'respect'), format),
+    consumptionLeaders: formatList(leaders, format, false),
+    flagged: formatList(flagged, format, false),
+  };
+}
+
+/**
+ * Replace {{placeholder}} tokens; unknown placeholders are left as written
+ * @param {string} template
+ * @param {Record<string, string>} values
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (token, key) => (Object.hasOwn(values, key) ? values[key] : token));
+}
+
+/**
+ * Stored template overrides merged over the defaults
+ * @param {Record<string, string>} [stored] - config 'reportTemplates'
+ * @returns {Record<string, string>}
+ */
+export function resolveTemplates(stored = {}) {
+  const templates = { ...DEFAULT_TEMPLATES };
+  for (const format of Object.keys(REPORT_FORMATS)) {
+    if (typeof stored?.[format] === 'string' && stored[format].trim()) templates[format] = stored[format];
+  }
+  return templates;
+}
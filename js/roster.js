@@ -0,0 +1,107 @@
+/**
+ * Roster - faction member snapshots, non-participants and mid-chain roster changes
+ */
+
+import { buildMemberRows } from './members.js';
+
+/**
+ * Members API payload -> compact roster entries
+ * @param {Object[]} members - from fetchFactionMembers
+ * @returns {{ id: string, name: string, position: string|null, lastAction: Object|null, status: Object|null }[]}
+ */
+export function toRosterEntries(members) {
+  return (members ?? []).map((m) => ({
+    id: String(m.id),
+    name: m.name ?? String(m.id),
+    position: m.position ?? null,
+    lastAction: m.last_action
+      ? { status: m.last_action.status ?? null, timestamp: m.last_action.timestamp ?? null, relative: m.last_action.relative ?? null }
+      : null,
+    status: m.status
+      ? { state: m.status.state ?? null, description: m.status.description ?? null }
+      : null,
+  }));
+}
+
+/**
+ * True when two rosters hold the same member ids
+ * @param {{ id: string }[]} a
+ * @param {{ id: string }[]} b
+ * @returns {boolean}
+ */
+export function sameMembers(a, b) {
+  if (a.length !== b.length) return false;
+  const ids = new Set(a.map((m) => m.id));
+  return b.every((m) => ids.has(m.id));
+}
+
+/**
+ * Snapshots relevant to a time window: the one in effect at `from` plus any that start inside it
+ * A snapshot is in effect from its firstSeen until the next snapshot's firstSeen
+ * @param {{ firstSeen: number, lastSeen: number, members: Object[] }[]} snapshots
+ * @param {number} from - Unix seconds
+ * @param {number} to - Unix seconds
+ * @returns {Object[]} oldest first
+ */
+export function snapshotsInWindow(snapshots, from, to) {
+  const ordered = [...snapshots].sort((a, b) => a.firstSeen - b.firstSeen);
+  const atStart = ordered.filter((s) => s.firstSeen <= from).pop();
+  const inside = ordered.filter((s) => s.firstSeen > from && s.firstSeen <= to);
+  return atStart ? [atStart, ...inside] : inside;
+}
+
+/**
+ * True when a member row has hits or any consumption
+ * @param {Object} row - from buildMemberRows
+ * @returns {boolean}
+ */
+function hasActivity(row) {
+  return Object.entries(row).some(([key, value]) => key !== 'respect' && typeof value === 'number' && value > 0);
+}
+
+/**
+ * Roster report for one chain
+ * nonParticipants: members on the latest roster with zero hits in this chain
+ * flagged: members with hits or consumption who were missing from at least one roster
+ *   snapshot in effect during the chain (joined or left mid-chain, or never on the roster).
+ *   Chain reports have no hit timestamps, so this is per snapshot, not per hit.
+ * @param {Object} chain
+ * @param {Object[]} snapshots - all stored roster snapshots
+ * @param {Record<string, string>} [membersMap]
+ * @param {number} [now] - Unix seconds, end of an active chain
+ * @returns {{ covered: boolean, partial: boolean, nonParticipants: Object[], flagged: { id: string, name: string, hits: number, reason: string }[] }}
+ */
+export function rosterReport(chain, snapshots, membersMap = {}, now = Math.floor(Date.now() / 1000)) {
+  const start = chain.start ?? 0;
+  const end = chain.end ?? now;
+  const inWindow = snapshotsInWindow(snapshots, start, end);
+  const latest = [...snapshots].sort((a, b) => a.firstSeen - b.firstSeen).pop();
+  const rows = buildMemberRows(chain, membersMap);
+  const hitsById = new Map(rows.map((r) => [r.id, r.hits ?? 0]));
+
+  const nonParticipants = (latest?.members ?? [])
+    .filter((m) => !hitsById.get(m.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const flagged = [];
+  if (inWindow.length > 0) {
+    for (const row of rows) {
+      if (!hasActivity(row)) continue;
+      const presence = inWindow.map((s) => s.members.some((m) => m.id === row.id));
+      if (presence.every(Boolean)) continue;
+      let reason;
+      if (!presence.some(Boolean)) reason = 'Not on roster during chain';
+      else if (!presence[0]) reason = 'Joined mid-chain';
+      else reason = 'Left mid-chain';
+      flagged.push({ id: row.id, name: row.name, hits: row.hits ?? 0, reason });
+    }
+  }
+
+  return {
+    covered: inWindow.length > 0,
+    // First snapshot taken after the chain started: early joins/leaves can't be seen
+    partial: inWindow.length > 0 && inWindow[0].firstSeen > start,
+    nonParticipants,
+    flagged,
+  };
+}
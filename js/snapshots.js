@@ -0,0 +1,68 @@
+/**
+ * Chain snapshots - per-sync copies of totals and member stats, and time series built from them
+ */
+
+import { buildMemberRows } from './members.js';
+
+/**
+ * Snapshot of a chain's totals and per-member stats at a point in time
+ * @param {Object} chain
+ * @param {number} timestamp - Unix seconds
+ * @returns {{ chainId: number, timestamp: number, totals: Object, members: Record<string, Object> }}
+ */
+export function chainSnapshot(chain, timestamp) {
+  const members = {};
+  for (const { id, name, ...stats } of buildMemberRows(chain)) {
+    members[id] = stats;
+  }
+  return { chainId: chain.chainId, timestamp, totals: { ...chain.totals }, members };
+}
+
+/**
+ * True when two snapshots hold the same totals and member stats (timestamps ignored)
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function sameSnapshotData(a, b) {
+  if (!a || !b) return false;
+  return JSON.stringify(a.totals) === JSON.stringify(b.totals) && JSON.stringify(a.members) === JSON.stringify(b.members);
+}
+
+/**
+ * Cumulative chain total over time
+ * @param {Object[]} snapshots - oldest first
+ * @param {string} key - totals field (hits, respect, or a consumable id)
+ * @returns {{ x: number, y: number }[]}
+ */
+export function totalsSeries(snapshots, key) {
+  return snapshots.map((s) => ({ x: s.timestamp, y: s.totals?.[key] ?? 0 }));
+}
+
+/**
+ * One member's cumulative stat over time (0 before their first appearance)
+ * @param {Object[]} snapshots - oldest first
+ * @param {string} memberId
+ * @param {string} key - member field (hits, respect, or a consumable id)
+ * @returns {{ x: number, y: number }[]}
+ */
+export function memberSeries(snapshots, memberId, key) {
+  return snapshots.map((s) => ({ x: s.timestamp, y: s.members?.[memberId]?.[key] ?? 0 }));
+}
+
+/**
+ * Member ids with the highest value of a stat in the latest snapshot
+ * @param {Object[]} snapshots - oldest first
+ * @param {string} key
+ * @param {number} [limit=8]
+ * @returns {string[]}
+ */
+export function topMembers(snapshots, key, limit = 8) {
+  const latest = snapshots[snapshots.length - 1];
+  if (!latest) return [];
+  return Object.entries(latest.members ?? {})
+    .filter(([, stats]) => (stats[key] ?? 0) > 0)
+    .sort(([, a], [, b]) => (b[key] ?? 0) - (a[key] ?? 0))
+    .slice(0, limit)
+    .map(([id]) => id);
+}
@@ -0,0 +1,252 @@
+/**
+ * Chain sync - pull a chain's report, armory news and (opt-in) attacks from the API into IndexedDB
+ * Kept apart from app.js (which drives the UI) so the sync runs headless against the fake Torn API in tests
+ */
+
+import * as db from './db.js';
+import * as api from './api.js';
+import { recordCount } from './goal.js';
+import { chainSnapshot, sameSnapshotData } from './snapshots.js';
+import { toAttackRecord, ATTACK_OVERLAP_SECS } from './attacks.js';
+import {
+  extractConsumption,
+  mergeConsumption,
+  updateTotals,
+  resolveRules,
+  newsItemId,
+  newsTimestamp,
+  newsText,
+  isSeenByMark,
+  advanceNewsMark,
+} from './consumption.js';
+
+/** Chain fields edited by the user rather than synced; a sync never overwrites them */
+const USER_CHAIN_FIELDS = ['goal', 'payout'];
+
+/** A finished chain synced this long after its end has all its news; later syncs skip the news walk */
+const NEWS_SETTLE_SECS = 300;
+
+/**
+ * Stop a sync whose profile was switched or deleted while it ran, before it writes
+ * into the database that is open now (err.staleProfile is set)
+ * @param {string} dbName - database the sync started on
+ */
+function assertSameDatabase(dbName) {
+  if (db.currentDatabase() === dbName) return;
+  const err = new Error('The profile changed during the sync');
+  err.staleProfile = true;
+  throw err;
+}
+
+/**
+ * Fetch faction news pages (newest first) until timestamp < chainStart, or until
+ * reaching the chain's high-water mark (news already seen by a previous sync)
+ * Raw entries inside the chain window are stored so consumption can be recomputed later
+ * @returns {Promise<{ consumption: Object, mark: Object|null }>}
+ */
+async function fetchAllFactionNews(apiKey, chainId, chainStart, chainEnd, processedIds, rules, mark, dbName) {
+  const allNews = [];
+  let before = null;
+
+  while (true) {
+    const data = await api.fetchFactionNews({ apiKey, before });
+    const news = data.news ?? data.faction?.news ?? [];
+    const items = Array.isArray(news) ? news : Object.values(news);
+
+    let reachedEnd = false;
+    for (const item of items) {
+      const ts = item.timestamp ?? item.time ?? (typeof item === 'object' ? item.id : null);
+      if (ts != null && ts < chainStart) {
+        reachedEnd = true;
+        break;
+      }
+      if (isSeenByMark(item, mark)) {
+        // Same-second items may still be new; anything older is not
+        if (ts < mark.timestamp) {
+          reachedEnd = true;
+          break;
+        }
+        continue;
+      }
+      allNews.push(item);
+    }
+
+    const meta = data._metadata ?? data.metadata ?? {};
+    const links = meta.links ?? {};
+    const prev = links.prev ?? meta.prev;
+    if (!prev || reachedEnd) break;
+    before = typeof prev === 'string' ? prev : prev.url ?? prev.before ?? prev;
+  }
+
+  const inWindow = allNews.filter((item) => newsTimestamp(item) >= chainStart && newsTimestamp(item) <= chainEnd);
+  assertSameDatabase(dbName);
+  await db.saveNews(inWindow.map((item) => ({ id: newsItemId(item), chainId, timestamp: newsTimestamp(item), text: newsText(item) })));
+
+  return {
+    consumption: extractConsumption(allNews, chainStart, chainEnd, processedIds, rules),
+    mark: advanceNewsMark(mark, inWindow),
+  };
+}
+
+/**
+ * Fetch the chain's outgoing attacks (newest first, following _metadata.links.prev) back to
+ * the chain start, or on later syncs back to the newest stored hit, and store them
+ * Sets chain.attackSync; the caller saves the chain
+ * @param {string} apiKey
+ * @param {Object} chain
+ * @param {string} [dbName] - database the sync started on (default: the open one)
+ * @returns {Promise<number>} attacks fetched
+ */
+export async function syncChainAttacks(apiKey, chain, dbName = db.currentDatabase()) {
+  const now = Math.floor(Date.now() / 1000);
+  const from = chain.attackSync
+    ? Math.max(chain.start, chain.attackSync.timestamp - ATTACK_OVERLAP_SECS)
+    : chain.start;
+  const to = chain.end ?? now;
+  const records = [];
+  let before = null;
+
+  while (true) {
+    const data = await api.fetchFactionAttacks({ apiKey, from, to, before });
+    const attacks = data.attacks ?? [];
+    const items = Array.isArray(attacks) ? attacks : Object.values(attacks);
+
+    let reachedEnd = false;
+    for (const attack of items) {
+      const record = toAttackRecord(attack, chain.chainId);
+      const started = record.started ?? record.timestamp;
+      if (started < from) {
+        reachedEnd = true;
+        break;
+      }
+      if (started <= to) records.push(record);
+    }
+
+    const meta = data._metadata ?? data.metadata ?? {};
+    const links = meta.links ?? {};
+    const prev = links.prev ?? meta.prev;
+    if (!prev || reachedEnd || items.length === 0) break;
+    before = typeof prev === 'string' ? prev : prev.url ?? prev.before ?? prev;
+  }
+
+  assertSameDatabase(dbName);
+  await db.saveAttacks(records);
+  const newest = records.reduce((max, r) => Math.max(max, r.started ?? r.timestamp), chain.attackSync?.timestamp ?? from);
+  chain.attackSync = { timestamp: newest, syncedAt: now };
+  return records.length;
+}
+
+/**
+ * Load and sync chain data
+ * News is fetched incrementally from the chain's high-water mark; new chains and
+ * fullBackfill walk back to the chain start (processedNewsIds prevents double counting)
+ * Everything is written to the database open when the sync started; if the profile changes
+ * meanwhile the sync throws with err.staleProfile instead
+ * @param {string} apiKey
+ * @param {Object} currentChain
+ * @param {Object} [options]
+ * @param {boolean} [options.fullBackfill=false]
+ */
+export async function loadAndSyncChain(apiKey, currentChain, { fullBackfill = false } = {}) {
+  const chainId = currentChain.id ?? currentChain.chain_id ?? currentChain.chainId;
+  const start = currentChain.start ?? currentChain.chain_start;
+  const isActive = currentChain.current != null || currentChain.end == null;
+  const now = Math.floor(Date.now() / 1000);
+  const end = isActive ? now : (currentChain.end ?? now);
+  const dbName = db.currentDatabase();
+
+  let chain = await db.getChain(chainId);
+  const isNew = !chain;
+
+  if (isNew) {
+    chain = {
+      chainId,
+      start,
+      end: isActive ? null : end,
+      status: isActive ? 'active' : 'finished',
+      hits: {},
+      consumption: {},
+      totals: { hits: 0, respect: 0, xanax: 0, points: 0 },
+      processedNewsIds: [],
+      newsSync: null,
+    };
+  }
+
+  const processedIds = new Set(chain.processedNewsIds ?? []);
+  const rules = await loadConsumptionRules();
+  const mark = fullBackfill ? null : (chain.newsSync?.mark ?? null);
+  const newsSettled = !fullBackfill && !isActive && chain.newsSync?.syncedAt >= end + NEWS_SETTLE_SECS;
+
+  const [reportData, news] = await Promise.all([
+    api.fetchChainReport(chainId, apiKey),
+    newsSettled
+      ? { consumption: {}, mark }
+      : fetchAllFactionNews(apiKey, chainId, start, end, processedIds, rules, mark, dbName),
+  ]);
+
+  const report = reportData.chainreport ?? reportData;
+  const attackers = report.attackers ?? report.attacker ?? [];
+
+  const hits = {};
+  for (const a of attackers) {
+    const id = String(a.id ?? a.user_id ?? a.attacker_id);
+    hits[id] = {
+      hits: a.attacks?.total ?? a.attacks ?? a.hits ?? 0,
+      respect: a.respect?.total ?? a.respect ?? 0,
+      name: a.name ?? a.username ?? id,
+    };
+  }
+  chain.hits = hits;
+  mergeConsumption(chain, news.consumption);
+  chain.processedNewsIds = Array.from(processedIds);
+  chain.newsSync = { mark: news.mark, syncedAt: newsSettled ? chain.newsSync.syncedAt : now };
+  chain.end = currentChain.current ? null : (report.end ?? end);
+  chain.status = chain.end ? 'finished' : 'active';
+  if (chain.status === 'active' && currentChain.current != null) {
+    // Persisted so hit rates survive a page reload
+    chain.countHistory = recordCount(chain.countHistory, now, currentChain.current);
+  }
+  updateTotals(chain);
+
+  // Hit-level sync is opt-in per chain (costs a request per 100 hits); once on, keep it current
+  if (chain.attackSync && (isActive || chain.attackSync.syncedAt < end + NEWS_SETTLE_SECS)) {
+    await syncChainAttacks(apiKey, chain, dbName);
+  }
+
+  // Goal and payout can be edited while this sync is in flight; keep the stored ones
+  assertSameDatabase(dbName);
+  if (!isNew) await keepUserChainFields(chain);
+
+  assertSameDatabase(dbName);
+  await db.setConfig('lastSyncTimestamp', Math.floor(Date.now() / 1000));
+  await db.saveChain(chain);
+
+  // Finished chains opened again would otherwise pile up identical snapshots
+  const snapshot = chainSnapshot(chain, now);
+  if (chain.status === 'active' || !sameSnapshotData((await db.getChainSnapshots(chainId)).pop(), snapshot)) {
+    assertSameDatabase(dbName);
+    await db.addChainSnapshot(snapshot);
+  }
+
+  return chain;
+}
+
+/**
+ * Copy user-edited fields from the stored chain onto a chain about to be saved over it
+ * @param {Object} chain
+ */
+export async function keepUserChainFields(chain) {
+  const stored = await db.getChain(chain.chainId);
+  if (!stored) return;
+  for (const field of USER_CHAIN_FIELDS) {
+    if (field in stored) chain[field] = stored[field];
+    else delete chain[field];
+  }
+}
+
+/**
+ * Active consumption rules (built-ins + custom rules from config)
+ */
+export async function loadConsumptionRules() {
+  return resolveRules((await db.getConfig('consumptionRules')) ?? {});
+}
@@ -2,28 +2,127 @@
  * UI layer - render API key form, dashboard, table, badges
  */
 
+import { buildMemberRows, sortMemberRows } from './members.js';
+import { filterChains, aggregateMembers } from './leaderboard.js';
+import { chainStats, orderChains, memberDeltas } from './compare.js';
+import { BUILT_IN_RULES } from './consumption.js';
+import { totalsSeries, memberSeries, topMembers } from './snapshots.js';
+import { lineChart, chartLegend, timelineStrip } from './charts.js';
+import { hourlyCoverage, longestGaps } from './coverage.js';
+import { REPORT_FORMATS, PLACEHOLDERS, DEFAULT_TEMPLATES, reportValues, fillTemplate } from './report.js';
+import { efficiencyMetrics, flagRows, describeFlagRule, ANY_RESOURCE, DEFAULT_FLAG_RULES } from './efficiency.js';
+import { toCsv, toJson, toHtml, payoutToCsv, downloadFile } from './export.js';
+import { DEFAULT_PROFILE_ID } from './profiles.js';
+
 const container = document.getElementById('app');
 let apiKeySubmitCallback = null;
 let selectChainCallback = null;
 
-export function setCallbacks({ onApiKeySubmit, onSelectChain, onLoadMoreChains, onViewChainHistory }) {
+export function setCallbacks({ onApiKeySubmit, onSelectChain, onLoadMoreChains, onViewChainHistory, onBackup, onRestore, onCalculatePayout, onViewLeaderboard, onBack, onCompareChains, onSaveAlertSettings, onSaveConsumptionRules, onRecomputeChain, onResyncChain, onSaveFlagRules, onSaveChainGoal, onSyncAttacks, onViewCoverage, onSaveReportTemplate, onUnlock, onLock, onForgetKey, onEncryptKey, onChangePassphrase, onRemoveKeyEncryption, onSwitchProfile, onCreateProfile, onRenameProfile, onDeleteProfile, onAddPoolKey, onRemovePoolKey }) {
   apiKeySubmitCallback = onApiKeySubmit;
   selectChainCallback = onSelectChain;
   onLoadMoreChainsCallback = onLoadMoreChains;
   onViewChainHistoryCallback = onViewChainHistory;
+  onBackupCallback = onBackup;
+  onRestoreCallback = onRestore;
+  onCalculatePayoutCallback = onCalculatePayout;
+  onViewLeaderboardCallback = onViewLeaderboard;
+  onBackCallback = onBack;
+  onCompareChainsCallback = onCompareChains;
+  onSaveAlertSettingsCallback = onSaveAlertSettings;
+  onSaveConsumptionRulesCallback = onSaveConsumptionRules;
+  onRecomputeChainCallback = onRecomputeChain;
+  onResyncChainCallback = onResyncChain;
+  onSaveFlagRulesCallback = onSaveFlagRules;
+  onSaveChainGoalCallback = onSaveChainGoal;
+  onSyncAttacksCallback = onSyncAttacks;
+  onViewCoverageCallback = onViewCoverage;
+  onSaveReportTemplateCallback = onSaveReportTemplate;
+  onUnlockCallback = onUnlock;
+  onLockCallback = onLock;
+  onForgetKeyCallback = onForgetKey;
+  onEncryptKeyCallback = onEncryptKey;
+  onChangePassphraseCallback = onChangePassphrase;
+  onRemoveKeyEncryptionCallback = onRemoveKeyEncryption;
+  onSwitchProfileCallback = onSwitchProfile;
+  onCreateProfileCallback = onCreateProfile;
+  onRenameProfileCallback = onRenameProfile;
+  onDeleteProfileCallback = onDeleteProfile;
+  onAddPoolKeyCallback = onAddPoolKey;
+  onRemovePoolKeyCallback = onRemovePoolKey;
+  bindBackupControls();
+  bindKeySecurity();
+  bindKeyPool();
+  bindNav();
+  bindAlertSettings();
 }
 let onLoadMoreChainsCallback = null;
 let onViewChainHistoryCallback = null;
+let onBackupCallback = null;
+let onRestoreCallback = null;
+let onCalculatePayoutCallback = null;
+let onViewLeaderboardCallback = null;
+let onBackCallback = null;
+let onCompareChainsCallback = null;
+let onSaveAlertSettingsCallback = null;
+let onSaveConsumptionRulesCallback = null;
+let onRecomputeChainCallback = null;
+let onResyncChainCallback = null;
+let onSaveFlagRulesCallback = null;
+let onSaveChainGoalCallback = null;
+let onSyncAttacksCallback = null;
+let onViewCoverageCallback = null;
+let onSaveReportTemplateCallback = null;
+let onUnlockCallback = null;
+let onLockCallback = null;
+let onForgetKeyCallback = null;
+let onEncryptKeyCallback = null;
+let onChangePassphraseCallback = null;
+let onRemoveKeyEncryptionCallback = null;
+let onSwitchProfileCallback = null;
+let onCreateProfileCallback = null;
+let onRenameProfileCallback = null;
+let onDeleteProfileCallback = null;
+let onAddPoolKeyCallback = null;
+let onRemovePoolKeyCallback = null;
 const apiKeySection = document.getElementById('api-key-section');
 const apiKeyForm = document.getElementById('api-key-form');
 const apiKeyInput = document.getElementById('api-key-input');
+const apiKeyPassphrase = document.getElementById('api-key-passphrase');
+const unlockEl = document.getElementById('unlock-section');
 const errorEl = document.getElementById('error');
 const loadingEl = document.getElementById('loading');
 const dashboardEl = document.getElementById('dashboard');
 const noChainEl = document.getElementById('no-chain');
+const leaderboardEl = document.getElementById('leaderboard');
+const comparisonEl = document.getElementById('comparison');
+const coverageEl = document.getElementById('coverage');
+
+/** Member table as last rendered (drives exports in the current sort order) */
+let tableState = null;
+
+/** Arguments of the last showDashboard call (re-render when settings change) */
+let dashboardState = null;
+
+/** Tracked consumables (one totals card and table column each) */
+let consumables = [
+  { id: 'xanax', label: 'Xanax' },
+  { id: 'points', label: 'Points' },
+];
+
+/** Efficiency flag rules (highlight rows and fill the attention panel) */
+let flagRules = DEFAULT_FLAG_RULES;
+
+/** Summary post templates by format (defaults merged with saved overrides) */
+let reportTemplates = { ...DEFAULT_TEMPLATES };
+
+/** Tracked consumable id -> label */
+function consumableLabels() {
+  return Object.fromEntries(consumables.map((c) => [c.id, c.label]));
+}
 
 function showSection(id) {
-  [apiKeySection, loadingEl, dashboardEl, noChainEl].forEach((el) => {
+  [apiKeySection, unlockEl, loadingEl, dashboardEl, noChainEl, leaderboardEl, comparisonEl, coverageEl].forEach((el) => {
     if (el) el.classList.add('hidden');
   });
   const el = document.getElementById(id);
@@ -34,33 +133,48 @@ function formatNum(n) {
   return Number(n).toLocaleString();
 }
 
-function buildMemberRows(chain, membersMap = {}) {
-  const hits = chain.hits ?? {};
-  const consumption = chain.consumption ?? {};
-  const members = new Map();
-
-  for (const [id, data] of Object.entries(hits)) {
-    const name = data.name ?? membersMap[id] ?? id;
-    members.set(id, {
-      id,
-      name,
-      hits: data.hits ?? 0,
-      respect: data.respect ?? 0,
-      xanax: 0,
-      points: 0,
-    });
+/**
+ * Wire dashboard export / recompute / resync buttons to the currently rendered table
+ */
+function bindExportButtons() {
+  const csvBtn = document.getElementById('export-csv');
+  const jsonBtn = document.getElementById('export-json');
+  const htmlBtn = document.getElementById('export-html');
+  const recomputeBtn = document.getElementById('recompute-chain');
+  const resyncBtn = document.getElementById('resync-chain');
+  if (recomputeBtn) {
+    recomputeBtn.onclick = () => {
+      if (tableState && onRecomputeChainCallback) onRecomputeChainCallback(tableState.chain.chainId);
+    };
   }
-
-  for (const [id, data] of Object.entries(consumption)) {
-    const name = data.name ?? membersMap[id] ?? id;
-    const m = members.get(id) ?? { id, name, hits: 0, respect: 0, xanax: 0, points: 0 };
-    m.xanax = (m.xanax || 0) + (data.xanax ?? 0);
-    m.points = (m.points || 0) + (data.points ?? 0);
-    m.name = name || m.name;
-    members.set(id, m);
+  if (resyncBtn) {
+    resyncBtn.classList.toggle('hidden', !dashboardState?.apiKey);
+    resyncBtn.onclick = () => {
+      if (tableState && onResyncChainCallback) onResyncChainCallback(tableState.chain.chainId);
+    };
+  }
+  if (csvBtn) {
+    csvBtn.onclick = () => {
+      if (!tableState) return;
+      const { chain, rows } = tableState;
+      // BOM so spreadsheet apps detect UTF-8 member names
+      downloadFile(`chain-${chain.chainId}.csv`, '\ufeff' + toCsv(chain, rows, consumables), 'text/csv;charset=utf-8');
+    };
+  }
+  if (jsonBtn) {
+    jsonBtn.onclick = () => {
+      if (!tableState) return;
+      const { chain, rows, sortKey, sortDir } = tableState;
+      downloadFile(`chain-${chain.chainId}.json`, toJson(chain, rows, { key: sortKey, dir: sortDir }, consumables), 'application/json');
+    };
+  }
+  if (htmlBtn) {
+    htmlBtn.onclick = () => {
+      if (!tableState) return;
+      const { chain, rows } = tableState;
+      downloadFile(`chain-${chain.chainId}.html`, toHtml(chain, rows, consumables), 'text/html;charset=utf-8');
+    };
   }
-
-  return Array.from(members.values());
 }
 
 /**
@@ -68,17 +182,10 @@ function buildMemberRows(chain, membersMap = {}) {
  */
 function renderTable(chain, sortKey = 'hits', sortDir = 'desc', membersMap = {}) {
   const rows = buildMemberRows(chain, membersMap);
-  const sorted = [...rows].sort((a, b) => {
-    let va = a[sortKey] ?? 0;
-    let vb = b[sortKey] ?? 0;
-    if (sortKey === 'rph') {
-      va = (a.hits && a.respect) ? a.respect / a.hits : 0;
-      vb = (b.hits && b.respect) ? b.respect / b.hits : 0;
-    }
-    if (typeof va === 'string') return sortDir === 'asc' ? va.localeCompare(vb) : vb.localeCompare(va);
-    return sortDir === 'asc' ? va - vb : vb - va;
-  });
+  const sorted = sortMemberRows(rows, sortKey, sortDir);
+  tableState = { chain, rows: sorted, sortKey, sortDir };
 
+  const flaggedIds = new Set(flagRows(rows, flagRules, consumableLabels()).map((f) => f.id));
   const topHits = sorted.slice(0, 3).map((r) => r.hits);
   const topHitsSet = new Set(topHits);
   const sortIndicator = (key) => {
@@ -95,8 +202,10 @@ function renderTable(chain, sortKey = 'hits', sortDir = 'desc', membersMap = {})
             <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="hits">Hits${sortIndicator('hits')}</th>
             <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="respect">Respect${sortIndicator('respect')}</th>
             <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="rph">Respect/Hit${sortIndicator('rph')}</th>
-            <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="xanax">Xanax${sortIndicator('xanax')}</th>
-            <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="points">Points${sortIndicator('points')}</th>
+            ${consumables.map((c) => `<th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="${c.id}">${escapeHtml(c.label)}${sortIndicator(c.id)}</th>`).join('')}
+            <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="hitsPerXanax" title="Hits per xanax">Hits/Xan${sortIndicator('hitsPerXanax')}</th>
+            <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="respectPerXanax" title="Respect per xanax">Resp/Xan${sortIndicator('respectPerXanax')}</th>
+            <th scope="col" class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="hitsPer100Points" title="Hits per 100 faction points">Hits/100 pts${sortIndicator('hitsPer100Points')}</th>
           </tr>
         </thead>
         <tbody class="bg-white divide-y divide-gray-200">
@@ -105,22 +214,27 @@ function renderTable(chain, sortKey = 'hits', sortDir = 'desc', membersMap = {})
   if (sorted.length === 0) {
     html += `
       <tr>
-        <td colspan="6" class="px-6 py-8 text-center text-gray-500 text-sm">No member data yet. Chain report will populate as attacks are recorded.</td>
+        <td colspan="${7 + consumables.length}" class="px-6 py-8 text-center text-gray-500 text-sm">No member data yet. Chain report will populate as attacks are recorded.</td>
       </tr>
     `;
   } else {
     for (const m of sorted) {
       const rph = m.hits ? (m.respect / m.hits).toFixed(2) : '—';
       const isTop = topHitsSet.has(m.hits) && m.hits > 0;
-      const rowClass = isTop ? 'bg-amber-50' : '';
+      const metrics = efficiencyMetrics(m);
+      const ratio = (v) => (v == null ? '—' : v.toFixed(2));
+      let rowClass = isTop ? 'bg-amber-50' : '';
+      if (flaggedIds.has(m.id)) rowClass = 'bg-red-50';
       html += `
         <tr class="${rowClass} hover:bg-gray-50">
           <td class="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">${escapeHtml(m.name)}</td>
           <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.hits)}</td>
           <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.respect)}</td>
           <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${rph}</td>
-          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.xanax)}</td>
-          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.points)}</td>
+          ${consumables.map((c) => `<td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m[c.id] ?? 0)}</td>`).join('')}
+          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${ratio(metrics.hitsPerXanax)}</td>
+          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${ratio(metrics.respectPerXanax)}</td>
+          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-600 text-right">${ratio(metrics.hitsPer100Points)}</td>
         </tr>
       `;
     }
@@ -149,14 +263,263 @@ function escapeHtml(s) {
 
 export function showApiKeyForm() {
   showSection('api-key-section');
+  showKeyCheck(null);
   if (apiKeyInput) apiKeyInput.value = '';
+  if (apiKeyPassphrase) apiKeyPassphrase.value = '';
   if (apiKeyForm) {
     apiKeyForm.onsubmit = (e) => {
       e.preventDefault();
       const key = apiKeyInput?.value?.trim();
-      if (key && apiKeySubmitCallback) apiKeySubmitCallback(key);
+      const passphrase = apiKeyPassphrase?.value || null;
+      if (key && apiKeySubmitCallback) apiKeySubmitCallback(key, passphrase);
+    };
+  }
+}
+
+/**
+ * Fill the header profile switcher and wire its buttons
+ * @param {{ id: string, name: string, factionId: number|null }[]} list
+ * @param {string} activeId
+ */
+export function renderProfiles(list, activeId) {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  const active = list.find((p) => p.id === activeId);
+  select.innerHTML = list.map((p) => `<option value="${escapeHtml(p.id)}"${p.id === activeId ? ' selected' : ''}>${escapeHtml(p.name)}${p.factionId ? ` (faction ${p.factionId})` : ''}</option>`).join('');
+  select.onchange = () => {
+    if (onSwitchProfileCallback) onSwitchProfileCallback(select.value);
+  };
+
+  const newBtn = document.getElementById('profile-new');
+  if (newBtn) {
+    newBtn.onclick = () => {
+      const name = window.prompt('Name for the new profile (e.g. the faction it tracks)');
+      if (name?.trim() && onCreateProfileCallback) onCreateProfileCallback(name);
+    };
+  }
+  const renameBtn = document.getElementById('profile-rename');
+  if (renameBtn) {
+    renameBtn.onclick = () => {
+      const name = window.prompt('Rename profile', active?.name ?? '');
+      if (name?.trim() && onRenameProfileCallback) onRenameProfileCallback(activeId, name);
+    };
+  }
+  const deleteBtn = document.getElementById('profile-delete');
+  if (deleteBtn) {
+    // The default profile holds data from before profiles existed and always stays
+    deleteBtn.classList.toggle('hidden', activeId === DEFAULT_PROFILE_ID);
+    deleteBtn.onclick = () => {
+      if (!window.confirm(`Delete profile "${active?.name}" with its API key, settings and all cached chains? This can't be undone.`)) return;
+      if (onDeleteProfileCallback) onDeleteProfileCallback(activeId);
+    };
+  }
+}
+
+/**
+ * Show the demo banner; profiles don't apply to the demo
+ */
+export function showDemoBanner() {
+  document.getElementById('demo-banner')?.classList.remove('hidden');
+  document.getElementById('profile-switcher')?.classList.add('hidden');
+}
+
+/**
+ * Ask for the passphrase of the encrypted key
+ */
+export function showUnlockForm() {
+  showSection('unlock-section');
+  const form = document.getElementById('unlock-form');
+  const input = document.getElementById('unlock-passphrase');
+  const forget = document.getElementById('unlock-forget');
+  if (input) {
+    input.value = '';
+    input.focus();
+  }
+  if (form) {
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      if (input?.value && onUnlockCallback) onUnlockCallback(input.value);
+    };
+  }
+  if (forget) {
+    forget.onclick = () => {
+      if (!window.confirm('Forget the stored API key? You will need to enter a key again.')) return;
+      if (onForgetKeyCallback) onForgetKeyCallback();
+    };
+  }
+}
+
+/**
+ * Show the key security panel for the current key storage state
+ * @param {{ hasKey: boolean, encrypted: boolean, unlocked: boolean, autoLockMinutes: number }} state
+ */
+export function renderKeySecurity({ hasKey, encrypted, unlocked, autoLockMinutes }) {
+  const section = document.getElementById('key-security-section');
+  if (!section) return;
+  section.classList.toggle('hidden', !hasKey);
+  const status = document.getElementById('key-security-status');
+  if (status) {
+    status.textContent = encrypted
+      ? `Your API key is encrypted with a passphrase${unlocked ? ' and unlocked for this session. It locks again after ${autoLockMinutes} minutes without activity.' : ' and locked.'}`
+      : 'Your API key is stored unencrypted in this browser. Add a passphrase to encrypt it; you will be asked for it when the page loads.';
+  }
+  document.getElementById('key-lock')?.classList.toggle('hidden', !(encrypted && unlocked));
+  document.getElementById('key-encrypt-form')?.classList.toggle('hidden', encrypted);
+  document.getElementById('key-passphrase-form')?.classList.toggle('hidden', !encrypted);
+}
+
+/**
+ * Show the key pool with each key's budget this minute and health (null hides the panel)
+ * @param {{ id: string, label: string, masked: string, primary: boolean, used: number, limit: number, requests: number, errors: number, lastError: string|null, lastUsedAt: number|null }[]|null} rows
+ */
+export function renderKeyPool(rows) {
+  const section = document.getElementById('key-pool-section');
+  const listEl = document.getElementById('key-pool-list');
+  if (!section || !listEl) return;
+  section.classList.toggle('hidden', !rows);
+  if (!rows) {
+    listEl.innerHTML = '';
+    return;
+  }
+  const cell = 'px-3 py-2 whitespace-nowrap';
+  listEl.innerHTML = `
+    <table class="min-w-full text-sm">
+      <thead class="text-xs text-gray-500 uppercase bg-gray-50">
+        <tr><th class="${cell} text-left">Key</th><th class="${cell} text-right">Used this minute</th><th class="${cell} text-right">Requests</th><th class="${cell} text-right">Errors</th><th class="${cell} text-left">Last used</th><th class="${cell} text-left">Last error</th><th class="${cell}"></th></tr>
+      </thead>
+      <tbody class="divide-y divide-gray-100">
+        ${rows.map((r) => `
+          <tr>
+            <td class="${cell}">${escapeHtml(r.label)} <span class="text-gray-400 font-mono">${escapeHtml(r.masked)}</span>${r.benched ? ` <span class="text-xs text-amber-700" title="${escapeHtml(r.benchedReason ?? '')}">paused</span>` : ''}</td>
+            <td class="${cell} text-right ${r.used >= r.limit ? 'text-red-600' : ''}">${formatNum(r.used ?? 0)}/${formatNum(r.limit ?? 0)}</td>
+            <td class="${cell} text-right">${formatNum(r.requests ?? 0)}</td>
+            <td class="${cell} text-right ${r.errors ? 'text-red-600' : ''}">${formatNum(r.errors ?? 0)}</td>
+            <td class="${cell} text-gray-500">${r.lastUsedAt ? escapeHtml(new Date(r.lastUsedAt).toLocaleTimeString()) : '–'}</td>
+            <td class="${cell} text-gray-500">${r.benchedReason || r.lastError ? escapeHtml(r.benchedReason || r.lastError) : '–'}</td>
+            <td class="${cell} text-right">${r.primary ? '' : `<button type="button" data-pool-remove="${escapeHtml(r.id)}" class="text-gray-500 hover:text-red-600 hover:underline">Remove</button>`}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>
+    ${rows.length === 1 ? '<p class="mt-2 text-sm text-gray-500">Only your key is in use.</p>' : ''}
+  `;
+  listEl.querySelectorAll('[data-pool-remove]').forEach((btn) => {
+    btn.onclick = () => {
+      if (!window.confirm('Remove this key from the pool?')) return;
+      if (onRemovePoolKeyCallback) onRemovePoolKeyCallback(btn.dataset.poolRemove);
+    };
+  });
+}
+
+/**
+ * Wire the key pool add form
+ */
+function bindKeyPool() {
+  const form = document.getElementById('key-pool-add-form');
+  if (!form) return;
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const keyEl = document.getElementById('key-pool-key');
+    const labelEl = document.getElementById('key-pool-label');
+    const key = keyEl?.value?.trim();
+    if (!key || !onAddPoolKeyCallback) return;
+    onAddPoolKeyCallback(key, labelEl?.value ?? '');
+    if (keyEl) keyEl.value = '';
+    if (labelEl) labelEl.value = '';
+  };
+}
+
+/**
+ * Wire the key security panel forms (new passphrases must be typed twice)
+ */
+function bindKeySecurity() {
+  const value = (id) => document.getElementById(id)?.value ?? '';
+  const clear = (form) => form.querySelectorAll('input').forEach((input) => {
+    input.value = '';
+  });
+  const confirmed = (next, repeat) => {
+    if (!next) {
+      showError('Enter a passphrase');
+      return false;
+    }
+    if (next !== repeat) {
+      showError('Passphrases do not match');
+      return false;
+    }
+    return true;
+  };
+
+  const lockBtn = document.getElementById('key-lock');
+  if (lockBtn) {
+    lockBtn.onclick = () => {
+      if (onLockCallback) onLockCallback();
     };
   }
+
+  const encryptForm = document.getElementById('key-encrypt-form');
+  if (encryptForm) {
+    encryptForm.onsubmit = (e) => {
+      e.preventDefault();
+      const next = value('key-encrypt-passphrase');
+      if (!confirmed(next, value('key-encrypt-confirm'))) return;
+      clear(encryptForm);
+      if (onEncryptKeyCallback) onEncryptKeyCallback(next);
+    };
+  }
+
+  const passphraseForm = document.getElementById('key-passphrase-form');
+  if (passphraseForm) {
+    passphraseForm.onsubmit = (e) => {
+      e.preventDefault();
+      const current = value('key-passphrase-current');
+      const next = value('key-passphrase-new');
+      if (!current) {
+        showError('Enter the current passphrase');
+        return;
+      }
+      if (!confirmed(next, value('key-passphrase-confirm'))) return;
+      clear(passphraseForm);
+      if (onChangePassphraseCallback) onChangePassphraseCallback(current, next);
+    };
+  }
+
+  const decryptBtn = document.getElementById('key-decrypt');
+  if (decryptBtn) {
+    decryptBtn.onclick = () => {
+      const current = value('key-passphrase-current');
+      if (!current) {
+        showError('Enter the current passphrase to remove encryption');
+        return;
+      }
+      if (!window.confirm('Store the API key unencrypted from now on?')) return;
+      if (passphraseForm) clear(passphraseForm);
+      if (onRemoveKeyEncryptionCallback) onRemoveKeyEncryptionCallback(current);
+    };
+  }
+}
+
+/**
+ * Show the API key checklist under the key form (null hides it)
+ * @param {{ ok: boolean, checks: { label: string, ok: boolean, optional?: boolean }[] }|null} result - from checkKeyInfo
+ */
+export function showKeyCheck(result) {
+  const el = document.getElementById('api-key-check');
+  if (!el) return;
+  el.classList.toggle('hidden', !result);
+  if (!result) {
+    el.innerHTML = '';
+    return;
+  }
+  const mark = (c) => {
+    if (c.ok) return '<span class="text-green-600">\u2713</span>';
+    return c.optional ? '<span class="text-gray-400">\u2013</span>' : '<span class="text-red-600">\u2717</span>';
+  };
+  el.innerHTML = `
+    <p class="font-medium ${result.ok ? 'text-green-700' : 'text-red-700'} mb-2">${result.ok ? 'Key has everything the tracker needs' : 'This key can\'t be used yet'}</p>
+    <ul class="space-y-1">
+      ${result.checks.map((c) => `<li class="flex gap-2">${mark(c)}<span class="${c.ok || c.optional ? 'text-gray-700' : 'text-red-700'}">${escapeHtml(c.label)}</span></li>`).join('')}
+    </ul>
+    ${result.ok ? '' : '<p class="mt-2 text-gray-600">Edit the key on Torn\'s API settings page (or generate a new one with the link above), then save it again.</p>'}
+  `;
 }
 
 export function showLoading() {
@@ -177,6 +540,774 @@ export function clearError() {
   }
 }
 
+/**
+ * Wire backup download and restore form (always visible, below the main sections)
+ */
+function bindBackupControls() {
+  const downloadBtn = document.getElementById('backup-download');
+  const includeKey = document.getElementById('backup-include-key');
+  const restoreForm = document.getElementById('restore-form');
+  const restoreFile = document.getElementById('restore-file');
+  const restoreMode = document.getElementById('restore-mode');
+
+  if (downloadBtn) {
+    downloadBtn.onclick = () => {
+      if (onBackupCallback) onBackupCallback(Boolean(includeKey?.checked));
+    };
+  }
+
+  if (restoreForm) {
+    restoreForm.onsubmit = async (e) => {
+      e.preventDefault();
+      const file = restoreFile?.files?.[0];
+      if (!file || !onRestoreCallback) return;
+      const mode = restoreMode?.value === 'replace' ? 'replace' : 'merge';
+      if (mode === 'replace' && !window.confirm('Replace all cached chains with the backup? Chains not in the file will be deleted.')) {
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch {
+        showError('Backup file is not valid JSON');
+        return;
+      }
+      onRestoreCallback(data, mode);
+    };
+  }
+}
+
+/**
+ * Show the outcome of a restore
+ * @param {{ mode: string, added: number, updated: number, unchanged: number, conflicts: { chainId: number, kept: string }[] }} report
+ */
+export function showRestoreResult(report) {
+  const el = document.getElementById('restore-result');
+  if (!el) return;
+  let html = report.mode === 'replace'
+    ? `<p>Restored ${formatNum(report.added)} chains (replaced existing data).</p>`
+    : `<p>Added ${formatNum(report.added)}, updated ${formatNum(report.updated)}, unchanged ${formatNum(report.unchanged)} chains.</p>`;
+  if (report.conflicts.length > 0) {
+    html += '<p class="mt-2 font-medium">Conflicts</p><ul class="list-disc ml-5">';
+    html += report.conflicts
+      .map((c) => `<li>Chain #${c.chainId} — kept ${c.kept === 'backup' ? 'backup copy' : 'local copy'}</li>`)
+      .join('');
+    html += '</ul>';
+  }
+  el.innerHTML = html;
+  el.classList.remove('hidden');
+}
+
+/**
+ * Fill the payout form with a rule set
+ * @param {Object} rules - normalized payout rules
+ */
+export function setPayoutRules(rules) {
+  const form = document.getElementById('payout-form');
+  if (!form) return;
+  for (const [name, value] of Object.entries(rules)) {
+    if (form.elements[name]) form.elements[name].value = value;
+  }
+}
+
+/**
+ * Read the payout form into a raw rule set
+ * @returns {Object}
+ */
+function readPayoutRules() {
+  const form = document.getElementById('payout-form');
+  return Object.fromEntries(new FormData(form).entries());
+}
+
+/**
+ * Render a chain's saved payout (or clear the panel) and wire the payout form to that chain
+ * @param {Object} chain
+ */
+export function renderPayout(chain) {
+  const form = document.getElementById('payout-form');
+  const resultEl = document.getElementById('payout-result');
+  const exportBtn = document.getElementById('payout-export');
+  const payout = chain.payout;
+
+  if (form) {
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      if (onCalculatePayoutCallback) onCalculatePayoutCallback(chain.chainId, readPayoutRules());
+    };
+  }
+
+  if (exportBtn) {
+    exportBtn.classList.toggle('hidden', !payout);
+    exportBtn.onclick = payout
+      ? () => downloadFile(`chain-${chain.chainId}-payout.csv`, '\ufeff' + payoutToCsv(chain, payout), 'text/csv;charset=utf-8')
+      : null;
+  }
+
+  if (!resultEl) return;
+  if (!payout) {
+    resultEl.innerHTML = '<p class="text-sm text-gray-500">No payout calculated for this chain yet.</p>';
+    return;
+  }
+
+  const rows = [...payout.members].sort((a, b) => b.net - a.net);
+  const netClass = (n) => (n < 0 ? 'text-red-600' : 'text-gray-900');
+  resultEl.innerHTML = `
+    <p class="text-xs text-gray-500 mb-2">Calculated ${formatDate(payout.computedAt)}</p>
+    <div class="overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200 text-sm">
+        <thead class="bg-gray-50">
+          <tr>
+            <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+            <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Hits</th>
+            <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Gross</th>
+            <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Deductions</th>
+            <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Net</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          ${rows.map((m) => `
+            <tr class="${m.eligible ? '' : 'text-gray-400'}">
+              <td class="px-4 py-2">${escapeHtml(m.name)}</td>
+              <td class="px-4 py-2 text-right">${formatNum(m.hits)}</td>
+              <td class="px-4 py-2 text-right">${formatNum(m.gross)}</td>
+              <td class="px-4 py-2 text-right">${formatNum(m.deductions)}</td>
+              <td class="px-4 py-2 text-right font-medium ${netClass(m.net)}">${formatNum(m.net)}</td>
+            </tr>
+          `).join('')}
+          <tr class="bg-gray-50 font-semibold">
+            <td class="px-4 py-2">Total</td>
+            <td></td>
+            <td class="px-4 py-2 text-right">${formatNum(payout.totals.gross)}</td>
+            <td class="px-4 py-2 text-right">${formatNum(payout.totals.deductions)}</td>
+            <td class="px-4 py-2 text-right">${formatNum(payout.totals.net)}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Wire header navigation and the "Back" links of secondary views
+ */
+function bindNav() {
+  const leaderboardLink = document.getElementById('nav-leaderboard');
+  if (leaderboardLink) {
+    leaderboardLink.onclick = (e) => {
+      e.preventDefault();
+      if (onViewLeaderboardCallback) onViewLeaderboardCallback();
+    };
+  }
+  const coverageLink = document.getElementById('nav-coverage');
+  if (coverageLink) {
+    coverageLink.onclick = (e) => {
+      e.preventDefault();
+      if (onViewCoverageCallback) onViewCoverageCallback();
+    };
+  }
+  document.querySelectorAll('[data-nav-back]').forEach((link) => {
+    link.onclick = (e) => {
+      e.preventDefault();
+      if (onBackCallback) onBackCallback();
+    };
+  });
+}
+
+/**
+ * Local date input value (YYYY-MM-DD) -> Unix seconds; endOfDay includes the whole day
+ * @param {string} value
+ * @param {boolean} [endOfDay=false]
+ * @returns {number|undefined}
+ */
+function dateInputToTs(value, endOfDay = false) {
+  if (!value) return undefined;
+  const d = new Date(`${value}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return undefined;
+  if (endOfDay) d.setDate(d.getDate() + 1);
+  return Math.floor(d.getTime() / 1000) - (endOfDay ? 1 : 0);
+}
+
+/**
+ * Render leaderboard table for the current filter
+ */
+function renderLeaderboardTable(chains, membersMap, sortKey = 'hits', sortDir = 'desc') {
+  const wrap = document.getElementById('leaderboard-table-wrap');
+  const form = document.getElementById('leaderboard-filter');
+  if (!wrap || !form) return;
+
+  const chainIds = Array.from(form.querySelectorAll('[data-leaderboard-chain]:checked')).map((el) => Number(el.value));
+  const selected = filterChains(chains, {
+    from: dateInputToTs(form.elements.from.value),
+    to: dateInputToTs(form.elements.to.value, true),
+    chainIds,
+  });
+  const countEl = document.getElementById('leaderboard-chain-count');
+  if (countEl) countEl.textContent = `(${selected.length} of ${chains.length})`;
+
+  const rows = sortMemberRows(aggregateMembers(selected, membersMap), sortKey, sortDir);
+  const sortIndicator = (key) => {
+    if (sortKey !== key) return '';
+    return sortDir === 'desc' ? ' \u2193' : ' \u2191';
+  };
+  const columns = [
+    ['name', 'Member', 'text-left'],
+    ['chains', 'Chains', 'text-right'],
+    ['hits', 'Hits', 'text-right'],
+    ['respect', 'Respect', 'text-right'],
+    ['rph', 'Respect/Hit', 'text-right'],
+    ['xanax', 'Xanax', 'text-right'],
+    ['points', 'Points', 'text-right'],
+    ['xanaxPerHit', 'Xanax/Hit', 'text-right'],
+    ['pointsPerHit', 'Points/Hit', 'text-right'],
+  ];
+
+  let html = `
+    <div class="overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200">
+        <thead class="bg-gray-50">
+          <tr>
+            ${columns.map(([key, label, align]) => `<th scope="col" class="px-4 py-3 ${align} text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100" data-sort="${key}">${label}${sortIndicator(key)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+  `;
+
+  if (rows.length === 0) {
+    html += `<tr><td colspan="${columns.length}" class="px-4 py-8 text-center text-gray-500 text-sm">No cached chains match this filter.</td></tr>`;
+  } else {
+    for (const m of rows) {
+      html += `
+        <tr class="hover:bg-gray-50">
+          <td class="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">${escapeHtml(m.name)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.chains)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.hits)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.respect)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${m.hits ? m.rph.toFixed(2) : '—'}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.xanax)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${formatNum(m.points)}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${m.hits ? m.xanaxPerHit.toFixed(3) : '—'}</td>
+          <td class="px-4 py-3 whitespace-nowrap text-sm text-gray-600 text-right">${m.hits ? m.pointsPerHit.toFixed(2) : '—'}</td>
+        </tr>
+      `;
+    }
+  }
+
+  html += '</tbody></table></div>';
+  wrap.innerHTML = html;
+  wrap.querySelectorAll('[data-sort]').forEach((th) => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      const nextDir = sortKey === key && sortDir === 'desc' ? 'asc' : 'desc';
+      renderLeaderboardTable(chains, membersMap, key, nextDir);
+    });
+  });
+}
+
+/**
+ * Show cross-chain member leaderboard
+ * @param {Object[]} chains - all cached chains
+ * @param {Record<string, string>} [membersMap]
+ */
+export function showLeaderboard(chains, membersMap = {}) {
+  showSection('leaderboard');
+  const form = document.getElementById('leaderboard-filter');
+  const list = document.getElementById('leaderboard-chains');
+  if (!form || !list) return;
+
+  const sortedChains = [...chains].sort((a, b) => (b.chainId ?? 0) - (a.chainId ?? 0));
+  list.innerHTML = sortedChains.length === 0
+    ? '<p class="text-gray-500 text-sm">No cached chains.</p>'
+    : sortedChains
+      .map((c) => `<label class="block text-sm py-1"><input type="checkbox" class="mr-2" data-leaderboard-chain value="${c.chainId}" />Chain #${c.chainId} — ${formatDate(c.start)}</label>`)
+      .join('');
+
+  form.onchange = () => renderLeaderboardTable(chains, membersMap);
+  form.onsubmit = (e) => e.preventDefault();
+  renderLeaderboardTable(chains, membersMap);
+}
+
+/**
+ * Seconds -> "12h 34m"
+ * @param {number} secs
+ * @returns {string}
+ */
+function formatDuration(secs) {
+  if (!secs) return '—';
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+/**
+ * Render per-member values and changes for one metric
+ */
+function renderComparisonMembers(chains, membersMap, metric) {
+  const wrap = document.getElementById('comparison-members');
+  if (!wrap) return;
+  const rows = memberDeltas(chains, metric, membersMap)
+    .sort((a, b) => b.values[b.values.length - 1] - a.values[a.values.length - 1] || b.values[0] - a.values[0]);
+  const fmt = (n) => (metric === 'respect' ? Number(n.toFixed(2)).toLocaleString() : formatNum(n));
+  const deltaHtml = (d) => {
+    if (d == null || d === 0) return '';
+    const cls = d > 0 ? 'text-green-700' : 'text-red-600';
+    return ` <span class="${cls} text-xs">(${d > 0 ? '+' : '\u2212'}${fmt(Math.abs(d))})</span>`;
+  };
+
+  wrap.innerHTML = `
+    <div class="overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200 text-sm">
+        <thead class="bg-gray-50">
+          <tr>
+            <th scope="col" class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+            ${chains.map((c) => `<th scope="col" class="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">#${c.chainId}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          ${rows.length === 0 ? `<tr><td colspan="${chains.length + 1}" class="px-4 py-8 text-center text-gray-500">No member data.</td></tr>` : rows.map((m) => `
+            <tr class="hover:bg-gray-50">
+              <td class="px-4 py-2 whitespace-nowrap font-medium text-gray-900">${escapeHtml(m.name)}</td>
+              ${m.values.map((v, i) => `<td class="px-4 py-2 whitespace-nowrap text-right text-gray-600">${fmt(v)}${deltaHtml(m.deltas[i])}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Show side-by-side comparison of cached chains
+ * @param {Object[]} chains
+ * @param {Record<string, string>} [membersMap]
+ */
+export function showComparison(chains, membersMap = {}) {
+  showSection('comparison');
+  const ordered = orderChains(chains);
+  const stats = ordered.map((c) => chainStats(c));
+
+  const statRows = [
+    ['Start', (s) => formatDate(s.start)],
+    ['End', (s) => (s.end ? formatDate(s.end) : 'Active')],
+    ['Duration', (s) => formatDuration(s.duration)],
+    ['Hits', (s) => formatNum(s.hits)],
+    ['Respect', (s) => formatNum(s.respect)],
+    ['Xanax', (s) => formatNum(s.xanax)],
+    ['Points', (s) => formatNum(s.points)],
+    ['Hits/hour', (s) => s.hitsPerHour.toFixed(1)],
+    ['Respect/hit', (s) => s.respectPerHit.toFixed(2)],
+    ['Xanax/100 hits', (s) => s.xanaxPer100.toFixed(2)],
+    ['Points/100 hits', (s) => s.pointsPer100.toFixed(1)],
+  ];
+
+  const totalsEl = document.getElementById('comparison-totals');
+  if (totalsEl) {
+    totalsEl.innerHTML = `
+      <div class="overflow-x-auto">
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <thead class="bg-gray-50">
+            <tr>
+              <th scope="col" class="px-4 py-3"></th>
+              ${stats.map((s) => `<th scope="col" class="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Chain #${s.chainId}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody class="bg-white divide-y divide-gray-200">
+            ${statRows.map(([label, fn]) => `
+              <tr>
+                <td class="px-4 py-2 whitespace-nowrap text-xs font-medium text-gray-500 uppercase">${label}</td>
+                ${stats.map((s) => `<td class="px-4 py-2 whitespace-nowrap text-right text-gray-900">${fn(s)}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  const metricSelect = document.getElementById('comparison-metric');
+  const metric = metricSelect?.value || 'hits';
+  if (metricSelect) {
+    metricSelect.onchange = () => renderComparisonMembers(ordered, membersMap, metricSelect.value);
+  }
+  renderComparisonMembers(ordered, membersMap, metric);
+}
+
+/**
+ * Wire chain alert settings form; asks for notification permission when enabled
+ */
+function bindAlertSettings() {
+  const form = document.getElementById('alert-settings-form');
+  if (!form) return;
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const settings = {
+      timeoutThreshold: form.elements.timeoutThreshold.value,
+      milestoneThreshold: form.elements.milestoneThreshold.value,
+      notify: form.elements.notify.checked,
+    };
+    if (settings.notify && 'Notification' in window && Notification.permission === 'default') {
+      await Notification.requestPermission();
+    }
+    if (settings.notify && (!('Notification' in window) || Notification.permission !== 'granted')) {
+      showError('Browser notifications are blocked; only on-page alerts will be shown');
+    }
+    if (onSaveAlertSettingsCallback) onSaveAlertSettingsCallback(settings);
+  };
+}
+
+/**
+ * Fill the alert settings form
+ * @param {Object} settings - normalized alert settings
+ */
+export function setAlertSettings(settings) {
+  const form = document.getElementById('alert-settings-form');
+  if (!form) return;
+  form.elements.timeoutThreshold.value = settings.timeoutThreshold;
+  form.elements.milestoneThreshold.value = settings.milestoneThreshold;
+  form.elements.notify.checked = settings.notify;
+}
+
+/**
+ * Update live chain panel (count, timeout countdown, next bonus); null hides it
+ * @param {{ current: number }|null} state
+ * @param {number|null} remaining - seconds on the chain timer
+ * @param {number|null} milestone - next bonus milestone
+ * @param {number} [timeoutThreshold] - seconds at which the countdown turns red
+ */
+export function updateChainLive(state, remaining, milestone, timeoutThreshold = 0) {
+  const panel = document.getElementById('chain-live');
+  if (!panel) return;
+  if (!state) {
+    panel.classList.add('hidden');
+    return;
+  }
+  panel.classList.remove('hidden');
+
+  const countEl = document.getElementById('chain-live-count');
+  const timeoutEl = document.getElementById('chain-live-timeout');
+  const milestoneEl = document.getElementById('chain-live-milestone');
+  if (countEl) countEl.textContent = formatNum(state.current);
+  if (timeoutEl) {
+    timeoutEl.textContent = remaining == null
+      ? '—'
+      : `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    timeoutEl.classList.toggle('text-red-600', remaining != null && remaining <= timeoutThreshold);
+  }
+  if (milestoneEl) {
+    milestoneEl.textContent = milestone
+      ? `${formatNum(milestone)} (${formatNum(milestone - state.current)} to go)`
+      : '—';
+  }
+}
+
+/**
+ * Fill the goal form for a chain and wire it to save the goal on that chain
+ * @param {Object} chain
+ */
+function bindGoalForm(chain) {
+  const form = document.getElementById('chain-goal-form');
+  if (!form) return;
+  const goal = chain.goal ?? null;
+  // Auto-refresh re-renders the dashboard; don't overwrite a goal being typed
+  if (!form.contains(document.activeElement)) {
+    form.elements.target.value = goal?.target ?? '';
+    form.elements.deadline.value = goal?.deadline ? tsToDateTimeInput(goal.deadline) : '';
+  }
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const deadline = form.elements.deadline.value ? new Date(form.elements.deadline.value).getTime() / 1000 : null;
+    if (onSaveChainGoalCallback) onSaveChainGoalCallback(chain.chainId, { target: form.elements.target.value, deadline });
+  };
+}
+
+/** Unix seconds -> datetime-local input value (local time) */
+function tsToDateTimeInput(ts) {
+  const d = new Date(ts * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Render goal planner: hit rates, projected ETA, required rate and next bonus ETA
+ * @param {ReturnType<import('./goal.js').goalPlan>|null} plan
+ */
+export function updateGoalPlan(plan) {
+  const el = document.getElementById('goal-plan');
+  if (!el) return;
+  if (!plan) {
+    el.innerHTML = '';
+    return;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const perMin = (rate) => (rate == null ? '—' : `${rate.toFixed(1)}/min`);
+  const eta = (ts) => {
+    if (ts == null) return 'No recent hits';
+    if (ts <= now) return 'Reached';
+    return `${new Date(ts * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} (in ${formatDuration(ts - now)})`;
+  };
+
+  const current = plan.rates.find((r) => r.rate != null)?.rate ?? 0;
+  const cells = plan.rates.map((r) => [`Rate (${r.windowSecs / 60}m)`, perMin(r.rate), '']);
+  if (plan.goal) {
+    cells.push([`ETA to ${formatNum(plan.goal.target)}`, eta(plan.eta), '']);
+    if (plan.goal.deadline) {
+      const behind = plan.requiredRate != null && plan.requiredRate > current;
+      const required = plan.requiredRate === Infinity ? 'Deadline passed' : plan.remaining === 0 ? 'Reached' : perMin(plan.requiredRate);
+      cells.push([`Needed by ${new Date(plan.goal.deadline * 1000).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`, required, behind ? 'text-red-600' : 'text-green-700']);
+    }
+  }
+  if (plan.milestone) cells.push([`Bonus ${formatNum(plan.milestone)}`, eta(plan.milestoneEta), '']);
+
+  el.innerHTML = cells.map(([label, value, cls]) => `
+    <div>
+      <div class="text-xs text-gray-500 uppercase">${escapeHtml(label)}</div>
+      <div class="font-semibold ${cls}">${escapeHtml(value)}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show current chain warnings on the page (empty list hides the alert)
+ * @param {{ message: string }[]} warnings
+ */
+export function showChainAlert(warnings) {
+  const el = document.getElementById('chain-alert');
+  if (!el) return;
+  el.textContent = warnings.map((w) => w.message).join(' · ');
+  el.classList.toggle('hidden', warnings.length === 0);
+}
+
+/**
+ * Browser notification (no-op without permission)
+ * @param {string} message
+ */
+export function notify(message) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  new Notification('Chain Tracker', { body: message, tag: 'chain-alert' });
+}
+
+/**
+ * Show remaining API request budget (shared across tabs)
+ * @param {{ used: number, remaining: number, limit: number }} status
+ */
+export function updateRateBudget(status) {
+  const el = document.getElementById('api-budget');
+  if (!el) return;
+  el.textContent = `API budget: ${status.remaining}/${status.limit} per min`;
+  el.classList.toggle('text-red-600', status.remaining <= Math.ceil(status.limit * 0.1));
+  el.classList.toggle('text-gray-500', status.remaining > Math.ceil(status.limit * 0.1));
+}
+
+/**
+ * Set tracked consumables and render the rule editor
+ * @param {{ disabled?: string[], custom?: Object[] }} settings - stored rule settings
+ * @param {{ id: string, label: string }[]} activeRules - resolved rules (drive columns)
+ */
+export function setConsumptionRules(settings, activeRules) {
+  consumables = activeRules.map(({ id, label }) => ({ id, label }));
+  const disabled = new Set(settings.disabled ?? []);
+  const custom = settings.custom ?? [];
+  const save = (next) => {
+    if (onSaveConsumptionRulesCallback) onSaveConsumptionRulesCallback(next);
+  };
+
+  const builtinEl = document.getElementById('consumables-builtin');
+  if (builtinEl) {
+    builtinEl.innerHTML = BUILT_IN_RULES
+      .map((r) => `<label class="text-gray-700"><input type="checkbox" class="mr-1" data-builtin-rule value="${r.id}" ${disabled.has(r.id) ? '' : 'checked'} />${escapeHtml(r.label)}</label>`)
+      .join('');
+    builtinEl.querySelectorAll('[data-builtin-rule]').forEach((box) => {
+      box.addEventListener('change', () => {
+        const nextDisabled = Array.from(builtinEl.querySelectorAll('[data-builtin-rule]:not(:checked)')).map((el) => el.value);
+        save({ disabled: nextDisabled, custom });
+      });
+    });
+  }
+
+  const customEl = document.getElementById('consumables-custom');
+  if (customEl) {
+    customEl.innerHTML = custom.length === 0
+      ? '<p class="text-sm text-gray-500">No custom rules.</p>'
+      : `<ul class="text-sm divide-y divide-gray-200">${custom.map((r, i) => `
+          <li class="py-2 flex items-center gap-4">
+            <span class="font-medium">${escapeHtml(r.label)}</span>
+            <code class="text-xs text-gray-600 break-all">${escapeHtml(r.pattern)}</code>
+            <span class="text-xs text-gray-500">${r.quantity === 'group' ? 'group' : 'per match'}</span>
+            <button type="button" class="ml-auto text-red-600 hover:text-red-800" data-remove-rule="${i}">Remove</button>
+          </li>`).join('')}</ul>`;
+    customEl.querySelectorAll('[data-remove-rule]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const index = Number(btn.dataset.removeRule);
+        save({ disabled: Array.from(disabled), custom: custom.filter((_, i) => i !== index) });
+      });
+    });
+  }
+
+  const addForm = document.getElementById('consumable-add-form');
+  if (addForm) {
+    addForm.onsubmit = (e) => {
+      e.preventDefault();
+      const rule = Object.fromEntries(new FormData(addForm).entries());
+      save({ disabled: Array.from(disabled), custom: [...custom.filter((r) => r.id !== rule.id), rule] });
+      addForm.reset();
+    };
+  }
+
+  if (dashboardState && !dashboardEl?.classList.contains('hidden')) {
+    showDashboard(dashboardState.chain, dashboardState.apiKey, dashboardState.membersMap);
+  }
+}
+
+/**
+ * Render attention panel: members flagged by efficiency rules, plus the rule editor
+ * @param {Object} chain
+ * @param {Record<string, string>} membersMap
+ */
+function renderAttention(chain, membersMap) {
+  const labels = consumableLabels();
+  const save = (next) => {
+    if (onSaveFlagRulesCallback) onSaveFlagRulesCallback(next);
+  };
+
+  const listEl = document.getElementById('attention-list');
+  if (listEl) {
+    const rows = buildMemberRows(chain, membersMap);
+    const rowsById = new Map(rows.map((r) => [r.id, r]));
+    const flagged = flagRows(rows, flagRules, labels).map((f) => ({ ...f, row: rowsById.get(f.id) }));
+    listEl.innerHTML = flagged.length === 0
+      ? '<p class="text-sm text-gray-500">No members match the flag rules.</p>'
+      : `<ul class="text-sm divide-y divide-gray-200">${flagged.map((f) => `
+          <li class="py-2 flex flex-wrap gap-x-4">
+            <span class="font-medium text-gray-900">${escapeHtml(f.name)}</span>
+            <span class="text-gray-500">${formatNum(f.hits)} hits${consumables.filter((c) => f.row[c.id]).map((c) => `, ${formatNum(f.row[c.id])} ${escapeHtml(c.label)}`).join('')}</span>
+            <span class="text-red-700">${f.reasons.map(escapeHtml).join(' · ')}</span>
+          </li>`).join('')}</ul>`;
+  }
+
+  const rulesEl = document.getElementById('flag-rules');
+  if (rulesEl) {
+    rulesEl.innerHTML = flagRules.length === 0
+      ? '<p class="text-sm text-gray-500">No flag rules.</p>'
+      : `<ul class="text-sm divide-y divide-gray-200">${flagRules.map((r, i) => `
+          <li class="py-2 flex items-center gap-4">
+            <span>${escapeHtml(describeFlagRule(r, labels))}</span>
+            <button type="button" class="ml-auto text-red-600 hover:text-red-800" data-remove-flag-rule="${i}">Remove</button>
+          </li>`).join('')}</ul>`;
+    rulesEl.querySelectorAll('[data-remove-flag-rule]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const index = Number(btn.dataset.removeFlagRule);
+        save(flagRules.filter((_, i) => i !== index));
+      });
+    });
+  }
+
+  const addForm = document.getElementById('flag-rule-add-form');
+  if (addForm) {
+    const select = addForm.elements.resource;
+    const selected = select.value;
+    select.innerHTML = [...consumables, { id: ANY_RESOURCE, label: 'Any consumable' }]
+      .map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.label)}</option>`)
+      .join('');
+    if (selected) select.value = selected;
+    addForm.onsubmit = (e) => {
+      e.preventDefault();
+      const rule = Object.fromEntries(new FormData(addForm).entries());
+      save([...flagRules, rule]);
+      addForm.reset();
+    };
+  }
+}
+
+/**
+ * Render the summary post generator for a chain (format picker, output, template editor)
+ * @param {Object} chain
+ * @param {Record<string, string>} membersMap
+ */
+function renderReport(chain, membersMap) {
+  const formatEl = document.getElementById('report-format');
+  const outputEl = document.getElementById('report-output');
+  const templateEl = document.getElementById('report-template');
+  if (!formatEl || !outputEl || !templateEl) return;
+
+  if (formatEl.options.length === 0) {
+    formatEl.innerHTML = Object.entries(REPORT_FORMATS).map(([id, label]) => `<option value="${id}">${escapeHtml(label)}</option>`).join('');
+  }
+  const placeholdersEl = document.getElementById('report-placeholders');
+  if (placeholdersEl && !placeholdersEl.hasChildNodes()) {
+    placeholdersEl.innerHTML = Object.entries(PLACEHOLDERS).map(([key, desc]) => `<li><code>{{${key}}}</code> ${escapeHtml(desc)}</li>`).join('');
+  }
+
+  const rows = buildMemberRows(chain, membersMap);
+  const update = () => {
+    const values = reportValues(chain, rows, { consumables, flagRules }, formatEl.value);
+    outputEl.value = fillTemplate(templateEl.value, values);
+  };
+  const loadTemplate = () => {
+    templateEl.value = reportTemplates[formatEl.value];
+    update();
+  };
+
+  formatEl.onchange = loadTemplate;
+  templateEl.oninput = update;
+  // Keep unsaved edits when auto-refresh re-renders the dashboard
+  if (document.activeElement === templateEl) update();
+  else loadTemplate();
+
+  const saveBtn = document.getElementById('report-template-save');
+  if (saveBtn) {
+    saveBtn.onclick = () => {
+      if (onSaveReportTemplateCallback) onSaveReportTemplateCallback(formatEl.value, templateEl.value);
+    };
+  }
+  const resetBtn = document.getElementById('report-template-reset');
+  if (resetBtn) {
+    resetBtn.onclick = () => {
+      if (onSaveReportTemplateCallback) onSaveReportTemplateCallback(formatEl.value, null);
+    };
+  }
+
+  const copyBtn = document.getElementById('report-copy');
+  const statusEl = document.getElementById('report-copy-status');
+  if (copyBtn) {
+    copyBtn.onclick = async () => {
+      try {
+        await navigator.clipboard.writeText(outputEl.value);
+      } catch {
+        // Clipboard API needs a secure context; fall back to the selection
+        outputEl.select();
+        document.execCommand('copy');
+      }
+      if (statusEl) statusEl.textContent = 'Copied';
+      setTimeout(() => {
+        if (statusEl) statusEl.textContent = '';
+      }, 2000);
+    };
+  }
+}
+
+/**
+ * Set summary post templates and refresh the generator if the dashboard is showing
+ * @param {Record<string, string>} templates - from resolveTemplates
+ */
+export function setReportTemplates(templates) {
+  reportTemplates = templates;
+  if (dashboardState && !dashboardEl?.classList.contains('hidden')) {
+    const templateEl = document.getElementById('report-template');
+    if (templateEl) templateEl.blur();
+    renderReport(dashboardState.chain, dashboardState.membersMap);
+  }
+}
+
+/**
+ * Set efficiency flag rules and re-render the dashboard if it is showing
+ * @param {{ resource: string, minUsed: number, belowHits: number }[]} rules - normalized rules
+ */
+export function setFlagRules(rules) {
+  flagRules = rules;
+  if (dashboardState && !dashboardEl?.classList.contains('hidden')) {
+    showDashboard(dashboardState.chain, dashboardState.apiKey, dashboardState.membersMap);
+  }
+}
+
 function formatDate(ts) {
   if (!ts) return '—';
   try {
@@ -213,9 +1344,15 @@ export function showNoActiveChain(apiChains, cachedChains, apiKey, metadata, onF
     html += sortedCached
       .map(
         (c) =>
-          `<button type="button" class="block w-full text-left px-4 py-2 rounded hover:bg-gray-100 text-sm mb-1" data-cached-chain data-chain-id="${c.chainId}">Chain #${c.chainId} — ${formatNum(c.totals?.hits ?? 0)} hits</button>`
+          `<div class="flex items-center gap-2 mb-1">
+            <input type="checkbox" class="ml-2" data-compare-chain value="${c.chainId}" aria-label="Compare chain #${c.chainId}" />
+            <button type="button" class="block w-full text-left px-4 py-2 rounded hover:bg-gray-100 text-sm" data-cached-chain data-chain-id="${c.chainId}">Chain #${c.chainId} — ${formatNum(c.totals?.hits ?? 0)} hits</button>
+          </div>`
       )
       .join('');
+    if (sortedCached.length > 1 && onCompareChainsCallback) {
+      html += `<button type="button" class="mt-2 px-4 py-2 text-sm text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400" data-compare disabled>Compare selected chains</button>`;
+    }
   }
 
   if (sortedApiChains.length > 0) {
@@ -255,6 +1392,20 @@ export function showNoActiveChain(apiChains, cachedChains, apiKey, metadata, onF
     });
   });
 
+  const compareBtn = list.querySelector('[data-compare]');
+  if (compareBtn) {
+    const checked = () => Array.from(list.querySelectorAll('[data-compare-chain]:checked')).map((el) => Number(el.value));
+    list.querySelectorAll('[data-compare-chain]').forEach((box) => {
+      box.addEventListener('change', () => {
+        compareBtn.disabled = checked().length < 2;
+      });
+    });
+    compareBtn.addEventListener('click', () => {
+      const ids = checked();
+      if (ids.length >= 2) onCompareChainsCallback(ids);
+    });
+  }
+
   const loadMoreBtn = list.querySelector('[data-load-more]');
   if (loadMoreBtn && onLoadMoreChainsCallback) {
     loadMoreBtn.addEventListener('click', () => {
@@ -264,8 +1415,316 @@ export function showNoActiveChain(apiChains, cachedChains, apiKey, metadata, onF
   }
 }
 
+/**
+ * Render roster report: members flagged for roster changes, then non-participants
+ * @param {ReturnType<import('./roster.js').rosterReport>} report
+ */
+export function renderRoster(report) {
+  const el = document.getElementById('roster-report');
+  if (!el) return;
+
+  if (!report.covered && report.nonParticipants.length === 0) {
+    el.innerHTML = '<p class="text-sm text-gray-500">No roster snapshots yet. The roster is recorded each time members are loaded.</p>';
+    return;
+  }
+
+  let html = '';
+  if (!report.covered) {
+    html += '<p class="text-sm text-gray-500 mb-4">No roster snapshot covers this chain, so mid-chain joins and leaves are unknown.</p>';
+  } else if (report.partial) {
+    html += '<p class="text-sm text-gray-500 mb-4">The first roster snapshot was taken after this chain started; earlier roster changes are not visible.</p>';
+  }
+
+  if (report.flagged.length > 0) {
+    html += '<p class="text-xs text-gray-500 uppercase font-medium mb-2">Activity while not on roster</p>';
+    html += '<ul class="text-sm mb-4 divide-y divide-gray-200">';
+    html += report.flagged
+      .map((m) => `<li class="py-2 flex gap-4"><span class="font-medium text-gray-900">${escapeHtml(m.name)}</span><span class="text-amber-700">${escapeHtml(m.reason)}</span><span class="ml-auto text-gray-500">${formatNum(m.hits)} hits</span></li>`)
+      .join('');
+    html += '</ul>';
+  }
+
+  html += `<p class="text-xs text-gray-500 uppercase font-medium mb-2">No hits this chain (${formatNum(report.nonParticipants.length)})</p>`;
+  if (report.nonParticipants.length === 0) {
+    html += '<p class="text-sm text-gray-500">Every current member has hit.</p>';
+  } else {
+    html += `
+      <div class="overflow-x-auto">
+        <table class="min-w-full divide-y divide-gray-200 text-sm">
+          <thead class="bg-gray-50">
+            <tr>
+              <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+              <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Position</th>
+              <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Last action</th>
+              <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+            </tr>
+          </thead>
+          <tbody class="bg-white divide-y divide-gray-200">
+            ${report.nonParticipants.map((m) => `
+              <tr>
+                <td class="px-4 py-2 whitespace-nowrap font-medium text-gray-900">${escapeHtml(m.name)}</td>
+                <td class="px-4 py-2 whitespace-nowrap text-gray-600">${escapeHtml(m.position ?? '—')}</td>
+                <td class="px-4 py-2 whitespace-nowrap text-gray-600">${escapeHtml(m.lastAction?.relative ?? m.lastAction?.status ?? '—')}</td>
+                <td class="px-4 py-2 text-gray-600">${escapeHtml(m.status?.description ?? m.status?.state ?? '—')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  el.innerHTML = html;
+}
+
+/**
+ * Render progress charts from the chain's per-sync snapshots
+ * @param {Object} chain
+ * @param {Object[]} snapshots - oldest first
+ */
+export function renderProgress(chain, snapshots) {
+  const totalsEl = document.getElementById('progress-totals');
+  const membersEl = document.getElementById('progress-members');
+  const metricEl = document.getElementById('progress-metric');
+  if (!totalsEl || !membersEl) return;
+
+  if (snapshots.length === 0) {
+    totalsEl.innerHTML = '<p class="text-sm text-gray-500 md:col-span-3">No snapshots yet. One is saved on every sync.</p>';
+    membersEl.innerHTML = '';
+    return;
+  }
+
+  const used = consumables.filter((c) => snapshots.some((s) => s.totals?.[c.id]));
+  const panels = [
+    ['Hits', [{ label: 'Hits', points: totalsSeries(snapshots, 'hits') }]],
+    ['Respect', [{ label: 'Respect', points: totalsSeries(snapshots, 'respect') }]],
+    ['Consumption', used.map((c) => ({ label: c.label, points: totalsSeries(snapshots, c.id) }))],
+  ];
+  totalsEl.innerHTML = panels.map(([title, series]) => `
+    <div>
+      <div class="text-xs text-gray-500 uppercase mb-1">${escapeHtml(title)}</div>
+      ${lineChart({ series, width: 320, height: 180, title })}
+      ${series.length > 1 ? chartLegend(series) : ''}
+    </div>
+  `).join('');
+
+  const metrics = [{ id: 'hits', label: 'Hits' }, { id: 'respect', label: 'Respect' }, ...consumables];
+  if (metricEl) {
+    const selected = metrics.some((m) => m.id === metricEl.value) ? metricEl.value : 'hits';
+    metricEl.innerHTML = metrics.map((m) => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.label)}</option>`).join('');
+    metricEl.value = selected;
+    metricEl.onchange = () => renderProgress(chain, snapshots);
+  }
+
+  const metric = metricEl?.value || 'hits';
+  const names = Object.fromEntries(buildMemberRows(chain, dashboardState?.membersMap ?? {}).map((r) => [r.id, r.name]));
+  const series = topMembers(snapshots, metric).map((id) => ({ label: names[id] ?? id, points: memberSeries(snapshots, id, metric) }));
+  membersEl.innerHTML = series.length === 0
+    ? '<p class="text-sm text-gray-500">No member has any of this yet.</p>'
+    : `${lineChart({ series, title: 'Member contribution' })}${chartLegend(series)}`;
+}
+
+/**
+ * Render hit-level details: bonus hits, wasted attacks, assists and per-member timelines
+ * @param {Object} chain
+ * @param {ReturnType<import('./attacks.js').attackSummary>|null} summary - null when hits were never synced
+ */
+export function renderAttacks(chain, summary) {
+  const el = document.getElementById('attacks-report');
+  const syncBtn = document.getElementById('sync-attacks');
+  if (syncBtn) {
+    syncBtn.classList.toggle('hidden', !dashboardState?.apiKey);
+    syncBtn.textContent = summary ? 'Sync hits' : 'Load hits';
+    syncBtn.onclick = () => {
+      if (onSyncAttacksCallback) onSyncAttacksCallback(chain.chainId);
+    };
+  }
+  if (!el) return;
+
+  if (!summary) {
+    el.innerHTML = '<p class="text-sm text-gray-500">Hit-level data is not loaded for this chain. Loading it uses one API request per 100 attacks; once loaded, an active chain keeps it up to date.</p>';
+    return;
+  }
+
+  const from = chain.start ?? 0;
+  const to = chain.end ?? Math.floor(Date.now() / 1000);
+  const wastedDetail = Object.entries(summary.wasted).map(([result, n]) => `${escapeHtml(result)} ${formatNum(n)}`).join(', ');
+  const cards = [
+    ['Counted hits', formatNum(summary.counted)],
+    ['Bonus hits', formatNum(summary.bonus.length)],
+    ['Wasted', formatNum(summary.wastedTotal)],
+    ['Assists', formatNum(summary.assists)],
+  ];
+
+  let html = `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+      ${cards.map(([label, value]) => `
+        <div class="bg-gray-50 rounded-lg p-4">
+          <div class="text-xs text-gray-500 uppercase">${label}</div>
+          <div class="text-xl font-semibold">${value}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+  if (wastedDetail) html += `<p class="text-sm text-gray-600 mb-4">Wasted: ${wastedDetail}</p>`;
+  if (summary.bonus.length > 0) {
+    html += `<p class="text-sm text-gray-600 mb-4">Bonus hits: ${summary.bonus
+      .map((b) => `#${formatNum(b.chain)} ${escapeHtml(b.attackerName)} (${formatNum(b.respect)} respect)`)
+      .join(' · ')}</p>`;
+  }
+
+  html += `
+    <div class="overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200 text-sm">
+        <thead class="bg-gray-50">
+          <tr>
+            <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Member</th>
+            <th scope="col" class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Hits</th>
+            <th scope="col" class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Wasted</th>
+            <th scope="col" class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Assists</th>
+            <th scope="col" class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Bonus</th>
+            <th scope="col" class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Timeline</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          ${summary.members.map((m) => `
+            <tr>
+              <td class="px-4 py-2 whitespace-nowrap font-medium text-gray-900">${escapeHtml(m.name)}</td>
+              <td class="px-4 py-2 text-right text-gray-600">${formatNum(m.hits)}</td>
+              <td class="px-4 py-2 text-right text-gray-600">${formatNum(m.wasted)}</td>
+              <td class="px-4 py-2 text-right text-gray-600">${formatNum(m.assists)}</td>
+              <td class="px-4 py-2 text-right text-gray-600">${formatNum(m.bonus)}</td>
+              <td class="px-4 py-2">${timelineStrip(m.timestamps, from, to)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+  el.innerHTML = html;
+}
+
+/**
+ * Unix seconds -> "19 Oct, 14:05" in Torn City Time (UTC)
+ * @param {number} ts
+ * @returns {string}
+ */
+function formatTct(ts) {
+  return new Date(ts * 1000).toLocaleString('en-GB', { timeZone: 'UTC', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/** Where coverage data came from, shown under the heatmap */
+const COVERAGE_SOURCES = {
+  attacks: 'Based on individual hits.',
+  snapshots: 'Based on changes between refreshes; hits are placed at the refresh that first saw them.',
+  mixed: 'Based on individual hits where loaded, otherwise on changes between refreshes.',
+};
+
+/**
+ * Member x hour (TCT) heatmap and longest gaps (HTML)
+ * @param {{ events: Object[], gaps: { from: number, to: number, secs: number, chainId?: number }[], source: string }} data
+ * @returns {string}
+ */
+function coverageHtml({ events, gaps, source }) {
+  if (events.length === 0) {
+    return '<p class="text-sm text-gray-500">No timestamped hits yet. Load hits, or let the dashboard refresh during the chain.</p>';
+  }
+  const coverage = hourlyCoverage(events);
+  const max = Math.max(1, ...coverage.members.flatMap((m) => m.hours));
+  const maxAll = Math.max(1, ...coverage.hours);
+  const cell = (count, scale) => {
+    const alpha = count ? (0.15 + 0.85 * (count / scale)).toFixed(2) : 0;
+    const text = alpha > 0.6 ? 'text-white' : 'text-gray-700';
+    return `<td class="w-8 h-6 text-center text-xs ${text}" style="background:rgba(37,99,235,${alpha})" title="${formatNum(count)} hits">${count || ''}</td>`;
+  };
+  const hoursHead = Array.from({ length: 24 }, (_, h) => `<th scope="col" class="w-8 text-xs font-medium text-gray-500">${String(h).padStart(2, '0')}</th>`).join('');
+
+  return `
+    <div class="overflow-x-auto">
+      <table class="text-sm border-separate" style="border-spacing:1px">
+        <thead>
+          <tr><th scope="col" class="text-left text-xs font-medium text-gray-500 uppercase pr-4">Member \ TCT</th>${hoursHead}<th scope="col" class="text-xs font-medium text-gray-500 pl-2">Total</th></tr>
+        </thead>
+        <tbody>
+          <tr class="font-semibold"><td class="pr-4 whitespace-nowrap">All members</td>${coverage.hours.map((n) => cell(n, maxAll)).join('')}<td class="pl-2 text-right">${formatNum(coverage.hours.reduce((a, b) => a + b, 0))}</td></tr>
+          ${coverage.members.map((m) => `<tr><td class="pr-4 whitespace-nowrap text-gray-900">${escapeHtml(m.name)}</td>${m.hours.map((n) => cell(n, max)).join('')}<td class="pl-2 text-right text-gray-600">${formatNum(m.total)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="text-xs text-gray-500 mt-2">${escapeHtml(COVERAGE_SOURCES[source] ?? '')}</p>
+    <h3 class="text-sm font-semibold text-gray-900 mt-6 mb-2">Longest gaps between hits</h3>
+    <ul class="text-sm divide-y divide-gray-200">
+      ${gaps.map((g) => `
+        <li class="py-1 flex gap-4">
+          <span class="font-medium tabular-nums w-20">${g.secs < 60 ? `${g.secs}s` : formatDuration(g.secs)}</span>
+          <span class="text-gray-600">${formatTct(g.from)} → ${formatTct(g.to)} TCT</span>
+          ${g.chainId != null ? `<span class="text-gray-500">Chain #${g.chainId}</span>` : ''}
+        </li>`).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render the dashboard coverage panel for one chain
+ * @param {Object} chain
+ * @param {{ source: string, events: Object[] }} hitEvents - from chainHitEvents
+ */
+export function renderCoverage(chain, hitEvents) {
+  const el = document.getElementById('chain-coverage');
+  if (!el) return;
+  const end = chain.end ?? Math.floor(Date.now() / 1000);
+  const gaps = longestGaps(hitEvents.events.map((e) => e.timestamp), chain.start ?? 0, end);
+  el.innerHTML = coverageHtml({ ...hitEvents, gaps });
+}
+
+/**
+ * Show coverage across cached chains, filtered by date like the leaderboard
+ * @param {{ chain: Object, source: string, events: Object[] }[]} chainEvents - one entry per cached chain
+ */
+export function showCoverage(chainEvents) {
+  showSection('coverage');
+  const form = document.getElementById('coverage-filter');
+  const report = document.getElementById('coverage-report');
+  if (!form || !report) return;
+
+  const render = () => {
+    const selected = new Set(filterChains(chainEvents.map((c) => c.chain), {
+      from: dateInputToTs(form.elements.from.value),
+      to: dateInputToTs(form.elements.to.value, true),
+    }));
+    const included = chainEvents.filter((c) => selected.has(c.chain) && c.events.length > 0);
+    const countEl = document.getElementById('coverage-chain-count');
+    if (countEl) countEl.textContent = `${included.length} chain${included.length === 1 ? '' : 's'} with timestamped hits`;
+
+    const sources = new Set(included.map((c) => c.source));
+    const gaps = included
+      .flatMap((c) => longestGaps(c.events.map((e) => e.timestamp), c.chain.start ?? 0, c.chain.end ?? Math.floor(Date.now() / 1000))
+        .map((g) => ({ ...g, chainId: c.chain.chainId })))
+      .sort((a, b) => b.secs - a.secs)
+      .slice(0, 10);
+    report.innerHTML = coverageHtml({
+      events: included.flatMap((c) => c.events),
+      gaps,
+      source: sources.size > 1 ? 'mixed' : [...sources][0],
+    });
+  };
+
+  form.onchange = render;
+  form.onsubmit = (e) => e.preventDefault();
+  render();
+}
+
+/**
+ * Re-render the dashboard with an updated chain, keeping the current key and members map
+ * @param {Object} chain
+ */
+export function updateDashboardChain(chain) {
+  showDashboard(chain, dashboardState?.apiKey ?? null, dashboardState?.membersMap ?? {});
+}
+
 export function showDashboard(chain, apiKey, membersMap = {}) {
   showSection('dashboard');
+  dashboardState = { chain, apiKey, membersMap };
 
   const badge = document.getElementById('status-badge');
   if (badge) {
@@ -276,6 +1735,9 @@ export function showDashboard(chain, apiKey, membersMap = {}) {
         : 'inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800';
   }
 
+  if (chain.status !== 'active') updateChainLive(null);
+  else bindGoalForm(chain);
+
   const selectOtherChainLink = document.getElementById('select-other-chain');
   if (selectOtherChainLink) {
     if (chain.status === 'active' && apiKey && onViewChainHistoryCallback) {
@@ -293,27 +1755,26 @@ export function showDashboard(chain, apiKey, membersMap = {}) {
   const totals = chain.totals ?? {};
   const totalsEl = document.getElementById('totals');
   if (totalsEl) {
+    const cards = [
+      ['Hits', totals.hits],
+      ['Respect', totals.respect],
+      ...consumables.map((c) => [`${c.label} Used`, totals[c.id]]),
+    ];
     totalsEl.innerHTML = `
       <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
-        <div class="bg-gray-50 rounded-lg p-4">
-          <div class="text-xs text-gray-500 uppercase">Hits</div>
-          <div class="text-xl font-semibold">${formatNum(totals.hits ?? 0)}</div>
-        </div>
-        <div class="bg-gray-50 rounded-lg p-4">
-          <div class="text-xs text-gray-500 uppercase">Respect</div>
-          <div class="text-xl font-semibold">${formatNum(totals.respect ?? 0)}</div>
-        </div>
-        <div class="bg-gray-50 rounded-lg p-4">
-          <div class="text-xs text-gray-500 uppercase">Xanax Used</div>
-          <div class="text-xl font-semibold">${formatNum(totals.xanax ?? 0)}</div>
-        </div>
-        <div class="bg-gray-50 rounded-lg p-4">
-          <div class="text-xs text-gray-500 uppercase">Points Used</div>
-          <div class="text-xl font-semibold">${formatNum(totals.points ?? 0)}</div>
-        </div>
+        ${cards.map(([label, value]) => `
+          <div class="bg-gray-50 rounded-lg p-4">
+            <div class="text-xs text-gray-500 uppercase">${escapeHtml(label)}</div>
+            <div class="text-xl font-semibold">${formatNum(value ?? 0)}</div>
+          </div>
+        `).join('')}
       </div>
     `;
   }
 
+  renderAttention(chain, membersMap ?? {});
   renderTable(chain, 'hits', 'desc', membersMap ?? {});
+  bindExportButtons();
+  renderPayout(chain);
+  renderReport(chain, membersMap ?? {});
 }
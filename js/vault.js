@@ -0,0 +1,82 @@
+/**
+ * Key vault - encrypt the API key with a passphrase (Web Crypto: PBKDF2-SHA256 + AES-GCM)
+ */
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Bytes -> base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+/**
+ * Base64 -> bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * Encrypt a secret with a passphrase (fresh salt and IV every time)
+ * @param {string} secret
+ * @param {string} passphrase
+ * @returns {Promise<{ v: number, iterations: number, salt: string, iv: string, ciphertext: string }>}
+ */
+export async function encryptSecret(secret, passphrase) {
+  if (!passphrase) throw new Error('Passphrase is required');
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+  return {
+    v: VAULT_VERSION,
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Decrypt a secret; AES-GCM authentication fails on a wrong passphrase or tampered data
+ * @param {{ v: number, iterations: number, salt: string, iv: string, ciphertext: string }} record
+ * @param {string} passphrase
+ * @returns {Promise<string>}
+ */
+export async function decryptSecret(record, passphrase) {
+  if (record?.v !== VAULT_VERSION) throw new Error('Unsupported encrypted key format');
+  const key = await deriveKey(passphrase, fromBase64(record.salt), record.iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.ciphertext));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+}
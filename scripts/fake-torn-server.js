@@ -0,0 +1,45 @@
+/**
+ * Local HTTP stand-in for the Torn API, serving the demo fixtures (see js/fake-torn.js)
+ * Run: npm run fake-api  (PORT=8787 by default), then point the API layer at it in tests:
+ *   api.setBackend({ base: 'http://127.0.0.1:8787/v2' })
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createFakeTorn } from '../js/fake-torn.js';
+
+/**
+ * Start the server
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {number} [options.now] - shift fixture timestamps so they are recent (see createFakeTorn)
+ * @param {number} [options.pageSize]
+ * @returns {Promise<{ base: string, fake: Object, close: () => Promise<void> }>}
+ */
+export function startFakeTornServer({ port = 0, now, pageSize } = {}) {
+  const fake = createFakeTorn({ now, pageSize });
+  const server = http.createServer((req, res) => {
+    const { status, body } = fake.handle(`http://${req.headers.host}${req.url}`);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      // Lets a locally served tracker page call the stand-in too
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        base: `http://127.0.0.1:${server.address().port}/v2`,
+        fake,
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { base } = await startFakeTornServer({ port: Number(process.env.PORT ?? 8787), now: Math.floor(Date.now() / 1000) });
+  console.log(`Fake Torn API listening on ${base}`);
+}
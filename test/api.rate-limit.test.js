@@ -0,0 +1,205 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as api from '../js/api.js';
+
+/** Let pending promise callbacks run (setImmediate is not faked) */
+async function flush() {
+  for (let i = 0; i < 5; i++) await new Promise((resolve) => setImmediate(resolve));
+}
+
+/** Stub backend: answers with queued responses, then { ok: true }; records every URL */
+let calls;
+let queue;
+
+function stubBackend() {
+  calls = [];
+  queue = [];
+  api.setBackend({
+    fetch: async (url) => {
+      calls.push(url);
+      const { status = 200, body = { ok: true } } = queue.shift() ?? {};
+      return { status, json: async () => body };
+    },
+  });
+}
+
+/** A fresh key per test keeps the rate limit windows of earlier tests out of the way */
+let keySeq = 0;
+function freshKey() {
+  keySeq += 1;
+  return `TestKey${String(keySeq).padStart(9, '0')}`;
+}
+
+const url = (key) => `https://api.torn.com/v2/faction/chain?key=${key}`;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1_800_000_000_000 });
+  stubBackend();
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  api.setKeyPool([]);
+  api.setBackend();
+});
+
+test('50 requests per key go out at once; the 51st waits until the oldest leaves the 60s window', async () => {
+  const key = freshKey();
+  for (let i = 0; i < 50; i++) await api.fetchWithRateLimit(url(key));
+  assert.equal(calls.length, 50);
+
+  let done = false;
+  const pending = api.fetchWithRateLimit(url(key)).then(() => {
+    done = true;
+  });
+  await flush();
+  assert.equal(calls.length, 50);
+
+  mock.timers.tick(59_999);
+  await flush();
+  assert.equal(done, false);
+
+  mock.timers.tick(1);
+  await flush();
+  await pending;
+  assert.equal(calls.length, 51);
+});
+
+test('the window is rolling: requests spread over time free up one slot each', async () => {
+  const key = freshKey();
+  for (let i = 0; i < 50; i++) {
+    await api.fetchWithRateLimit(url(key));
+    mock.timers.tick(1000);
+  }
+  // The first request is now 50s old; 10s more frees exactly one slot
+  const pending = api.fetchWithRateLimit(url(key));
+  await flush();
+  assert.equal(calls.length, 50);
+  mock.timers.tick(10_000);
+  await flush();
+  await pending;
+  assert.equal(calls.length, 51);
+});
+
+test('each key has its own budget', async () => {
+  const busy = freshKey();
+  const idle = freshKey();
+  for (let i = 0; i < 50; i++) await api.fetchWithRateLimit(url(busy));
+  await api.fetchWithRateLimit(url(idle));
+  assert.equal(calls.length, 51);
+  assert.ok(calls[50].includes(idle));
+});
+
+test('Torn error 5 waits 5s and retries once', async () => {
+  const key = freshKey();
+  queue.push({ body: { error: { code: 5, error: 'Too many requests' } } });
+  const pending = api.fetchWithRateLimit(url(key));
+  await flush();
+  assert.equal(calls.length, 1);
+  mock.timers.tick(4_999);
+  await flush();
+  assert.equal(calls.length, 1);
+  mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(await pending, { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test('HTTP 429 is retried once; a second rate limit error is thrown', async () => {
+  const key = freshKey();
+  queue.push({ status: 429, body: {} }, { body: { error: { code: 5, error: 'Too many requests' } } });
+  const pending = api.fetchWithRateLimit(url(key));
+  const settled = assert.rejects(pending, (err) => err.code === 5 && !err.removeKey);
+  await flush();
+  mock.timers.tick(5_000);
+  await flush();
+  await settled;
+  assert.equal(calls.length, 2);
+});
+
+test('errors carry removeKey for codes 2, 12, 13, 18 and insufficientAccess for 16', async () => {
+  for (const code of [2, 12, 13, 18, 16, 7]) {
+    queue.push({ body: { error: { code, error: `code ${code}` } } });
+    await assert.rejects(api.fetchWithRateLimit(url(freshKey())), (err) => {
+      assert.equal(err.code, code);
+      assert.equal(err.removeKey, [2, 12, 13, 18].includes(code));
+      assert.equal(err.insufficientAccess, code === 16);
+      return true;
+    });
+  }
+});
+
+test('pooled keys share the load and a rejected pooled key is dropped and the request retried on the own key', async () => {
+  const own = freshKey();
+  const other = freshKey();
+  const broken = freshKey();
+  const removed = [];
+  const unsubscribe = api.onKeyRemoved((key) => removed.push(key));
+  api.setKeyPool([own, broken, other]);
+
+  api.setBackend({
+    fetch: async (target) => {
+      calls.push(target);
+      const key = new URL(target).searchParams.get('key');
+      return { status: 200, json: async () => (key === broken ? { error: { code: 2, error: 'Incorrect key' } } : { key }) };
+    },
+  });
+
+  const used = [];
+  for (let i = 0; i < 4; i++) used.push((await api.fetchWithRateLimit(url(own))).key);
+  unsubscribe();
+
+  assert.deepEqual(removed, [broken]);
+  // The second request lands on the broken key first, then goes out again on the own key
+  assert.deepEqual(used, [own, own, other, other]);
+  assert.deepEqual(api.getKeyPoolStatus().map((s) => s.id), [api.keyId(own), api.keyId(other)]);
+  // Key checks never rotate
+  await api.fetchKeyInfo(other);
+  assert.ok(calls.at(-1).includes(other));
+});
+
+test('a pooled key without enough access is benched and the request succeeds on the own key', async () => {
+  const own = freshKey();
+  const downgraded = freshKey();
+  api.setKeyPool([own, downgraded]);
+  api.setBackend({
+    fetch: async (target) => {
+      calls.push(target);
+      const key = new URL(target).searchParams.get('key');
+      return { status: 200, json: async () => (key === downgraded ? { error: { code: 16, error: 'Access level of this key is not high enough' } } : { key }) };
+    },
+  });
+
+  // The unused pooled key is picked first
+  await api.fetchWithRateLimit(url(own));
+  assert.deepEqual(await api.fetchWithRateLimit(url(own)), { key: own });
+  assert.ok(calls.at(-2).includes(downgraded));
+
+  const status = api.getKeyPoolStatus().find((s) => s.id === api.keyId(downgraded));
+  assert.equal(status.benched, true);
+  assert.equal(status.errors, 1);
+  assert.match(status.lastError, /Access level/);
+
+  // Benched keys stay out of rotation until restored
+  const sent = calls.length;
+  for (let i = 0; i < 3; i++) await api.fetchWithRateLimit(url(own));
+  assert.ok(calls.slice(sent).every((c) => c.includes(own)));
+  api.restorePoolKey(downgraded);
+  assert.equal(api.getKeyPoolStatus().find((s) => s.id === api.keyId(downgraded)).benched, false);
+});
+
+test('a rate-limited pooled key sits out a minute while the own key carries on', async () => {
+  const own = freshKey();
+  const busy = freshKey();
+  api.setKeyPool([own, busy]);
+  queue.push({ body: {} }, { status: 429, body: {} });
+  await api.fetchWithRateLimit(url(own));
+  // No 5s wait: the request goes straight to the own key
+  assert.deepEqual(await api.fetchWithRateLimit(url(own)), { ok: true });
+  assert.ok(calls[1].includes(busy) && calls[2].includes(own));
+  assert.equal(api.getKeyPoolStatus()[1].benched, true);
+
+  mock.timers.tick(60_000);
+  assert.equal(api.getKeyPoolStatus()[1].benched, false);
+});
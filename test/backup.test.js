@@ -0,0 +1,180 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import * as db from '../js/db.js';
+import * as backup from '../js/backup.js';
+
+beforeEach(() => {
+  db.closeDB();
+  db.useDatabase(db.DEFAULT_DB_NAME);
+  globalThis.indexedDB = new IDBFactory();
+});
+
+/** Back up the current database, then start over with an empty one */
+async function backupAndWipe() {
+  const data = JSON.parse(JSON.stringify(await backup.createBackup()));
+  db.closeDB();
+  globalThis.indexedDB = new IDBFactory();
+  return data;
+}
+
+test('roster snapshots survive a backup into an empty database, in both modes', async () => {
+  await db.saveRosterSnapshot({ firstSeen: 100, lastSeen: 150, members: [{ id: '1', name: 'Alice' }] });
+  await db.saveRosterSnapshot({ firstSeen: 200, lastSeen: 200, members: [] });
+  const data = await backupAndWipe();
+  assert.equal(data.rosters.length, 2);
+
+  await backup.restoreBackup(data, { mode: 'replace' });
+  assert.deepEqual((await db.getRosterSnapshots()).map((r) => [r.firstSeen, r.lastSeen]), [[100, 150], [200, 200]]);
+
+  // Restoring again adds nothing; merging into a database with its own rosters keeps both
+  await backup.restoreBackup(data, { mode: 'merge' });
+  assert.equal((await db.getRosterSnapshots()).length, 2);
+  db.closeDB();
+  globalThis.indexedDB = new IDBFactory();
+  await db.saveRosterSnapshot({ firstSeen: 300, lastSeen: 300, members: [] });
+  await backup.restoreBackup(data, { mode: 'merge' });
+  assert.deepEqual((await db.getRosterSnapshots()).map((r) => r.firstSeen), [100, 200, 300]);
+});
+
+test('version 1 files without rosters still restore; malformed rosters are refused', async () => {
+  const v1 = { format: 'chain-tracker-backup', version: 1, chains: [{ chainId: 1, status: 'finished' }], config: [] };
+  await backup.restoreBackup(v1, { mode: 'replace' });
+  assert.deepEqual((await db.getAllChains()).map((c) => c.chainId), [1]);
+  assert.throws(() => backup.validateBackup({ ...v1, rosters: [{ firstSeen: 1 }] }), /roster #1/);
+});
+
+test('chain snapshots come back with their chains and merging never duplicates them', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 10 } });
+  await db.addChainSnapshot({ chainId: 1, timestamp: 100, totals: { hits: 4 }, members: {} });
+  await db.addChainSnapshot({ chainId: 1, timestamp: 200, totals: { hits: 10 }, members: {} });
+  const data = await backupAndWipe();
+  assert.equal(data.snapshots.length, 2);
+
+  await backup.restoreBackup(data, { mode: 'replace' });
+  assert.deepEqual((await db.getChainSnapshots(1)).map((s) => s.totals.hits), [4, 10]);
+
+  // Same data again: chain unchanged, nothing added
+  await backup.restoreBackup(data, { mode: 'merge' });
+  assert.equal((await db.getChainSnapshots(1)).length, 2);
+
+  // A more complete backup copy brings its missing snapshots; a kept local copy keeps its own
+  await db.saveChain({ chainId: 1, status: 'active', totals: { hits: 4 } });
+  await db.addChainSnapshot({ chainId: 2, timestamp: 50, totals: { hits: 1 }, members: {} });
+  await db.saveChain({ chainId: 2, status: 'finished', totals: { hits: 99 } });
+  const more = {
+    ...data,
+    chains: [...data.chains, { chainId: 2, status: 'finished', totals: { hits: 3 } }],
+    snapshots: [
+      ...data.snapshots,
+      { id: 1, chainId: 1, timestamp: 300, totals: { hits: 10 }, members: {} },
+      { id: 2, chainId: 2, timestamp: 60, totals: { hits: 3 }, members: {} },
+    ],
+  };
+  await backup.restoreBackup(more, { mode: 'merge' });
+  assert.deepEqual((await db.getChainSnapshots(1)).map((s) => s.timestamp), [100, 200, 300]);
+  assert.deepEqual((await db.getChainSnapshots(2)).map((s) => s.timestamp), [50]);
+});
+
+test('a replace restore brings back every ingested attack; merging only adds those of restored chains', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 2 } });
+  await db.saveAttacks([
+    { id: 10, chainId: 1, timestamp: 100, attackerId: 1, respect: 2 },
+    { id: 11, chainId: 1, timestamp: 110, attackerId: 2, respect: 3 },
+  ]);
+  const data = await backupAndWipe();
+  assert.equal(data.attacks.length, 2);
+
+  await backup.restoreBackup(data, { mode: 'replace' });
+  assert.deepEqual((await db.getAttacksByChain(1)).map((a) => a.id), [10, 11]);
+
+  // Local chain 2 is kept over the backup's copy, so its backup attacks stay out
+  await db.saveChain({ chainId: 2, status: 'finished', totals: { hits: 5 } });
+  const withOther = {
+    ...data,
+    chains: [...data.chains, { chainId: 2, status: 'active', totals: { hits: 1 } }],
+    attacks: [...data.attacks, { id: 20, chainId: 2, timestamp: 200, attackerId: 1, respect: 1 }],
+  };
+  await backup.restoreBackup(withOther, { mode: 'merge' });
+  assert.deepEqual((await db.getAllAttacks()).map((a) => a.id), [10, 11]);
+  assert.throws(() => backup.validateBackup({ ...data, attacks: [{ chainId: 1 }] }), /attack #1/);
+});
+
+test('the last key check only travels with the key it belongs to', async () => {
+  const check = { checkedAt: 100, missing: [], factionId: 1, ownerId: 10 };
+  await db.setConfig('apiKey', 'aaaaaaaaaaaaaaaa');
+  await db.setConfig('keyCheck', check);
+  const withoutKey = await backup.createBackup();
+  assert.deepEqual(withoutKey.config.map((e) => e.key), []);
+  const withKey = await backup.createBackup({ includeApiKey: true });
+  assert.deepEqual(withKey.config.map((e) => e.key).sort(), ['apiKey', 'keyCheck']);
+
+  // An older file carrying another key's check never overwrites the check of the key kept here
+  const local = { checkedAt: 200, missing: [], factionId: 2, ownerId: 20 };
+  await db.setConfig('apiKey', 'bbbbbbbbbbbbbbbb');
+  await db.setConfig('keyCheck', local);
+  const stale = { ...withoutKey, config: [{ key: 'keyCheck', value: check }] };
+  for (const mode of ['merge', 'replace']) {
+    await backup.restoreBackup(stale, { mode });
+    assert.deepEqual(await db.getConfig('keyCheck'), local);
+  }
+  await backup.restoreBackup(withKey, { mode: 'merge' });
+  assert.equal(await db.getConfig('apiKey'), 'bbbbbbbbbbbbbbbb');
+  assert.deepEqual(await db.getConfig('keyCheck'), local);
+
+  // Replacing with the file's key brings its check along
+  await backup.restoreBackup(withKey, { mode: 'replace' });
+  assert.equal(await db.getConfig('apiKey'), 'aaaaaaaaaaaaaaaa');
+  assert.deepEqual(await db.getConfig('keyCheck'), check);
+});
+
+test('a backup records its faction and is refused by a profile tracking another faction', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 10 } });
+  const data = JSON.parse(JSON.stringify(await backup.createBackup({ factionId: 100 })));
+  assert.equal(data.factionId, 100);
+  db.closeDB();
+  globalThis.indexedDB = new IDBFactory();
+
+  for (const mode of ['merge', 'replace']) {
+    await assert.rejects(backup.restoreBackup(data, { mode, factionId: 200 }), (err) => err.factionMismatch === true && /faction 100/.test(err.message));
+  }
+  assert.deepEqual(await db.getAllChains(), []);
+
+  // Same faction, a profile with no faction yet, or an older file without one all restore
+  await backup.restoreBackup(data, { mode: 'merge', factionId: 100 });
+  await backup.restoreBackup(data, { mode: 'merge' });
+  await backup.restoreBackup({ ...data, factionId: undefined }, { mode: 'merge', factionId: 200 });
+  assert.deepEqual((await db.getAllChains()).map((c) => c.chainId), [1]);
+  assert.throws(() => backup.validateBackup({ ...data, factionId: 'A' }), /faction/);
+});
+
+test('merging keeps local settings and the news of kept local chains, adding only what is missing', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 10 } });
+  await db.saveNews([{ id: 'n1', chainId: 1, timestamp: 100, text: 'local' }]);
+  await db.setConfig('payoutRules', { pool: 1000 });
+  await db.setConfig('apiKeyPool', null);
+  const data = {
+    format: 'chain-tracker-backup',
+    version: 2,
+    chains: [{ chainId: 1, status: 'active', totals: { hits: 2 } }, { chainId: 2, status: 'finished', totals: { hits: 5 } }],
+    news: [
+      { id: 'n1', chainId: 1, timestamp: 100, text: 'backup' },
+      { id: 'n2', chainId: 1, timestamp: 110, text: 'backup' },
+      { id: 'n3', chainId: 2, timestamp: 200, text: 'backup' },
+    ],
+    config: [
+      { key: 'payoutRules', value: { pool: 5 } },
+      { key: 'theme', value: 'dark' },
+      { key: 'apiKeyPool', value: [{ key: 'cccccccccccccccc', label: 'Officer' }] },
+    ],
+  };
+
+  const report = await backup.restoreBackup(data, { mode: 'merge' });
+  assert.deepEqual(report.conflicts, [{ chainId: 1, kept: 'local' }]);
+  assert.deepEqual((await db.getAllNews()).map((n) => [n.id, n.text]), [['n1', 'local'], ['n3', 'backup']]);
+  assert.deepEqual(await db.getConfig('payoutRules'), { pool: 1000 });
+  assert.equal(await db.getConfig('theme'), 'dark');
+  // No local key: an unset entry counts as missing, so the file's pool comes in
+  assert.equal((await db.getConfig('apiKeyPool')).length, 1);
+});
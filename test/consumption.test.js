@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractMemberIdAndName,
+  extractConsumption,
+  mergeConsumption,
+  updateTotals,
+  resolveRules,
+  validateRule,
+  newsTimestamp,
+  isSeenByMark,
+  advanceNewsMark,
+} from '../js/consumption.js';
+
+/** Armory news as Torn returns it with stripTags=false */
+const SAMPLES = {
+  xanax: '<a href = "http://www.torn.com/profiles.php?XID=2405862">AJMC</a> used one of the faction\'s Xanax items.',
+  xanaxHttps: '<a href="https://www.torn.com/profiles.php?XID=1999999" class="t-blue h">Mr_Bean-2</a> used one of the faction\'s Xanax items.',
+  points: '<a href = "http://www.torn.com/profiles.php?XID=2405862">AJMC</a> used 25 faction points to refill their energy.',
+  edrink: '<a href = "http://www.torn.com/profiles.php?XID=300">Tinder</a> used one of the faction\'s Can of Red Cow items.',
+  bloodbag: '<a href = "http://www.torn.com/profiles.php?XID=300">Tinder</a> used one of the faction\'s Blood Bag : O+ items.',
+  deposit: '<a href = "http://www.torn.com/profiles.php?XID=400">Quill</a> deposited 5 x Xanax.',
+  loan: '<a href = "http://www.torn.com/profiles.php?XID=400">Quill</a> loaned 1x Xanax to <a href = "http://www.torn.com/profiles.php?XID=500">Sable</a> from the faction armory.',
+  noLink: 'Ghostwalker used one of the faction\'s Xanax items.',
+  emptyLink: '<a href = "http://www.torn.com/profiles.php?XID=600"></a> used one of the faction\'s Xanax items.',
+};
+
+const START = 1_000_000;
+const END = 1_010_000;
+
+test('member id and name come from the profile link, including https links with attributes', () => {
+  assert.deepEqual(extractMemberIdAndName(SAMPLES.xanax), { id: '2405862', name: 'AJMC' });
+  assert.deepEqual(extractMemberIdAndName(SAMPLES.xanaxHttps), { id: '1999999', name: 'Mr_Bean-2' });
+  assert.deepEqual(extractMemberIdAndName(SAMPLES.loan), { id: '400', name: 'Quill' });
+});
+
+test('without a profile link the name doubles as the id', () => {
+  assert.deepEqual(extractMemberIdAndName(SAMPLES.noLink), { id: 'Ghostwalker', name: 'Ghostwalker' });
+  assert.equal(extractMemberIdAndName(SAMPLES.emptyLink).id, '600');
+});
+
+test('news timestamps fall back from timestamp to time to id', () => {
+  assert.equal(newsTimestamp({ id: 'a', timestamp: 5, time: 6 }), 5);
+  assert.equal(newsTimestamp({ id: 'a', time: 6 }), 6);
+  assert.equal(newsTimestamp({ id: 7 }), 7);
+});
+
+test('built-in rules count items and points; deposits and loans are not consumption', () => {
+  const news = Object.entries(SAMPLES).map(([id, text], i) => ({ id, text, timestamp: START + i }));
+  const byMember = extractConsumption(news, START, END);
+  assert.deepEqual(byMember, {
+    2405862: { name: 'AJMC', xanax: 1, points: 25 },
+    1999999: { name: 'Mr_Bean-2', xanax: 1 },
+    300: { name: 'Tinder', edrink: 1, bloodbag: 1 },
+    Ghostwalker: { name: 'Ghostwalker', xanax: 1 },
+    600: { name: '', xanax: 1 },
+  });
+});
+
+test('only news inside the chain window counts, with either timestamp field', () => {
+  const news = [
+    { id: 'before', text: SAMPLES.xanax, timestamp: START - 1 },
+    { id: 'first', text: SAMPLES.xanax, time: START },
+    { id: 'last', text: SAMPLES.xanax, timestamp: END },
+    { id: 'after', text: SAMPLES.xanax, timestamp: END + 1 },
+  ];
+  assert.equal(extractConsumption(news, START, END)[2405862].xanax, 2);
+});
+
+test('custom rules with a capture group add the captured quantity', () => {
+  const rules = resolveRules({ custom: [{ id: 'refills', label: 'Refills', pattern: 'used (\\d+) faction points', quantity: 'group' }], disabled: ['points'] });
+  const news = [{ id: 'p', text: SAMPLES.points, timestamp: START }];
+  assert.deepEqual(extractConsumption(news, START, END, new Set(), rules), { 2405862: { name: 'AJMC', refills: 25 } });
+});
+
+test('rule ids that exist on Object.prototype are refused and names like constructor count as members', () => {
+  for (const id of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', '__proto__', 'name', 'hits']) {
+    assert.throws(() => validateRule({ id, pattern: 'x' }), new RegExp(`"${id}"`));
+  }
+  assert.deepEqual(resolveRules({ custom: [{ id: 'toString', pattern: 'Xanax' }] }).map((r) => r.id), resolveRules().map((r) => r.id));
+
+  const news = [
+    { id: 'c1', text: 'constructor used one of the faction\'s Xanax items.', timestamp: START },
+    { id: 'c2', text: 'constructor used one of the faction\'s Xanax items.', timestamp: START + 1 },
+  ];
+  const byMember = extractConsumption(news, START, END);
+  assert.deepEqual(byMember.constructor, { name: 'constructor', xanax: 2 });
+  const chain = { consumption: {} };
+  mergeConsumption(chain, byMember);
+  mergeConsumption(chain, byMember);
+  assert.equal(chain.consumption.constructor.xanax, 4);
+});
+
+test('processedIds skips news already counted, also within one call', () => {
+  const processed = new Set(['seen']);
+  const news = [
+    { id: 'seen', text: SAMPLES.xanax, timestamp: START + 1 },
+    { id: 'dup', text: SAMPLES.xanax, timestamp: START + 2 },
+    { id: 'dup', text: SAMPLES.xanax, timestamp: START + 2 },
+  ];
+  assert.equal(extractConsumption(news, START, END, processed)[2405862].xanax, 1);
+  assert.deepEqual([...processed].sort(), ['dup', 'seen']);
+});
+
+test('the news mark keeps every id of its second and never moves back', () => {
+  const mark = advanceNewsMark(null, [
+    { id: 'a', timestamp: START + 10 },
+    { id: 'b', timestamp: START + 20 },
+    { id: 'c', timestamp: START + 20 },
+  ]);
+  assert.deepEqual(mark, { timestamp: START + 20, ids: ['b', 'c'] });
+  assert.deepEqual(advanceNewsMark(mark, [{ id: 'a', timestamp: START + 10 }, { id: 'd', timestamp: START + 20 }]), { timestamp: START + 20, ids: ['b', 'c', 'd'] });
+  assert.equal(advanceNewsMark(null, []), null);
+
+  assert.equal(isSeenByMark({ id: 'z', timestamp: START + 19 }, mark), true);
+  assert.equal(isSeenByMark({ id: 'c', timestamp: START + 20 }, mark), true);
+  assert.equal(isSeenByMark({ id: 'd', timestamp: START + 20 }, mark), false);
+  assert.equal(isSeenByMark({ id: 'a', timestamp: START + 10 }, null), false);
+});
+
+test('merging keeps counts from earlier refreshes and updates names', () => {
+  const chain = { consumption: { 7: { name: 'Old', xanax: 2, points: 0 } } };
+  mergeConsumption(chain, { 7: { name: 'New', xanax: 1, fhc: 1 }, 8: { name: 'Other', points: 50 } });
+  assert.deepEqual(chain.consumption, {
+    7: { name: 'New', xanax: 3, points: 0, fhc: 1 },
+    8: { name: 'Other', xanax: 0, points: 50 },
+  });
+  updateTotals(chain);
+  assert.deepEqual(chain.totals, { hits: 0, respect: 0, xanax: 3, points: 50, fhc: 1 });
+});
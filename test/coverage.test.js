@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { chainHitEvents, hourlyCoverage, longestGaps } from '../js/coverage.js';
+
+const START = Date.UTC(2026, 9, 19, 12, 0) / 1000;
+const CHAIN = { chainId: 1, start: START, hits: { 1: { name: 'Alice' }, 2: { name: 'Bob' } } };
+
+test('stored attacks give one event per counted hit; assists and wasted attacks are left out', () => {
+  const attacks = [
+    { attackerId: '1', attackerName: 'Alice', timestamp: START + 10, result: 'Attacked' },
+    { attackerId: '2', attackerName: '', timestamp: START + 20, result: 'Mugged' },
+    { attackerId: '2', timestamp: START + 30, result: 'Assist' },
+    { attackerId: '1', timestamp: START + 40, result: 'Lost' },
+  ];
+  assert.deepEqual(chainHitEvents(CHAIN, attacks, [{ timestamp: START, members: {} }]), {
+    source: 'attacks',
+    events: [
+      { memberId: '1', name: 'Alice', timestamp: START + 10, count: 1 },
+      { memberId: '2', name: 'Bob', timestamp: START + 20, count: 1 },
+    ],
+  });
+});
+
+test('without attacks, snapshot deltas are placed at the snapshot that first saw them', () => {
+  const snapshots = [
+    { timestamp: START + 120, members: { 1: { hits: 2 } } },
+    { timestamp: START + 240, members: { 1: { hits: 3 }, 2: { hits: 4 } } },
+  ];
+  assert.deepEqual(chainHitEvents(CHAIN, [], snapshots).events, [
+    { memberId: '1', name: 'Alice', timestamp: START + 120, count: 2 },
+    { memberId: '1', name: 'Alice', timestamp: START + 240, count: 1 },
+    { memberId: '2', name: 'Bob', timestamp: START + 240, count: 4 },
+  ]);
+
+  // A first snapshot taken long after the start only sets the baseline
+  const late = snapshots.map((s) => ({ ...s, timestamp: s.timestamp + 3600 }));
+  assert.deepEqual(chainHitEvents(CHAIN, [], late).events.map((e) => [e.memberId, e.count]), [['1', 1], ['2', 4]]);
+  assert.deepEqual(chainHitEvents(CHAIN, [], []), { source: 'none', events: [] });
+});
+
+test('hours are counted in TCT and members sorted by total hits', () => {
+  const coverage = hourlyCoverage([
+    { memberId: '1', name: 'Alice', timestamp: START + 60, count: 1 },
+    { memberId: '2', name: 'Bob', timestamp: START + 3600, count: 3 },
+    { memberId: '1', name: 'Alice', timestamp: START + 7200, count: 1 },
+  ]);
+  assert.equal(coverage.hours[12], 1);
+  assert.equal(coverage.hours[13], 3);
+  assert.equal(coverage.hours[14], 1);
+  assert.deepEqual(coverage.members.map((m) => [m.id, m.total]), [['2', 3], ['1', 2]]);
+  assert.equal(coverage.members[1].hours[14], 1);
+});
+
+test('the longest gaps include the chain edges and ignore hits outside the chain', () => {
+  assert.deepEqual(longestGaps([1300, 1100, 1100, 5000], 1000, 2000), [
+    { from: 1300, to: 2000, secs: 700 },
+    { from: 1100, to: 1300, secs: 200 },
+    { from: 1000, to: 1100, secs: 100 },
+  ]);
+  assert.equal(longestGaps([1300, 1100], 1000, 2000, 1).length, 1);
+  assert.deepEqual(longestGaps([], 1000, 1000), []);
+});
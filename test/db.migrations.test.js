@@ -0,0 +1,165 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import * as db from '../js/db.js';
+
+/**
+ * Open ChainTrackerDB at an old version with the stores that version had, and seed records
+ */
+function openOldVersion(version, { chains = [], config = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('ChainTrackerDB', version);
+    request.onerror = () => reject(request.error);
+    request.onupgradeneeded = () => {
+      const raw = request.result;
+      // Version 1 as shipped before migrations existed
+      raw.createObjectStore('chains', { keyPath: 'chainId' });
+      raw.createObjectStore('config', { keyPath: 'key' });
+      if (version >= 2) {
+        const news = raw.createObjectStore('news', { keyPath: 'id' });
+        news.createIndex('timestamp', 'timestamp');
+        news.createIndex('chainId', 'chainId');
+      }
+    };
+    request.onsuccess = () => {
+      const raw = request.result;
+      const tx = raw.transaction(['chains', 'config'], 'readwrite');
+      for (const chain of chains) tx.objectStore('chains').put(chain);
+      for (const entry of config) tx.objectStore('config').put(entry);
+      tx.oncomplete = () => {
+        raw.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+  });
+}
+
+const V1_CHAIN = {
+  chainId: 101,
+  start: 1700000000,
+  end: 1700003600,
+  status: 'finished',
+  hits: { 1: { hits: 10, respect: 25, name: 'Alice' } },
+  consumption: { 1: { xanax: 2, points: 0, name: 'Alice' } },
+  totals: { hits: 10, respect: 25, xanax: 2, points: 0 },
+  processedNewsIds: ['n1', 'n2'],
+};
+
+beforeEach(() => {
+  db.closeDB();
+  db.useDatabase(db.DEFAULT_DB_NAME);
+  globalThis.indexedDB = new IDBFactory();
+});
+
+test('DB_VERSION is the last migration and migrations are strictly ordered', () => {
+  const versions = db.MIGRATIONS.map((m) => m.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+  assert.equal(db.DB_VERSION, versions[versions.length - 1]);
+});
+
+test('fresh install creates every store and index', async () => {
+  const raw = await db.initDB();
+  assert.equal(raw.version, db.DB_VERSION);
+  assert.deepEqual(Array.from(raw.objectStoreNames).sort(), ['attacks', 'chains', 'config', 'news', 'rosters', 'snapshots']);
+  const tx = raw.transaction(['attacks', 'chains', 'news', 'rosters', 'snapshots'], 'readonly');
+  assert.ok(tx.objectStore('chains').indexNames.contains('start'));
+  assert.ok(tx.objectStore('news').indexNames.contains('chainId'));
+  assert.ok(tx.objectStore('news').indexNames.contains('timestamp'));
+  assert.ok(tx.objectStore('rosters').indexNames.contains('firstSeen'));
+  assert.ok(tx.objectStore('snapshots').indexNames.contains('chainId'));
+  assert.ok(tx.objectStore('attacks').indexNames.contains('chainId'));
+  assert.ok(tx.objectStore('attacks').indexNames.contains('timestamp'));
+});
+
+test('upgrades a version 1 database and keeps its chains and config', async () => {
+  await openOldVersion(1, { chains: [V1_CHAIN], config: [{ key: 'apiKey', value: 'abcdefghijklmnop' }] });
+
+  const raw = await db.initDB();
+  assert.equal(raw.version, db.DB_VERSION);
+  assert.ok(raw.objectStoreNames.contains('news'));
+
+  const chain = await db.getChain(101);
+  assert.deepEqual(chain.hits, V1_CHAIN.hits);
+  assert.deepEqual(chain.consumption, V1_CHAIN.consumption);
+  assert.deepEqual(chain.processedNewsIds, ['n1', 'n2']);
+  assert.equal(chain.newsSync, null);
+  assert.equal(await db.getConfig('apiKey'), 'abcdefghijklmnop');
+  assert.deepEqual(await db.getNewsByChain(101), []);
+});
+
+test('upgrading fills fields missing from older chain records', async () => {
+  await openOldVersion(2, { chains: [{ chainId: 7, start: 1, status: 'active', totals: { hits: 3 } }] });
+
+  await db.initDB();
+  const chain = await db.getChain(7);
+  assert.deepEqual(chain.hits, {});
+  assert.deepEqual(chain.consumption, {});
+  assert.deepEqual(chain.totals, { hits: 3, respect: 0, xanax: 0, points: 0 });
+  assert.deepEqual(chain.processedNewsIds, []);
+  assert.equal(chain.newsSync, null);
+});
+
+test('roster snapshots get ids and the latest is the newest firstSeen', async () => {
+  await db.initDB();
+  assert.equal(await db.getLatestRosterSnapshot(), null);
+
+  await db.saveRosterSnapshot({ firstSeen: 100, lastSeen: 100, members: [{ id: '1', name: 'Alice' }] });
+  const first = await db.getLatestRosterSnapshot();
+  assert.ok(first.id != null);
+  await db.saveRosterSnapshot({ firstSeen: 200, lastSeen: 200, members: [] });
+  await db.saveRosterSnapshot({ ...first, lastSeen: 150 });
+
+  const latest = await db.getLatestRosterSnapshot();
+  assert.equal(latest.firstSeen, 200);
+  const all = await db.getRosterSnapshots();
+  assert.equal(all.length, 2);
+  assert.equal(all.find((s) => s.id === first.id).lastSeen, 150);
+});
+
+test('chain snapshots are kept per chain in time order and cleared with chains', async () => {
+  await db.initDB();
+  await db.addChainSnapshot({ chainId: 1, timestamp: 200, totals: { hits: 5 }, members: {} });
+  await db.addChainSnapshot({ chainId: 2, timestamp: 150, totals: { hits: 1 }, members: {} });
+  await db.addChainSnapshot({ chainId: 1, timestamp: 100, totals: { hits: 2 }, members: {} });
+
+  assert.deepEqual((await db.getChainSnapshots(1)).map((s) => s.timestamp), [100, 200]);
+  await db.bulkWrite({ clearChains: true });
+  assert.deepEqual(await db.getChainSnapshots(1), []);
+});
+
+test('profile databases keep chains and config apart', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 5 } });
+  await db.setConfig('apiKey', 'aaaaaaaaaaaaaaaa');
+
+  db.useDatabase('ChainTrackerDB:p2');
+  assert.deepEqual(await db.getAllChains(), []);
+  assert.equal(await db.getConfig('apiKey'), undefined);
+  await db.saveChain({ chainId: 2, status: 'active', totals: { hits: 1 } });
+
+  db.useDatabase(db.DEFAULT_DB_NAME);
+  assert.deepEqual((await db.getAllChains()).map((c) => c.chainId), [1]);
+  await db.deleteDatabase('ChainTrackerDB:p2');
+  await assert.rejects(db.deleteDatabase(db.DEFAULT_DB_NAME), /open database/);
+
+  db.useDatabase('ChainTrackerDB:p2');
+  assert.deepEqual(await db.getAllChains(), []);
+});
+
+test('runMigrations only runs steps newer than the old version', () => {
+  const calls = [];
+  const original = db.MIGRATIONS.map((m) => m.up);
+  db.MIGRATIONS.forEach((m) => {
+    m.up = () => calls.push(m.version);
+  });
+  try {
+    db.runMigrations(null, null, 1);
+  } finally {
+    db.MIGRATIONS.forEach((m, i) => {
+      m.up = original[i];
+    });
+  }
+  assert.deepEqual(calls, db.MIGRATIONS.filter((m) => m.version > 1).map((m) => m.version));
+});
@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import * as db from '../js/db.js';
+
+beforeEach(() => {
+  db.closeDB();
+  db.useDatabase(db.DEFAULT_DB_NAME);
+  globalThis.indexedDB = new IDBFactory();
+});
+
+test('config values round-trip and missing keys read as undefined', async () => {
+  assert.equal(await db.getConfig('apiKey'), undefined);
+  await db.setConfig('apiKey', 'aaaaaaaaaaaaaaaa');
+  await db.setConfig('rules', { custom: [], disabled: ['points'] });
+  await db.setConfig('apiKey', 'bbbbbbbbbbbbbbbb');
+
+  assert.equal(await db.getConfig('apiKey'), 'bbbbbbbbbbbbbbbb');
+  assert.deepEqual(await db.getConfig('rules'), { custom: [], disabled: ['points'] });
+  assert.deepEqual((await db.getAllConfig()).map((e) => e.key).sort(), ['apiKey', 'rules']);
+});
+
+test('chains are stored by chainId and saving again replaces the record', async () => {
+  assert.equal(await db.getChain(1), null);
+  await db.saveChain({ chainId: 1, status: 'active', totals: { hits: 1 } });
+  await db.saveChain({ chainId: 1, status: 'finished', totals: { hits: 9 } });
+  await db.saveChain({ chainId: 2, status: 'active', totals: { hits: 0 } });
+
+  assert.deepEqual(await db.getChain(1), { chainId: 1, status: 'finished', totals: { hits: 9 } });
+  assert.equal((await db.getAllChains()).length, 2);
+});
+
+test('raw news is kept per chain, oldest first, and re-saving the same ids is idempotent', async () => {
+  const news = [
+    { id: 'b', chainId: 1, timestamp: 300, text: 'second' },
+    { id: 'a', chainId: 1, timestamp: 100, text: 'first' },
+    { id: 'c', chainId: 2, timestamp: 200, text: 'other chain' },
+  ];
+  await db.saveNews([]);
+  await db.saveNews(news);
+  await db.saveNews(news.slice(0, 1));
+
+  assert.deepEqual((await db.getNewsByChain(1)).map((n) => n.id), ['a', 'b']);
+  assert.equal((await db.getAllNews()).length, 3);
+});
+
+test('attacks are kept per chain, oldest first, keyed by attack id', async () => {
+  await db.saveAttacks([
+    { id: 11, chainId: 5, timestamp: 20, attackerId: 1, respect: 2.5 },
+    { id: 10, chainId: 5, timestamp: 10, attackerId: 2, respect: 1 },
+    { id: 12, chainId: 6, timestamp: 15, attackerId: 1, respect: 3 },
+  ]);
+  await db.saveAttacks([{ id: 10, chainId: 5, timestamp: 10, attackerId: 2, respect: 1.5 }]);
+
+  const attacks = await db.getAttacksByChain(5);
+  assert.deepEqual(attacks.map((a) => a.id), [10, 11]);
+  assert.equal(attacks[0].respect, 1.5);
+});
+
+test('bulkWrite merges by default and clearChains replaces chains, news and attacks with the given ones but keeps config', async () => {
+  await db.saveChain({ chainId: 1, status: 'finished' });
+  await db.saveNews([{ id: 'n1', chainId: 1, timestamp: 1, text: '' }]);
+  await db.saveAttacks([{ id: 1, chainId: 1, timestamp: 1 }]);
+  await db.setConfig('apiKey', 'aaaaaaaaaaaaaaaa');
+
+  await db.bulkWrite({ chains: [{ chainId: 2, status: 'finished' }], config: [{ key: 'theme', value: 'dark' }] });
+  assert.deepEqual((await db.getAllChains()).map((c) => c.chainId).sort(), [1, 2]);
+
+  await db.bulkWrite({
+    chains: [{ chainId: 3, status: 'active' }],
+    news: [{ id: 'n3', chainId: 3, timestamp: 2, text: '' }],
+    attacks: [{ id: 3, chainId: 3, timestamp: 2 }],
+    clearChains: true,
+  });
+  assert.deepEqual((await db.getAllChains()).map((c) => c.chainId), [3]);
+  assert.deepEqual((await db.getAllNews()).map((n) => n.id), ['n3']);
+  assert.deepEqual((await db.getAllAttacks()).map((a) => a.id), [3]);
+  assert.equal(await db.getConfig('apiKey'), 'aaaaaaaaaaaaaaaa');
+  assert.equal(await db.getConfig('theme'), 'dark');
+});
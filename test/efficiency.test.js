@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  efficiencyMetrics,
+  totalConsumed,
+  normalizeFlagRules,
+  describeFlagRule,
+  flagRows,
+  DEFAULT_FLAG_RULES,
+  ANY_RESOURCE,
+} from '../js/efficiency.js';
+
+/** Member rows as buildMemberRows returns them */
+const ROWS = [
+  { id: '1', name: 'Alice', hits: 0, respect: 0, xanax: 4, points: 0 },
+  { id: '2', name: 'Bob', hits: 5, respect: 8, xanax: 3, points: 60 },
+  { id: '3', name: 'Carol', hits: 20, respect: 50, xanax: 2, points: 0 },
+  { id: '4', name: 'Dave', hits: 0, respect: 0, xanax: 0, points: 0, edrink: 1 },
+];
+
+const LABELS = { xanax: 'Xanax' };
+
+test('metrics divide by what was used, and consumption only counts as wasted without hits', () => {
+  assert.deepEqual(efficiencyMetrics(ROWS[2]), { hitsPerXanax: 10, respectPerXanax: 25, hitsPer100Points: null, consumedWithoutHits: 0 });
+  assert.equal(efficiencyMetrics(ROWS[1]).hitsPer100Points, 500 / 60);
+  assert.equal(efficiencyMetrics(ROWS[0]).consumedWithoutHits, 4);
+  assert.equal(totalConsumed(ROWS[3]), 1);
+  assert.equal(totalConsumed(ROWS[1]), 63);
+});
+
+test('the default rules flag heavy users with few hits, most consumption first', () => {
+  assert.deepEqual(flagRows(ROWS, DEFAULT_FLAG_RULES, LABELS), [
+    { id: '2', name: 'Bob', hits: 5, consumed: 63, reasons: ['Used ≥3 Xanax with fewer than 10 hits', 'Used ≥50 points with fewer than 10 hits'] },
+    { id: '1', name: 'Alice', hits: 0, consumed: 4, reasons: ['Used ≥3 Xanax with fewer than 10 hits', 'Used ≥1 consumables (any) with no hits'] },
+    { id: '4', name: 'Dave', hits: 0, consumed: 1, reasons: ['Used ≥1 consumables (any) with no hits'] },
+  ]);
+  assert.deepEqual(flagRows(ROWS, [], LABELS), []);
+});
+
+test('stored flag rules are trimmed and floored; broken ones are dropped', () => {
+  const rules = normalizeFlagRules([
+    { resource: ' xanax ', minUsed: '2.9', belowHits: 5 },
+    { resource: '', minUsed: 1, belowHits: 1 },
+    { resource: 'points', minUsed: 0, belowHits: 1 },
+    { resource: ANY_RESOURCE, minUsed: 1, belowHits: -1 },
+    null,
+  ]);
+  assert.deepEqual(rules, [{ resource: 'xanax', minUsed: 2, belowHits: 5 }]);
+  assert.deepEqual(normalizeFlagRules('nonsense'), DEFAULT_FLAG_RULES);
+  assert.notEqual(normalizeFlagRules('nonsense')[0], DEFAULT_FLAG_RULES[0]);
+  assert.equal(describeFlagRule(rules[0]), 'Used ≥2 xanax with fewer than 5 hits');
+});
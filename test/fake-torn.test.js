@@ -0,0 +1,102 @@
+import { test, after, afterEach, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as api from '../js/api.js';
+import { startFakeTornServer } from '../scripts/fake-torn-server.js';
+import { DEMO_KEYS, NEWS, CHAINS, ATTACKS, MEMBERS } from '../js/fixtures.js';
+
+let server;
+
+before(async () => {
+  server = await startFakeTornServer({ pageSize: 20 });
+  api.setBackend({ base: server.base });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  api.setKeyPool([]);
+});
+
+after(async () => {
+  api.setBackend();
+  await server.close();
+});
+
+test('news pages follow _metadata.links.prev over HTTP until the last page', async () => {
+  const items = [];
+  let before = null;
+  do {
+    const data = await api.fetchFactionNews({ apiKey: DEMO_KEYS.demo, before });
+    items.push(...data.news);
+    before = data._metadata.links.prev;
+  } while (before);
+  assert.deepEqual(items.map((n) => n.id), NEWS.map((n) => n.id));
+});
+
+test('edge-case keys map to Torn errors, empty news and missing _metadata', async () => {
+  await assert.rejects(api.fetchCurrentChain(DEMO_KEYS.incorrectKey), (err) => err.code === 2 && err.removeKey);
+  await assert.rejects(api.fetchFactionNews({ apiKey: DEMO_KEYS.noAccess }), (err) => err.code === 16 && err.insufficientAccess && !err.removeKey);
+  assert.deepEqual((await api.fetchFactionNews({ apiKey: DEMO_KEYS.emptyNews })).news, []);
+  assert.equal((await api.fetchFactionNews({ apiKey: DEMO_KEYS.noMetadata }))._metadata, undefined);
+});
+
+/** Keys of the requests the fake has answered, oldest first */
+function requestKeys() {
+  return server.fake.requests.map((url) => new URL(url).searchParams.get('key'));
+}
+
+test('the client pages chains with links.next and attacks in a time window with links.prev', async () => {
+  const first = await api.fetchFactionChains(DEMO_KEYS.demo, { limit: 2 });
+  assert.equal(first.chains.length, 2);
+  const second = await api.fetchFactionChains(DEMO_KEYS.demo, { before: first._metadata.links.next });
+  assert.equal(second._metadata.links.next, null);
+  assert.deepEqual([...first.chains, ...second.chains].map((c) => c.id), CHAINS.map((c) => c.id));
+
+  const from = ATTACKS[50].started;
+  const to = ATTACKS[5].started;
+  const attacks = [];
+  let before = null;
+  do {
+    const data = await api.fetchFactionAttacks({ apiKey: DEMO_KEYS.demo, from, to, before });
+    attacks.push(...data.attacks);
+    before = data._metadata.links.prev;
+  } while (before);
+  assert.deepEqual(attacks.map((a) => a.id), ATTACKS.filter((a) => a.started >= from && a.started <= to).map((a) => a.id));
+  // Every page went out with the key, never with a key baked into the link
+  assert.ok(requestKeys().every((key) => key));
+});
+
+test('error 5 and HTTP 429 from the server are retried once after 5 seconds', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  for (const apiKey of [DEMO_KEYS.rateLimited, DEMO_KEYS.http429]) {
+    const sent = server.fake.requests.length;
+    const pending = api.fetchFactionMembers(apiKey);
+    // The retry timer is set once the first response is in; tick until the second request arrives
+    let waited = 0;
+    while (server.fake.requests.length < sent + 2) {
+      await new Promise((resolve) => setImmediate(resolve));
+      mock.timers.tick(1000);
+      waited += 1000;
+    }
+    assert.ok(waited >= 5000, `retried after ${waited}ms`);
+    assert.equal((await pending).length, MEMBERS.members.length);
+    assert.deepEqual(requestKeys().slice(sent), [apiKey, apiKey]);
+  }
+});
+
+test('a rejected pooled key is dropped and the request goes out again on a working key', async () => {
+  const removed = [];
+  const unsubscribe = api.onKeyRemoved((key, err) => removed.push([key, err.code]));
+  // The unused broken key has the most budget left, so it is tried first
+  api.setKeyPool([DEMO_KEYS.demo, DEMO_KEYS.incorrectKey]);
+  const sent = server.fake.requests.length;
+  try {
+    const data = await api.fetchCurrentChain(DEMO_KEYS.demo);
+    assert.equal(data.current, 64);
+  } finally {
+    unsubscribe();
+  }
+  assert.deepEqual(requestKeys().slice(sent), [DEMO_KEYS.incorrectKey, DEMO_KEYS.demo]);
+  assert.deepEqual(removed, [[DEMO_KEYS.incorrectKey, 2]]);
+  assert.deepEqual(api.getKeyPoolStatus().map((s) => s.id), [api.keyId(DEMO_KEYS.demo)]);
+});
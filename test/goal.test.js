@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { recordCount, hitRate, normalizeGoal, goalPlan } from '../js/goal.js';
+
+const NOW = 1_000_000;
+
+/** 130 hits in the last hour, 30 of them in the last 15 minutes */
+const HISTORY = [
+  { timestamp: NOW - 3000, current: 40 },
+  { timestamp: NOW - 900, current: 130 },
+  { timestamp: NOW, current: 160 },
+];
+
+test('recording a count drops samples past the retention window and any not older than the new one', () => {
+  const history = [
+    { timestamp: NOW - 8000, current: 1 },
+    { timestamp: NOW - 100, current: 150 },
+    { timestamp: NOW, current: 155 },
+  ];
+  assert.deepEqual(recordCount(history, NOW, 160), [{ timestamp: NOW - 100, current: 150 }, { timestamp: NOW, current: 160 }]);
+  assert.deepEqual(recordCount(history, NOW, 160, 60), [{ timestamp: NOW, current: 160 }]);
+  assert.deepEqual(recordCount(undefined, NOW, 1), [{ timestamp: NOW, current: 1 }]);
+  assert.equal(history.length, 3);
+});
+
+test('hit rates are hits per minute across the samples inside each window', () => {
+  assert.equal(hitRate(HISTORY, 900, NOW), 2);
+  assert.equal(hitRate(HISTORY, 3600, NOW), 2.4);
+  assert.equal(hitRate(HISTORY.slice(2), 900, NOW), null);
+  // A chain count reset never gives a negative rate
+  assert.equal(hitRate([{ timestamp: NOW - 60, current: 50 }, { timestamp: NOW, current: 0 }], 900, NOW), 0);
+});
+
+test('goals from the form keep a whole positive target and an optional deadline', () => {
+  assert.deepEqual(normalizeGoal({ target: '250.7', deadline: '' }), { target: 250, deadline: null });
+  assert.deepEqual(normalizeGoal({ target: 100, deadline: NOW }), { target: 100, deadline: NOW });
+  assert.equal(normalizeGoal({ target: 0 }), null);
+  assert.equal(normalizeGoal(undefined), null);
+});
+
+test('the ETA uses the 15 minute rate and the required rate spreads what is left until the deadline', () => {
+  const plan = goalPlan({ goal: { target: 250, deadline: NOW + 3000 }, countHistory: HISTORY }, 160, NOW);
+  assert.deepEqual(plan.rates, [{ windowSecs: 900, rate: 2 }, { windowSecs: 3600, rate: 2.4 }]);
+  assert.equal(plan.remaining, 90);
+  assert.equal(plan.eta, NOW + 2700);
+  assert.equal(plan.requiredRate, 1.8);
+  assert.equal(plan.milestone, 250);
+  assert.equal(plan.milestoneEta, NOW + 2700);
+});
+
+test('without a 15 minute rate the ETA falls back to the hour; reached goals and missed deadlines', () => {
+  const hourOnly = [HISTORY[0], { timestamp: NOW - 1200, current: 130 }];
+  assert.equal(goalPlan({ goal: { target: 250, deadline: null }, countHistory: hourOnly }, 130, NOW).eta, NOW + 2400);
+  assert.equal(goalPlan({ goal: { target: 250, deadline: null } }, 130, NOW).eta, null);
+
+  const reached = goalPlan({ goal: { target: 100, deadline: NOW + 60 }, countHistory: HISTORY }, 160, NOW);
+  assert.equal(reached.remaining, 0);
+  assert.equal(reached.eta, NOW);
+  assert.equal(reached.requiredRate, null);
+
+  assert.equal(goalPlan({ goal: { target: 250, deadline: NOW - 1 } }, 160, NOW).requiredRate, Infinity);
+  assert.equal(goalPlan({}, 160, NOW).eta, null);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computePayout, normalizeRules, DEFAULT_PAYOUT_RULES } from '../js/payout.js';
+
+/** Member rows as buildMemberRows returns them */
+const ROWS = [
+  { id: '1', name: 'Alice', hits: 30, respect: 90, xanax: 2, points: 0 },
+  { id: '2', name: 'Bob', hits: 10, respect: 10, xanax: 0, points: 50 },
+  { id: '3', name: 'Carol', hits: 0, respect: 0, xanax: 3, points: 0 },
+  { id: '4', name: 'Dave', hits: 2, respect: 4, xanax: 0, points: 0 },
+];
+
+/** id -> field for every member of a payout */
+function byMember(payout, field) {
+  return Object.fromEntries(payout.members.map((m) => [m.id, m[field]]));
+}
+
+test('stored or partial rules are coerced into valid numbers', () => {
+  assert.deepEqual(normalizeRules(), DEFAULT_PAYOUT_RULES);
+  assert.deepEqual(normalizeRules({ mode: 'bogus', pot: '5000', pricePerHit: -1, respectWeight: 3, xanaxDeduction: 'x', minHits: '4.7' }), {
+    ...DEFAULT_PAYOUT_RULES,
+    pot: 5000,
+    respectWeight: 1,
+    minHits: 4,
+  });
+  assert.equal(normalizeRules({ mode: 'perHit' }).mode, 'perHit');
+});
+
+test('the pot is split by hit share among members at or over minHits; deductions always apply', () => {
+  const payout = computePayout(ROWS, { pot: 1000, minHits: 5, xanaxDeduction: 10, pointDeduction: 1 });
+  assert.deepEqual(byMember(payout, 'eligible'), { 1: true, 2: true, 3: false, 4: false });
+  assert.deepEqual(byMember(payout, 'gross'), { 1: 750, 2: 250, 3: 0, 4: 0 });
+  assert.deepEqual(byMember(payout, 'deductions'), { 1: 20, 2: 50, 3: 30, 4: 0 });
+  assert.deepEqual(byMember(payout, 'net'), { 1: 730, 2: 200, 3: -30, 4: 0 });
+  assert.deepEqual(payout.totals, { gross: 1000, deductions: 100, net: 900 });
+  assert.equal(payout.rules.minHits, 5);
+});
+
+test('respect weight moves the pot split from hits towards respect', () => {
+  assert.deepEqual(byMember(computePayout(ROWS, { pot: 1000, minHits: 5, respectWeight: 1 }), 'gross'), { 1: 900, 2: 100, 3: 0, 4: 0 });
+  assert.deepEqual(byMember(computePayout(ROWS, { pot: 1000, minHits: 5, respectWeight: 0.5 }), 'gross'), { 1: 825, 2: 175, 3: 0, 4: 0 });
+});
+
+test('per-hit pay scales each hit by respect per hit against the average', () => {
+  // Average 2.5 respect per hit: Alice's 3 pays 1.1x, Bob's 1 pays 0.7x at half weight
+  const payout = computePayout(ROWS, { mode: 'perHit', pricePerHit: 100, respectWeight: 0.5, minHits: 5 });
+  assert.deepEqual(byMember(payout, 'gross'), { 1: 3300, 2: 700, 3: 0, 4: 0 });
+  assert.deepEqual(byMember(computePayout(ROWS, { mode: 'perHit', pricePerHit: 100 }), 'gross'), { 1: 3000, 2: 1000, 3: 0, 4: 200 });
+});
@@ -0,0 +1,63 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as profiles from '../js/profiles.js';
+import { DEFAULT_DB_NAME } from '../js/db.js';
+
+/** In-memory localStorage, fresh for every test */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = memoryStorage();
+});
+
+test('the default profile always exists, keeps the original database and is active at first', () => {
+  assert.deepEqual(profiles.listProfiles().map((p) => p.id), [profiles.DEFAULT_PROFILE_ID]);
+  assert.equal(profiles.getActiveProfile().id, profiles.DEFAULT_PROFILE_ID);
+  assert.equal(profiles.profileDbName(profiles.DEFAULT_PROFILE_ID), DEFAULT_DB_NAME);
+  assert.equal(profiles.profileDbName('p1'), `${DEFAULT_DB_NAME}:p1`);
+  assert.throws(() => profiles.removeProfile(profiles.DEFAULT_PROFILE_ID), /can't be deleted/);
+});
+
+test('profiles are created, renamed and given a faction; names are trimmed and unique', () => {
+  const alpha = profiles.createProfile('  Alpha   Squad ');
+  assert.equal(alpha.name, 'Alpha Squad');
+  assert.throws(() => profiles.createProfile('alpha squad'), /already exists/);
+  assert.throws(() => profiles.createProfile('   '), /required/);
+  assert.equal(profiles.createProfile('x'.repeat(60)).name.length, 40);
+
+  profiles.renameProfile(alpha.id, 'Alpha');
+  profiles.setProfileFaction(alpha.id, 123);
+  assert.deepEqual(profiles.listProfiles().find((p) => p.id === alpha.id), { ...alpha, name: 'Alpha', factionId: 123 });
+  assert.throws(() => profiles.renameProfile(alpha.id, 'Default'), /already exists/);
+});
+
+test('removing the active profile falls back to the default one', () => {
+  const alpha = profiles.createProfile('Alpha');
+  profiles.setActiveProfile(alpha.id);
+  assert.equal(profiles.getActiveProfile().id, alpha.id);
+  assert.throws(() => profiles.setActiveProfile('missing'), /Unknown profile/);
+
+  profiles.removeProfile(alpha.id);
+  assert.equal(profiles.getActiveProfile().id, profiles.DEFAULT_PROFILE_ID);
+  assert.deepEqual(profiles.listProfiles().map((p) => p.id), [profiles.DEFAULT_PROFILE_ID]);
+});
+
+test('a broken registry reads as just the default profile; bad factions are dropped', () => {
+  localStorage.setItem('chainTracker.profiles', '{not json');
+  assert.deepEqual(profiles.listProfiles().map((p) => p.id), [profiles.DEFAULT_PROFILE_ID]);
+
+  localStorage.setItem('chainTracker.profiles', JSON.stringify({
+    activeId: 'gone',
+    profiles: [{ id: 'p1', name: 'One', factionId: 'abc' }, { name: 'No id' }],
+  }));
+  assert.deepEqual(profiles.listProfiles().map((p) => [p.id, p.factionId]), [[profiles.DEFAULT_PROFILE_ID, null], ['p1', null]]);
+  assert.equal(profiles.getActiveProfile().id, profiles.DEFAULT_PROFILE_ID);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reportValues, fillTemplate, resolveTemplates, DEFAULT_TEMPLATES } from '../js/report.js';
+import { normalizeFlagRules } from '../js/efficiency.js';
+
+const START = Date.UTC(2026, 9, 19, 12, 0) / 1000;
+const CHAIN = { chainId: 42, start: START, end: START + 5400, totals: { hits: 25, respect: 100.5, xanax: 9 } };
+
+/** Member rows as buildMemberRows returns them */
+const ROWS = [
+  { id: '1', name: 'Alice', hits: 0, respect: 0, xanax: 4, points: 0 },
+  { id: '2', name: 'Bob', hits: 5, respect: 8, xanax: 3, points: 0 },
+  { id: '3', name: 'Mr_Bean', hits: 20, respect: 92.5, xanax: 2, points: 0 },
+];
+
+const OPTIONS = { consumables: [{ id: 'xanax', label: 'Xanax' }], flagRules: normalizeFlagRules(), limit: 2 };
+
+test('chain values are formatted once and lists follow the output format', () => {
+  const md = reportValues(CHAIN, ROWS, OPTIONS, 'markdown');
+  assert.equal(md.start, '2026-10-19 12:00 TCT');
+  assert.equal(md.end, '2026-10-19 13:30 TCT');
+  assert.equal(md.duration, '1h 30m');
+  assert.equal(md.respect, '100.5');
+  assert.equal(md.members, '2');
+  assert.equal(md.consumption, 'Xanax 9');
+  assert.equal(md.topHitters, '1. **Mr\\_Bean** — 20 hits\n2. **Bob** — 5 hits');
+  assert.equal(md.consumptionLeaders, '- Xanax: **Alice** (4)');
+  assert.equal(md.flagged, '- **Alice** — Used ≥3 Xanax with fewer than 10 hits; Used ≥1 consumables (any) with no hits\n- **Bob** — Used ≥3 Xanax with fewer than 10 hits');
+
+  const bb = reportValues(CHAIN, ROWS, OPTIONS, 'bbcode');
+  assert.equal(bb.topRespect, '[list=1]\n[*][b]Mr_Bean[/b] — 92.5 respect\n[*][b]Bob[/b] — 8 respect\n[/list]');
+  const text = reportValues(CHAIN, ROWS, { ...OPTIONS, flagRules: [] }, 'text');
+  assert.equal(text.flagged, 'None');
+  assert.equal(text.topHitters, '1. Mr_Bean — 20 hits\n2. Bob — 5 hits');
+});
+
+test('an active chain ends "ongoing" and runs until now', () => {
+  const values = reportValues({ ...CHAIN, end: null }, [], { now: START + 600 });
+  assert.equal(values.end, 'ongoing');
+  assert.equal(values.duration, '0h 10m');
+  assert.equal(values.consumption, 'nothing tracked');
+  assert.equal(values.topHitters, 'None');
+});
+
+test('templates fill known placeholders and leave unknown ones as written', () => {
+  const values = reportValues(CHAIN, ROWS, OPTIONS, 'text');
+  assert.equal(fillTemplate('{{ hits }} hits in #{{chainId}} {{unknown}} {{constructor}}', values), '25 hits in #42 {{unknown}} {{constructor}}');
+  assert.ok(fillTemplate(DEFAULT_TEMPLATES.text, values).startsWith('Chain #42 summary\n2026-10-19 12:00 TCT -> 2026-10-19 13:30 TCT (1h 30m)'));
+});
+
+test('stored templates override the defaults per format; blank or unknown entries are ignored', () => {
+  const templates = resolveTemplates({ markdown: '**{{hits}}**', bbcode: '   ', text: 5, html: '<b>{{hits}}</b>' });
+  assert.deepEqual(templates, { ...DEFAULT_TEMPLATES, markdown: '**{{hits}}**' });
+  assert.deepEqual(resolveTemplates(null), DEFAULT_TEMPLATES);
+});
@@ -0,0 +1,153 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+
+import * as db from '../js/db.js';
+import * as api from '../js/api.js';
+import { loadAndSyncChain } from '../js/sync.js';
+import { extractConsumption, mergeConsumption } from '../js/consumption.js';
+import { computePayout } from '../js/payout.js';
+import { buildMemberRows } from '../js/members.js';
+import { startFakeTornServer } from '../scripts/fake-torn-server.js';
+import { DEMO_KEYS, CURRENT_CHAIN, NEWS } from '../js/fixtures.js';
+
+const LIVE = CURRENT_CHAIN.chain;
+const NEWEST = NEWS[0];
+
+let server;
+
+beforeEach(async () => {
+  db.closeDB();
+  db.useDatabase(db.DEFAULT_DB_NAME);
+  globalThis.indexedDB = new IDBFactory();
+  // Small pages so the live chain's news spans several of them
+  server = await startFakeTornServer({ pageSize: 4 });
+  api.setBackend({ base: server.base });
+});
+
+afterEach(async () => {
+  api.setBackend();
+  await server.close();
+});
+
+/** Consumption a single pass over all the given news yields for the live chain */
+function expectedConsumption(news) {
+  const chain = { consumption: {} };
+  mergeConsumption(chain, extractConsumption(news, LIVE.start, Infinity));
+  return chain.consumption;
+}
+
+/** News pages requested since the given request count */
+function newsRequestsSince(sent) {
+  return server.fake.requests.slice(sent).filter((url) => url.includes('/faction/news')).length;
+}
+
+/** Armory news item for the fake, by Sable */
+function xanaxNews(id, timestamp) {
+  return { id, timestamp, text: '<a href = "http://www.torn.com/profiles.php?XID=2400105">Sable</a> used one of the faction\'s Xanax items.' };
+}
+
+test('repeated syncs and a full resync of the live chain count every armory item once', async () => {
+  const expected = expectedConsumption(NEWS);
+  const first = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.deepEqual(first.consumption, expected);
+  assert.ok(newsRequestsSince(0) > 2, 'walked several news pages');
+  assert.equal((await db.getNewsByChain(LIVE.id)).length, NEWS.filter((n) => n.timestamp >= LIVE.start).length);
+
+  // Nothing new: the walk stops at the mark on the first page
+  let sent = server.fake.requests.length;
+  const again = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.equal(newsRequestsSince(sent), 1);
+  assert.deepEqual(again.consumption, expected);
+
+  sent = server.fake.requests.length;
+  const full = await loadAndSyncChain(DEMO_KEYS.demo, LIVE, { fullBackfill: true });
+  assert.ok(newsRequestsSince(sent) > 2);
+  assert.deepEqual(full.consumption, expected);
+  assert.deepEqual((await db.getChain(LIVE.id)).consumption, expected);
+  assert.equal(full.totals.xanax, Object.values(expected).reduce((sum, m) => sum + (m.xanax ?? 0), 0));
+});
+
+test('news posted between syncs, including in the second of the last seen item, is counted once', async () => {
+  await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  // The same-second item is listed after the one the mark already holds
+  const added = [xanaxNews('late2', NEWEST.timestamp + 30), xanaxNews('late1', NEWEST.timestamp)];
+  server.fake.addNews(...added);
+
+  const synced = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.deepEqual(synced.consumption, expectedConsumption([...added, ...NEWS]));
+  const again = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.deepEqual(again.consumption, expectedConsumption([...added, ...NEWS]));
+  assert.deepEqual(again.newsSync.mark, { timestamp: NEWEST.timestamp + 30, ids: ['late2'] });
+});
+
+test('news posted while a sync walks the pages shifts them into overlap without double counting', async () => {
+  const late = xanaxNews('during', NEWEST.timestamp + 60);
+  let posted = false;
+  api.setBackend({
+    base: server.base,
+    fetch: async (url) => {
+      const response = await fetch(url);
+      // After the first page, prepending shifts the next page back by one: its first item repeats
+      if (!posted && url.includes('/faction/news')) {
+        posted = true;
+        server.fake.addNews(late);
+      }
+      return response;
+    },
+  });
+
+  const synced = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.ok(posted);
+  assert.deepEqual(synced.consumption, expectedConsumption(NEWS));
+
+  // The item posted mid-walk is newer than the mark, so the next sync picks it up
+  const next = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.deepEqual(next.consumption, expectedConsumption([late, ...NEWS]));
+});
+
+test('a payout saved while a sync is in flight is kept', async () => {
+  // Calculated the way the payout form does, from the synced chain
+  const payout = computePayout(buildMemberRows(await loadAndSyncChain(DEMO_KEYS.demo, LIVE)), { pot: 1_000_000, xanaxDeduction: 25_000 });
+  assert.ok(payout.members.some((m) => m.gross > 0 && m.deductions > 0));
+  let saved = false;
+  api.setBackend({
+    base: server.base,
+    fetch: async (url) => {
+      if (!saved && url.includes('/chainreport')) {
+        saved = true;
+        await db.saveChain({ ...(await db.getChain(LIVE.id)), payout, goal: 250 });
+      }
+      return fetch(url);
+    },
+  });
+
+  const synced = await loadAndSyncChain(DEMO_KEYS.demo, LIVE);
+  assert.ok(saved);
+  assert.deepEqual(synced.payout, payout);
+  const stored = await db.getChain(LIVE.id);
+  assert.deepEqual(stored.payout, payout);
+  assert.equal(stored.goal, 250);
+});
+
+test('a sync whose profile is switched mid-walk writes nothing into the newly opened database', async () => {
+  const other = 'ChainTrackerDB:other';
+  let switched = false;
+  api.setBackend({
+    base: server.base,
+    fetch: async (url) => {
+      if (!switched && url.includes('/faction/news')) {
+        switched = true;
+        db.useDatabase(other);
+      }
+      return fetch(url);
+    },
+  });
+
+  await assert.rejects(loadAndSyncChain(DEMO_KEYS.demo, LIVE), (err) => err.staleProfile === true);
+  assert.ok(switched);
+  assert.equal(db.currentDatabase(), other);
+  assert.deepEqual(await db.getAllChains(), []);
+  assert.deepEqual(await db.getAllNews(), []);
+  assert.equal(await db.getConfig('lastSyncTimestamp'), undefined);
+});
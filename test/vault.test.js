@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encryptSecret, decryptSecret } from '../js/vault.js';
+
+const KEY = 'abcdEFGH12345678';
+
+test('a secret round-trips with its passphrase and is never stored in the clear', async () => {
+  const record = await encryptSecret(KEY, 'correct horse');
+  assert.equal(record.v, 1);
+  assert.ok(!JSON.stringify(record).includes(KEY));
+  assert.equal(await decryptSecret(record, 'correct horse'), KEY);
+
+  // Fresh salt and IV every time
+  const again = await encryptSecret(KEY, 'correct horse');
+  assert.notEqual(again.salt, record.salt);
+  assert.notEqual(again.ciphertext, record.ciphertext);
+});
+
+test('a wrong passphrase, tampered data or an unknown format is refused', async () => {
+  const record = await encryptSecret(KEY, 'correct horse');
+  await assert.rejects(decryptSecret(record, 'battery staple'), /Wrong passphrase/);
+  const bytes = Buffer.from(record.ciphertext, 'base64');
+  bytes[0] ^= 1;
+  await assert.rejects(decryptSecret({ ...record, ciphertext: bytes.toString('base64') }, 'correct horse'), /Wrong passphrase/);
+  await assert.rejects(decryptSecret({ ...record, v: 2 }, 'correct horse'), /Unsupported/);
+  await assert.rejects(encryptSecret(KEY, ''), /Passphrase is required/);
+});